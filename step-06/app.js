@@ -4,6 +4,8 @@ import cors from 'cors';
 import ingestRoutes from './routes/ingest.js';
 import chunkingRoutes from './routes/chunking.js';
 import vectorstoreRoutes from './routes/vectorstore.js';
+import ragRoutes from './routes/rag.js';
+import { checkReadiness } from './utils/readiness.js';
 
 // Load environment variables
 dotenv.config();
@@ -26,16 +28,51 @@ app.get('/', (req, res) => {
   res.json({ message: 'Welcome to the RAG API' });
 });
 
-app.get('/health', (req, res) => {
-  res.json({ status: 'healthy' });
+/**
+ * Readiness endpoint
+ * GET /health?refresh=true
+ * Returns 200 when the API can serve queries (ready or degraded), 503 otherwise
+ */
+app.get('/health', async (req, res) => {
+  try {
+    const readiness = await checkReadiness({ refresh: req.query.refresh === 'true' });
+    const statusCode = readiness.status === 'unavailable' ? 503 : 200;
+    
+    res.status(statusCode).json(readiness);
+  } catch (error) {
+    console.error('Error checking readiness:', error);
+    res.status(503).json({ 
+      status: 'unavailable',
+      error: error.message
+    });
+  }
 });
 
 // Add routes
 app.use('/ingest', ingestRoutes);
 app.use('/chunking', chunkingRoutes);
 app.use('/vectorstore', vectorstoreRoutes);
+app.use('/rag', ragRoutes);
+
+/**
+ * Run the readiness checks once at startup and report the result
+ */
+async function runStartupSelfCheck() {
+  console.log('Running startup self-check...');
+  
+  const { status, checks } = await checkReadiness({ refresh: true });
+  
+  for (const [name, check] of Object.entries(checks)) {
+    console.log(`  ${check.ok ? '✅' : '❌'} ${name}: ${check.message}`);
+  }
+  console.log(`RAG API status: ${status}`);
+}
 
 // Start server
 app.listen(PORT, () => {
   console.log(`Server running on http://localhost:${PORT}`);
+  
+  runStartupSelfCheck().catch(error => {
+    console.error('Startup self-check failed:', error);
+  });
 });
@@ -19,6 +19,8 @@ const router = express.Router();
  *     chunkOverlap: 200 
  *   }
  * }
+ * Strategies: character, paragraph, recursive, token, semantic and heading. Semantic chunking takes
+ * { strategy: 'semantic', breakpointPercentile: 5, minChunkSize: 200, maxChunkSize: 1000 }
  */
 router.post('/document', async (req, res) => {
   try {
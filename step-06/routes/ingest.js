@@ -6,7 +6,12 @@ import express from 'express';
 import path from 'path';
 import fs from 'fs';
 import { fileURLToPath } from 'url';
-import { processBatch } from '../utils/documentProcessor.js';
+import multer from 'multer';
+import { processBatch, processDocument, cleanDocument, SUPPORTED_EXTENSIONS } from '../utils/documentProcessor.js';
+import { CLEANING_STEPS, isValidCleaningOption, getCleaningSteps } from '../utils/textCleaner.js';
+import { ingestFiles, ingestDocument, summarizeIngestion } from '../utils/ingestion.js';
+import { ingestDirectory } from '../utils/directoryIngestor.js';
+import { isValidRecordTemplate } from '../utils/loaders/recordTemplate.js';
 
 const router = express.Router();
 const __filename = fileURLToPath(import.meta.url);
@@ -20,14 +25,107 @@ if (!fs.existsSync(UPLOAD_DIR)) {
   fs.mkdirSync(UPLOAD_DIR, { recursive: true });
 }
 
+// File types accepted by POST /ingest/upload (the ones processDocument() can load)
+const UPLOAD_EXTENSIONS = SUPPORTED_EXTENSIONS;
+
+// Maximum size of an uploaded file (in bytes) and number of files per request
+const MAX_UPLOAD_SIZE = parseInt(process.env.MAX_UPLOAD_SIZE || String(10 * 1024 * 1024));
+const MAX_UPLOAD_FILES = 10;
+
+// Each file gets its own temporary directory, so it keeps its original name
+// (loaders derive the filename and title from the path) without clashing with other uploads
+const upload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      fs.mkdtemp(path.join(UPLOAD_DIR, 'upload-'), (error, dir) => {
+        if (dir) {
+          req.uploadDirs = [...(req.uploadDirs || []), dir];
+        }
+        cb(error, dir);
+      });
+    },
+    filename: (req, file, cb) => cb(null, path.basename(file.originalname))
+  }),
+  limits: {
+    fileSize: MAX_UPLOAD_SIZE,
+    files: MAX_UPLOAD_FILES
+  },
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname).toLowerCase();
+    
+    if (!UPLOAD_EXTENSIONS.includes(extension)) {
+      const error = new Error(`Unsupported file type for ${file.originalname} (expected ${UPLOAD_EXTENSIONS.join(', ')})`);
+      error.status = 415;
+      return cb(error);
+    }
+    
+    cb(null, true);
+  }
+}).array('files', MAX_UPLOAD_FILES);
+
+/**
+ * Remove the temporary directories of an upload request
+ * @param {Object} req - Express request
+ */
+function removeUploadedFiles(req) {
+  for (const dir of req.uploadDirs || []) {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+// Error message for record templates rejected by isValidRecordTemplate()
+const INVALID_RECORD_TEMPLATE_ERROR = 'Invalid request. recordTemplate must be an object with idField, template and recordsPath strings '
+  + 'and textFields and metadataFields arrays of strings.';
+
+// Upload namespaces are path segments of letters, digits, dots, dashes and underscores (e.g. 'team-a/2024')
+const UPLOAD_NAMESPACE_PATTERN = /^(?!.*(^|\/)\.\.?(\/|$))[\w.-]+(\/[\w.-]+)*$/;
+
+/**
+ * Get the stable source of an uploaded file
+ * @param {Object} file - File uploaded by multer
+ * @param {string} [namespace] - Namespace chosen by the client
+ * @returns {string} 'uploads/<namespace>/<filename>', or 'uploads/<filename>' without a namespace
+ */
+function getUploadSource(file, namespace) {
+  return namespace ? `uploads/${namespace}/${file.originalname}` : `uploads/${file.originalname}`;
+}
+
+/**
+ * Load an uploaded file as a document
+ * The temporary path is replaced by a stable source, so uploading the same file name again
+ * (in the same namespace) updates the stored document
+ * @param {Object} file - File uploaded by multer
+ * @param {Object} options - Loader options, as for processDocument()
+ * @param {string} [options.namespace] - Namespace of the upload's sources
+ * @returns {Promise<Object>} Document object with text and metadata
+ */
+async function loadUploadedFile(file, options = {}) {
+  const { namespace, ...loaderOptions } = options;
+  const document = await processDocument(file.path, loaderOptions);
+  
+  return {
+    ...document,
+    metadata: {
+      ...document.metadata,
+      source: getUploadSource(file, namespace),
+      mimetype: file.mimetype
+    }
+  };
+}
+
 /**
  * Endpoint to ingest documents from local file system
  * POST /ingest/local
  * Body: { paths: ['/path/to/file1.txt', '/path/to/file2.pdf'] }
+ * With `store: true`, documents are also chunked, embedded and stored incrementally:
+ * { paths: [...], store: true, prune: false, force: false, options: { strategy: 'character' } }
+ * CSV, JSON and JSONL files accept a record template:
+ * { recordTemplate: { idField: 'id', textFields: ['question', 'answer'], metadataFields: ['category'] } }
+ * Text is cleaned with every step unless some are chosen (cleaning: ['normalizeUnicode']) or cleaning is disabled (cleaning: false)
  */
 router.post('/local', async (req, res) => {
   try {
-    const { paths } = req.body;
+    const { paths, store, prune, force, options, recordTemplate, cleaning } = req.body;
     
     if (!paths || !Array.isArray(paths) || paths.length === 0) {
       return res.status(400).json({ 
@@ -35,8 +133,37 @@ router.post('/local', async (req, res) => {
       });
     }
     
+    if (!isValidCleaningOption(cleaning)) {
+      return res.status(400).json({ 
+        error: `Invalid request. cleaning must be false or an array of steps: ${CLEANING_STEPS.join(', ')}.` 
+      });
+    }
+    
+    if (!isValidRecordTemplate(recordTemplate)) {
+      return res.status(400).json({ 
+        error: INVALID_RECORD_TEMPLATE_ERROR 
+      });
+    }
+    
+    if (store === true) {
+      // Unchanged files are skipped, changed ones replaced, and with prune, requested files that were deleted are removed
+      const { results, counts } = await ingestFiles(paths, {
+        chunkOptions: options || { strategy: 'character' },
+        recordTemplate,
+        cleaning: getCleaningSteps(cleaning),
+        force: force === true,
+        prune: prune === true
+      });
+      
+      return res.json({
+        success: true,
+        ...counts,
+        results
+      });
+    }
+    
     // Process documents
-    const processedDocuments = await processBatch(paths);
+    const processedDocuments = await processBatch(paths, { recordTemplate, cleaning: getCleaningSteps(cleaning) });
     
     // Return processed documents
     res.json({
@@ -53,4 +180,188 @@ router.post('/local', async (req, res) => {
   }
 });
 
+/**
+ * Endpoint to ingest every supported file under a directory of the server
+ * POST /ingest/directory
+ * Body: { directory: '/path/to/docs', include: ['*.md'], exclude: ['drafts/**'],
+ *         prune: false, force: false, dryRun: false, options: { strategy: 'heading' }, recordTemplate: {...}, cleaning: [...] }
+ * Files matched by a .ragignore file are skipped
+ */
+router.post('/directory', async (req, res) => {
+  try {
+    const { directory, include, exclude, prune, force, dryRun, options, recordTemplate, cleaning } = req.body;
+    
+    if (!directory || typeof directory !== 'string') {
+      return res.status(400).json({ 
+        error: 'Invalid request. Please provide a directory path.' 
+      });
+    }
+    
+    const isGlobList = value => value === undefined || (Array.isArray(value) && value.every(glob => typeof glob === 'string'));
+    if (!isGlobList(include) || !isGlobList(exclude)) {
+      return res.status(400).json({ 
+        error: 'Invalid request. include and exclude must be arrays of glob patterns.' 
+      });
+    }
+    
+    if (!isValidCleaningOption(cleaning)) {
+      return res.status(400).json({ 
+        error: `Invalid request. cleaning must be false or an array of steps: ${CLEANING_STEPS.join(', ')}.` 
+      });
+    }
+    
+    if (!isValidRecordTemplate(recordTemplate)) {
+      return res.status(400).json({ 
+        error: INVALID_RECORD_TEMPLATE_ERROR 
+      });
+    }
+    
+    if (!fs.existsSync(directory) || !fs.statSync(directory).isDirectory()) {
+      return res.status(404).json({ 
+        error: `Directory not found: ${directory}` 
+      });
+    }
+    
+    const result = await ingestDirectory(directory, {
+      include,
+      exclude,
+      chunkOptions: options || { strategy: 'character' },
+      recordTemplate,
+      cleaning: getCleaningSteps(cleaning),
+      force: force === true,
+      prune: prune === true,
+      dryRun: dryRun === true
+    });
+    
+    res.json({
+      success: true,
+      directory: result.directory,
+      fileCount: result.files.length,
+      ...(dryRun === true ? { files: result.files } : { ...result.counts, results: result.results })
+    });
+  } catch (error) {
+    console.error('Error ingesting directory:', error);
+    res.status(500).json({ 
+      error: 'Failed to ingest directory',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Endpoint to upload documents (.txt, .md, .pdf, .html...) as multipart/form-data
+ * POST /ingest/upload
+ * Fields: files (one or more files), store ('true' to chunk, embed and store them),
+ * force ('true' to re-ingest unchanged files), options (JSON chunking options),
+ * recordTemplate (JSON record template for CSV, JSON and JSONL files),
+ * cleaning (JSON array of cleaning steps, or false),
+ * namespace (optional prefix of the sources, e.g. 'team-a')
+ * Files are stored under the 'uploads/<namespace>/<filename>' source ('uploads/<filename>' without a namespace),
+ * so a file uploaded with the same name in the same namespace replaces the stored document.
+ */
+router.post('/upload', (req, res) => {
+  upload(req, res, async (uploadError) => {
+    try {
+      if (uploadError instanceof multer.MulterError) {
+        uploadError.status = uploadError.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      }
+      
+      if (uploadError?.status) {
+        return res.status(uploadError.status).json({ 
+          error: 'Invalid upload',
+          message: uploadError.message
+        });
+      }
+      
+      if (uploadError) {
+        throw uploadError;
+      }
+      
+      if (!req.files || req.files.length === 0) {
+        return res.status(400).json({ 
+          error: 'Invalid request. Please upload at least one file in the "files" field.' 
+        });
+      }
+      
+      let chunkOptions = { strategy: 'character' };
+      let recordTemplate;
+      let cleaning;
+      try {
+        chunkOptions = req.body.options ? JSON.parse(req.body.options) : chunkOptions;
+        recordTemplate = req.body.recordTemplate ? JSON.parse(req.body.recordTemplate) : undefined;
+        cleaning = req.body.cleaning ? JSON.parse(req.body.cleaning) : undefined;
+      } catch (error) {
+        return res.status(400).json({ 
+          error: 'Invalid request. The options, recordTemplate and cleaning fields must be valid JSON.' 
+        });
+      }
+      
+      if (!isValidCleaningOption(cleaning)) {
+        return res.status(400).json({ 
+          error: `Invalid request. cleaning must be false or an array of steps: ${CLEANING_STEPS.join(', ')}.` 
+        });
+      }
+      
+      if (!isValidRecordTemplate(recordTemplate)) {
+        return res.status(400).json({ 
+          error: INVALID_RECORD_TEMPLATE_ERROR 
+        });
+      }
+      
+      const { namespace } = req.body;
+      if (namespace !== undefined && !UPLOAD_NAMESPACE_PATTERN.test(namespace)) {
+        return res.status(400).json({ 
+          error: 'Invalid request. namespace must be path segments of letters, digits, dots, dashes and underscores.' 
+        });
+      }
+      
+      if (req.body.store === 'true') {
+        const results = [];
+        
+        for (const file of req.files) {
+          try {
+            const document = await loadUploadedFile(file, { recordTemplate, namespace });
+            results.push(await ingestDocument(document, {
+              chunkOptions,
+              cleaning: getCleaningSteps(cleaning),
+              force: req.body.force === 'true'
+            }));
+          } catch (error) {
+            console.error(`Error ingesting uploaded file ${file.originalname}:`, error);
+            results.push({ source: getUploadSource(file, namespace), status: 'failed', error: error.message });
+          }
+        }
+        
+        return res.json({
+          success: true,
+          ...summarizeIngestion(results),
+          documentIds: results.filter(result => result.documentId).map(result => result.documentId),
+          results
+        });
+      }
+      
+      // Without storing, return the processed documents like /ingest/local
+      const documents = [];
+      for (const file of req.files) {
+        documents.push(cleanDocument(await loadUploadedFile(file, { recordTemplate, namespace }), getCleaningSteps(cleaning)));
+      }
+      
+      res.json({
+        success: true,
+        count: documents.length,
+        documents
+      });
+    } catch (error) {
+      console.error('Error ingesting uploaded documents:', error);
+      res.status(500).json({ 
+        error: 'Failed to ingest uploaded documents',
+        message: error.message
+      });
+    } finally {
+      // Files are only kept until they are processed
+      removeUploadedFiles(req);
+    }
+  });
+});
+
 export default router;
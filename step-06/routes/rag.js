@@ -4,19 +4,124 @@
  */
 
 import express from 'express';
-import { processQuery, getDocumentInfo } from '../utils/ragPipeline.js';
-import { getEmbedding } from '../utils/embeddings.js';
-import { retrieveTopK } from '../utils/retrieval.js';
+import { processQuery, streamQuery, processChatMessage, getDocumentInfo, retrieveRelevantChunks } from '../utils/ragPipeline.js';
+import { createSession, getSession, getSessionMessages } from '../utils/chatSessions.js';
+import { RETRIEVAL_MODES } from '../utils/retrieval.js';
+import { getFilterError } from '../utils/metadataFilter.js';
+import { MAX_KNN_K } from '../utils/database.js';
 
 const router = express.Router();
 
+/**
+ * Read and validate the retrieval options of a request body
+ * @param {Object} body - Request body
+ * @returns {Object} `{ options }` for retrieveRelevantChunks(), or `{ error }` if an option is invalid
+ */
+function parseRetrievalOptions(body) {
+  const { k, mode, lambda, maxPerDocument, filter, expandParents, window, rerank, rerankCandidates } = body;
+  
+  if (k !== undefined && !(Number.isInteger(k) && k > 0 && k <= MAX_KNN_K)) {
+    return { error: `k must be an integer between 1 and ${MAX_KNN_K}` };
+  }
+  
+  if (mode && !RETRIEVAL_MODES.includes(mode)) {
+    return { error: `Mode must be one of: ${RETRIEVAL_MODES.join(', ')}` };
+  }
+  
+  if (lambda !== undefined && !(typeof lambda === 'number' && lambda >= 0 && lambda <= 1)) {
+    return { error: 'Lambda must be a number between 0 and 1' };
+  }
+  
+  if (maxPerDocument !== undefined && !(Number.isInteger(maxPerDocument) && maxPerDocument > 0)) {
+    return { error: 'maxPerDocument must be a positive integer' };
+  }
+  
+  const filterError = getFilterError(filter);
+  if (filterError) {
+    return { error: filterError };
+  }
+  
+  if (window !== undefined && !(Number.isInteger(window) && window >= 0)) {
+    return { error: 'Window must be a non-negative integer' };
+  }
+  
+  if (rerankCandidates !== undefined && !(Number.isInteger(rerankCandidates) && rerankCandidates > 0)) {
+    return { error: 'rerankCandidates must be a positive integer' };
+  }
+  
+  return {
+    options: {
+      k: k || 3,
+      mode: mode || 'vector',
+      lambda,
+      maxPerDocument,
+      filter,
+      expandParents: expandParents === true,
+      window: window || 0,
+      rerank: rerank === true,
+      rerankCandidates
+    }
+  };
+}
+
+/**
+ * Send a query's answer as Server-Sent Events
+ * @param {Object} res - Express response
+ * @param {string} query - The user's question
+ * @param {Object} pipelineOptions - Options for streamQuery()
+ * The LLM request is aborted if the client disconnects before the answer is complete.
+ */
+async function sendQueryStream(res, query, pipelineOptions) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.flushHeaders();
+  
+  const sendEvent = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  
+  // Stop generating when the client disconnects. The response's 'close' event is used because
+  // the request's fires as soon as its body has been read.
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      controller.abort();
+    }
+  });
+  
+  try {
+    for await (const { event, data } of streamQuery(query, { ...pipelineOptions, signal: controller.signal })) {
+      if (controller.signal.aborted) {
+        break;
+      }
+      sendEvent(event, data);
+    }
+  } catch (error) {
+    if (controller.signal.aborted) {
+      console.log('Client disconnected, stopped streaming the answer');
+    } else {
+      // Headers are already sent, so errors are reported as an event
+      console.error('Error streaming query:', error);
+      sendEvent('error', { error: error.message, success: false });
+    }
+  }
+  
+  res.end();
+}
+
 /**
  * Process a query through the RAG pipeline
  * POST /rag/query
+ * Body: { query: 'question', k: 3, mode: 'vector' | 'keyword' | 'hybrid' | 'mmr', lambda: 0.5, maxPerDocument: 2, filter: { filetype: 'pdf' }, expandParents: false, window: 0, rerank: false, rerankCandidates: 12, stream: false, options: { ...llmOptions } }
+ * With `stream: true` (or `Accept: text/event-stream`), the answer is sent as Server-Sent Events:
+ * `chunks` (retrieved context), `delta` (token deltas), then `done` (usage and timing)
  */
 router.post('/query', async (req, res) => {
   try {
-    const { query, k, options } = req.body;
+    const { query, stream, options } = req.body;
     
     if (!query || typeof query !== 'string') {
       return res.status(400).json({
@@ -25,11 +130,25 @@ router.post('/query', async (req, res) => {
       });
     }
     
-    // Process the query through the RAG pipeline
-    const result = await processQuery(query, {
-      k: k || 3,
+    const { options: retrievalOptions, error } = parseRetrievalOptions(req.body);
+    if (error) {
+      return res.status(400).json({
+        error,
+        success: false
+      });
+    }
+    
+    const pipelineOptions = {
+      ...retrievalOptions,
       llmOptions: options || {}
-    });
+    };
+    
+    if (stream === true || req.accepts(['json', 'text/event-stream']) === 'text/event-stream') {
+      return await sendQueryStream(res, query, pipelineOptions);
+    }
+    
+    // Process the query through the RAG pipeline
+    const result = await processQuery(query, pipelineOptions);
     
     res.json(result);
   } catch (error) {
@@ -42,12 +161,13 @@ router.post('/query', async (req, res) => {
 });
 
 /**
- * Retrieve chunks similar to a query
+ * Retrieve chunks relevant to a query
  * POST /rag/retrieve
+ * Body: { query: 'search text', k: 3, mode: 'vector' | 'keyword' | 'hybrid' | 'mmr', lambda: 0.5, maxPerDocument: 2, filter: { filetype: 'pdf' }, expandParents: false, window: 0, rerank: false, rerankCandidates: 12 }
  */
 router.post('/retrieve', async (req, res) => {
   try {
-    const { query, k } = req.body;
+    const { query } = req.body;
     
     if (!query || typeof query !== 'string') {
       return res.status(400).json({
@@ -56,13 +176,20 @@ router.post('/retrieve', async (req, res) => {
       });
     }
     
-    // Generate embedding for the query
-    const queryEmbedding = await getEmbedding(query);
+    const { options: retrievalOptions, error } = parseRetrievalOptions(req.body);
+    if (error) {
+      return res.status(400).json({
+        error,
+        success: false
+      });
+    }
     
-    // Retrieve relevant chunks
-    const chunks = retrieveTopK(queryEmbedding, k || 3);
+    // Retrieve relevant chunks, as the pipeline would for /rag/query
+    const chunks = await retrieveRelevantChunks(query, retrievalOptions);
     
     res.json({
+      mode: retrievalOptions.mode,
+      reranked: retrievalOptions.rerank,
       chunks,
       success: true
     });
@@ -106,4 +233,127 @@ router.get('/document/:id', async (req, res) => {
   }
 });
 
+/**
+ * Create a chat session
+ * POST /rag/sessions
+ * Body: { title: 'optional title' }
+ */
+router.post('/sessions', (req, res) => {
+  try {
+    const { title } = req.body || {};
+    
+    if (title !== undefined && typeof title !== 'string') {
+      return res.status(400).json({
+        error: 'Title must be a string',
+        success: false
+      });
+    }
+    
+    const session = createSession(title || null);
+    
+    res.status(201).json({
+      session,
+      success: true
+    });
+  } catch (error) {
+    console.error('Error creating chat session:', error);
+    res.status(500).json({
+      error: error.message,
+      success: false
+    });
+  }
+});
+
+/**
+ * Get a chat session with its message history
+ * GET /rag/sessions/:id
+ */
+router.get('/sessions/:id', (req, res) => {
+  try {
+    const sessionId = parseInt(req.params.id);
+    
+    if (isNaN(sessionId)) {
+      return res.status(400).json({
+        error: 'Session ID must be a number',
+        success: false
+      });
+    }
+    
+    const session = getSession(sessionId);
+    
+    if (!session) {
+      return res.status(404).json({
+        error: `Chat session with ID ${sessionId} not found`,
+        success: false
+      });
+    }
+    
+    res.json({
+      session,
+      messages: getSessionMessages(sessionId),
+      success: true
+    });
+  } catch (error) {
+    console.error('Error getting chat session:', error);
+    res.status(500).json({
+      error: error.message,
+      success: false
+    });
+  }
+});
+
+/**
+ * Post a message to a chat session and get the answer
+ * POST /rag/sessions/:id/messages
+ * Body: { message: 'follow-up question', k: 3, mode: 'vector' | 'keyword' | 'hybrid' | 'mmr', lambda: 0.5, maxPerDocument: 2, filter: { filetype: 'pdf' }, expandParents: false, window: 0, rerank: false, rerankCandidates: 12, options: { ...llmOptions } }
+ */
+router.post('/sessions/:id/messages', async (req, res) => {
+  try {
+    const sessionId = parseInt(req.params.id);
+    const { message, options } = req.body;
+    
+    if (isNaN(sessionId)) {
+      return res.status(400).json({
+        error: 'Session ID must be a number',
+        success: false
+      });
+    }
+    
+    if (!message || typeof message !== 'string') {
+      return res.status(400).json({
+        error: 'Message is required and must be a string',
+        success: false
+      });
+    }
+    
+    const { options: retrievalOptions, error } = parseRetrievalOptions(req.body);
+    if (error) {
+      return res.status(400).json({
+        error,
+        success: false
+      });
+    }
+    
+    if (!getSession(sessionId)) {
+      return res.status(404).json({
+        error: `Chat session with ID ${sessionId} not found`,
+        success: false
+      });
+    }
+    
+    const result = await processChatMessage(sessionId, message, {
+      ...retrievalOptions,
+      llmOptions: options || {}
+    });
+    
+    res.json(result);
+  } catch (error) {
+    console.error('Error processing chat message:', error);
+    res.status(500).json({
+      error: error.message,
+      success: false
+    });
+  }
+});
+
 export default router;
@@ -4,32 +4,42 @@
 
 import express from 'express';
 import { processDocument } from '../utils/documentProcessor.js';
-import { chunkDocument } from '../utils/documentChunker.js';
+import { CLEANING_STEPS, isValidCleaningOption, getCleaningSteps } from '../utils/textCleaner.js';
 import { getEmbedding } from '../utils/embeddings.js';
+import { ingestDocument } from '../utils/ingestion.js';
+import { selectByMmr, limitPerDocument, DIVERSITY_CANDIDATES_FACTOR } from '../utils/retrieval.js';
+import { getFilterError } from '../utils/metadataFilter.js';
+import { MAX_KNN_K } from '../utils/database.js';
 import { 
-  storeDocumentWithChunks, 
   findSimilarChunks,
   getAllDocuments,
-  getDocumentChunks
+  getDocumentChunks,
+  deleteDocument,
+  deleteChunk,
+  updateChunkText,
+  resetCollection
 } from '../utils/vectorStorage.js';
 
 const router = express.Router();
 
 /**
  * Endpoint to store a document with chunks in the vector database
+ * Re-storing the same file replaces its chunks, or does nothing if its content is unchanged
  * POST /vectorstore/store
  * Body: { 
  *   filePath: '/path/to/file.txt',
+ *   force: false,
  *   options: { 
  *     strategy: 'character', 
  *     chunkSize: 1000, 
  *     chunkOverlap: 200 
- *   }
+ *   },
+ *   cleaning: ['normalizeUnicode', 'collapseWhitespace']
  * }
  */
 router.post('/store', async (req, res) => {
   try {
-    const { filePath, options } = req.body;
+    const { filePath, options, force, cleaning } = req.body;
     
     if (!filePath) {
       return res.status(400).json({ 
@@ -37,20 +47,28 @@ router.post('/store', async (req, res) => {
       });
     }
     
+    if (!isValidCleaningOption(cleaning)) {
+      return res.status(400).json({ 
+        error: `Invalid request. cleaning must be false or an array of steps: ${CLEANING_STEPS.join(', ')}.` 
+      });
+    }
+    
     // Process the document
     const document = await processDocument(filePath);
     
-    // Chunk the document and generate embeddings
-    const chunks = await chunkDocument(document, options || { strategy: 'character' });
-    
-    // Store document and chunks in the vector database
-    const result = storeDocumentWithChunks(document, chunks);
+    // Chunk, embed and store the document unless it is unchanged
+    const result = await ingestDocument(document, {
+      chunkOptions: options || { strategy: 'character' },
+      cleaning: getCleaningSteps(cleaning),
+      force: force === true
+    });
     
     // Return the result
     res.json({
       success: true,
+      status: result.status,
       documentId: result.documentId,
-      chunkCount: chunks.length
+      chunkCount: result.chunkCount
     });
   } catch (error) {
     console.error('Error storing document:', error);
@@ -67,12 +85,20 @@ router.post('/store', async (req, res) => {
  * Body: { 
  *   query: 'search query text',
  *   limit: 5,
- *   threshold: 0.7
+ *   threshold: 0.7,
+ *   mode: 'vector' | 'mmr',
+ *   lambda: 0.5,
+ *   maxPerDocument: 2,
+ *   filter: { filetype: 'markdown', sourcePrefix: '/data/monsters/' }
  * }
+ * Modes are named as for /rag/retrieve ('similarity' is accepted as an alias of 'vector').
+ * The 'mmr' mode picks chunks that are relevant but not redundant with each other,
+ * lambda balancing relevance (1) against diversity (0).
+ * The filter restricts the search to the chunks whose document and chunk metadata match it.
  */
 router.post('/search', async (req, res) => {
   try {
-    const { query, limit = 5, threshold = 0.7 } = req.body;
+    const { query, limit = 5, threshold = 0.7, mode = 'vector', lambda = 0.5, maxPerDocument, filter } = req.body;
     
     if (!query) {
       return res.status(400).json({ 
@@ -80,16 +106,67 @@ router.post('/search', async (req, res) => {
       });
     }
     
+    const resultLimit = Number(limit);
+    if (!(Number.isInteger(resultLimit) && resultLimit > 0 && resultLimit <= MAX_KNN_K)) {
+      return res.status(400).json({
+        error: `Invalid request. Limit must be an integer between 1 and ${MAX_KNN_K}.`
+      });
+    }
+    
+    if (!['vector', 'similarity', 'mmr'].includes(mode)) {
+      return res.status(400).json({
+        error: 'Invalid request. Mode must be one of: vector, mmr.'
+      });
+    }
+    
+    // Numbers are checked as they are, like the options of /rag/retrieve: strings such as "2abc" aren't parsed
+    if (!(typeof threshold === 'number' && threshold >= 0 && threshold <= 1)) {
+      return res.status(400).json({
+        error: 'Invalid request. Threshold must be a number between 0 and 1.'
+      });
+    }
+    
+    if (!(typeof lambda === 'number' && lambda >= 0 && lambda <= 1)) {
+      return res.status(400).json({
+        error: 'Invalid request. Lambda must be a number between 0 and 1.'
+      });
+    }
+    
+    if (maxPerDocument !== undefined && !(Number.isInteger(maxPerDocument) && maxPerDocument > 0)) {
+      return res.status(400).json({
+        error: 'Invalid request. maxPerDocument must be a positive integer.'
+      });
+    }
+    const maxChunksPerDocument = maxPerDocument ?? null;
+    
+    const filterError = getFilterError(filter);
+    if (filterError) {
+      return res.status(400).json({
+        error: `Invalid request. ${filterError}.`
+      });
+    }
+    
     // Generate embedding for the query
     const queryEmbedding = await getEmbedding(query);
     
-    // Find similar chunks
-    const similarChunks = findSimilarChunks(
+    // Find similar chunks, with extra candidates to pick from when diversifying
+    const diversify = mode === 'mmr' || maxChunksPerDocument !== null;
+    let similarChunks = findSimilarChunks(
       queryEmbedding, 
-      parseInt(limit), 
-      parseFloat(threshold)
+      diversify ? resultLimit * DIVERSITY_CANDIDATES_FACTOR : resultLimit, 
+      threshold,
+      filter
     );
     
+    if (mode === 'mmr') {
+      similarChunks = selectByMmr(queryEmbedding, similarChunks, resultLimit, {
+        lambda,
+        maxPerDocument: maxChunksPerDocument
+      });
+    } else if (maxChunksPerDocument !== null) {
+      similarChunks = limitPerDocument(similarChunks, maxChunksPerDocument).slice(0, resultLimit);
+    }
+    
     // Return the results
     res.json({
       success: true,
@@ -159,4 +236,141 @@ router.get('/documents/:id/chunks', (req, res) => {
   }
 });
 
+/**
+ * Endpoint to delete every document and chunk
+ * DELETE /vectorstore/documents?confirm=true
+ */
+router.delete('/documents', (req, res) => {
+  try {
+    if (req.query.confirm !== 'true') {
+      return res.status(400).json({ 
+        error: 'This deletes the whole collection. Add ?confirm=true to proceed.' 
+      });
+    }
+    
+    const deleted = resetCollection();
+    
+    res.json({
+      success: true,
+      deletedDocuments: deleted.documents,
+      deletedChunks: deleted.chunks
+    });
+  } catch (error) {
+    console.error('Error resetting collection:', error);
+    res.status(500).json({ 
+      error: 'Failed to reset collection',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Endpoint to delete a document and its chunks
+ * DELETE /vectorstore/documents/:id
+ */
+router.delete('/documents/:id', (req, res) => {
+  try {
+    const documentId = parseInt(req.params.id);
+    
+    if (isNaN(documentId)) {
+      return res.status(400).json({ 
+        error: 'Invalid document ID.' 
+      });
+    }
+    
+    if (!deleteDocument(documentId)) {
+      return res.status(404).json({ 
+        error: `Document ${documentId} not found.` 
+      });
+    }
+    
+    res.json({
+      success: true,
+      documentId
+    });
+  } catch (error) {
+    console.error('Error deleting document:', error);
+    res.status(500).json({ 
+      error: 'Failed to delete document',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Endpoint to delete a single chunk
+ * DELETE /vectorstore/chunks/:id
+ */
+router.delete('/chunks/:id', (req, res) => {
+  try {
+    const chunkId = parseInt(req.params.id);
+    
+    if (isNaN(chunkId)) {
+      return res.status(400).json({ 
+        error: 'Invalid chunk ID.' 
+      });
+    }
+    
+    if (!deleteChunk(chunkId)) {
+      return res.status(404).json({ 
+        error: `Chunk ${chunkId} not found.` 
+      });
+    }
+    
+    res.json({
+      success: true,
+      chunkId
+    });
+  } catch (error) {
+    console.error('Error deleting chunk:', error);
+    res.status(500).json({ 
+      error: 'Failed to delete chunk',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Endpoint to edit the text of a chunk (the chunk is re-embedded)
+ * PATCH /vectorstore/chunks/:id
+ * Body: { text: 'corrected chunk text' }
+ */
+router.patch('/chunks/:id', async (req, res) => {
+  try {
+    const chunkId = parseInt(req.params.id);
+    const { text } = req.body;
+    
+    if (isNaN(chunkId)) {
+      return res.status(400).json({ 
+        error: 'Invalid chunk ID.' 
+      });
+    }
+    
+    if (!text || typeof text !== 'string') {
+      return res.status(400).json({ 
+        error: 'Invalid request. Please provide the new chunk text.' 
+      });
+    }
+    
+    const chunk = await updateChunkText(chunkId, text);
+    
+    if (!chunk) {
+      return res.status(404).json({ 
+        error: `Chunk ${chunkId} not found.` 
+      });
+    }
+    
+    res.json({
+      success: true,
+      chunk
+    });
+  } catch (error) {
+    console.error('Error updating chunk:', error);
+    res.status(500).json({ 
+      error: 'Failed to update chunk',
+      message: error.message
+    });
+  }
+});
+
 export default router;
@@ -0,0 +1,192 @@
+/**
+ * Shared helpers for the offline test scripts
+ * Importing this module selects the offline hash embeddings and word-overlap reranker, useScratchDatabase()
+ * points the database at a temporary file and useFakeLlm() answers for the LLM API, so the tests need neither
+ * a model nor an API key
+ */
+
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+
+// Must be set before the embedding and reranker modules are loaded: tests import the modules under test after this one
+process.env.EMBEDDING_PROVIDER = 'hash';
+process.env.RERANK_PROVIDER = 'overlap';
+
+let failures = 0;
+let usesDatabase = false;
+const tempDirs = [];
+
+// Delay between the token deltas streamed by the fake LLM
+const FAKE_LLM_DELTA_MS = 20;
+
+/**
+ * Log the result of a check
+ * @param {boolean} condition - Whether the check passed
+ * @param {string} description - What was checked
+ */
+export function check(condition, description) {
+  if (condition) {
+    console.log(`✅ ${description}`);
+  } else {
+    console.error(`❌ ${description}`);
+    failures++;
+  }
+}
+
+/**
+ * Get the error a promise rejects with
+ * @param {Promise} promise - Promise expected to reject
+ * @returns {Promise<Error|null>} The error, or null if the promise resolved
+ */
+export async function getRejection(promise) {
+  try {
+    await promise;
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+/**
+ * Create a temporary directory, removed when the tests finish
+ * @param {string} name - Short name used in the directory name
+ * @returns {string} Path of the directory
+ */
+export function createTempDir(name) {
+  const dirPath = fs.mkdtempSync(path.join(os.tmpdir(), `rag-test-${name}-`));
+  tempDirs.push(dirPath);
+  return dirPath;
+}
+
+/**
+ * Point the database at a scratch file, removed when the tests finish
+ * Must be called before the database module is loaded
+ * @returns {string} Path of the database file
+ */
+export function useScratchDatabase() {
+  process.env.VECTOR_DB_PATH = path.join(createTempDir('db'), 'vectordb.sqlite');
+  usesDatabase = true;
+  return process.env.VECTOR_DB_PATH;
+}
+
+/**
+ * Start an HTTP server on a free local port
+ * The server is left running: the test script exits when its tests finish
+ * @param {Function} handler - Request handler, or an Express app
+ * @returns {Promise<string>} Base URL of the server
+ */
+export async function startServer(handler) {
+  const server = http.createServer(handler);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+/**
+ * Start a fake OpenAI-compatible chat completions endpoint and point the LLM client at it
+ * Must be called before the LLM module is loaded
+ * @param {Function} reply - Gets the request body and returns the answer as a list of token deltas,
+ *   or null to fail the request
+ * @returns {Promise<Array<Object>>} Requests received, in order: { body, deltasSent, completed },
+ *   where completed is set once the response is closed (false if the client went away first)
+ */
+export async function useFakeLlm(reply) {
+  const requests = [];
+  
+  const url = await startServer((req, res) => {
+    let rawBody = '';
+    req.on('data', data => {
+      rawBody += data;
+    });
+    req.on('end', () => {
+      const request = { body: JSON.parse(rawBody), deltasSent: 0, completed: null };
+      requests.push(request);
+      const deltas = reply(request.body);
+      
+      if (!deltas) {
+        res.writeHead(503, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'The fake LLM is down' }));
+        request.completed = true;
+        return;
+      }
+      
+      if (!request.body.stream) {
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ choices: [{ message: { role: 'assistant', content: deltas.join('') } }] }));
+        request.completed = true;
+        return;
+      }
+      
+      res.setHeader('Content-Type', 'text/event-stream');
+      res.on('close', () => {
+        request.completed = res.writableFinished;
+      });
+      
+      const timer = setInterval(() => {
+        if (res.destroyed) {
+          clearInterval(timer);
+        } else if (request.deltasSent < deltas.length) {
+          const content = deltas[request.deltasSent++];
+          res.write(`data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`);
+        } else {
+          clearInterval(timer);
+          res.write(`data: ${JSON.stringify({ choices: [], usage: { completion_tokens: deltas.length } })}\n\n`);
+          res.end('data: [DONE]\n\n');
+        }
+      }, FAKE_LLM_DELTA_MS);
+    });
+  });
+  
+  process.env.LLM_API_KEY = 'test-key';
+  process.env.LLM_API_ENDPOINT = `${url}/v1/chat/completions`;
+  return requests;
+}
+
+/**
+ * Wait until a condition holds
+ * @param {Function} condition - Checked every few milliseconds
+ * @param {number} [timeoutMs] - Time after which waiting fails
+ * @returns {Promise<void>}
+ * @throws {Error} If the condition still doesn't hold after the timeout
+ */
+export async function waitFor(condition, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error(`Condition not met after ${timeoutMs} ms`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+/**
+ * Run a test script's tests, clean up and exit with their result
+ * @param {string} name - What is tested, e.g. 'retrieval'
+ * @param {Function} tests - Async function running the tests
+ */
+export async function runTests(name, tests) {
+  const title = name.charAt(0).toUpperCase() + name.slice(1);
+  console.log(`🧪 Testing ${name}...`);
+  
+  try {
+    await tests();
+  } catch (error) {
+    console.error(`❌ ${title} tests failed with an error:`, error);
+    failures++;
+  } finally {
+    if (usesDatabase) {
+      const { closeDatabase } = await import('../utils/database.js');
+      closeDatabase();
+    }
+    tempDirs.forEach(dirPath => fs.rmSync(dirPath, { recursive: true, force: true }));
+  }
+  
+  if (failures > 0) {
+    console.error(`\n❌ ${failures} ${name} check(s) failed`);
+    process.exit(1);
+  }
+  
+  console.log(`\n✅ ${title} tests completed successfully!`);
+  process.exit(0);
+}
@@ -17,7 +17,21 @@ const testFiles = [
   'test_embedding.js',
   'test_api.js',
   'test_direct.js',
-  'test_ragmonsters_pipeline.js'
+  'test_ragmonsters_pipeline.js',
+  'test_metadata_filter.js',
+  'test_retrieval.js',
+  'test_loaders.js',
+  'test_directory_ingest.js',
+  'test_rag_api.js',
+  'test_database_migration.js',
+  'test_incremental_ingest.js',
+  'test_vectorstore_api.js',
+  'test_ingest_api.js',
+  'test_pdf_pages.js',
+  'test_chunkers.js',
+  'test_text_cleaner.js',
+  'test_context_expansion.js',
+  'test_reranking.js'
 ];
 
 // Run tests sequentially
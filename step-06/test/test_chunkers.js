@@ -0,0 +1,179 @@
+/**
+ * Test script for the chunking strategies
+ * Checks that code blocks and tables of markdown documents are never split,
+ * token chunks measured with the tokenizer of the embedding model (words, for the offline hash embeddings),
+ * and semantic chunks that end where the topic changes and never exceed their maximum size
+ */
+
+import { check, runTests } from './helpers.js';
+
+// Must be set before the embedding module is loaded: the hash embeddings have no input limit of their own
+process.env.EMBEDDING_MAX_TOKENS = '30';
+
+const { chunkDocument } = await import('../utils/documentChunker.js');
+const { getTokenizer, getEmbeddings } = await import('../utils/embeddings.js');
+const { splitSemantically } = await import('../utils/chunking/semanticChunker.js');
+
+const CODE_BLOCK = '```js\nconst glow = true;\nhunt(caves);\n```';
+const TABLE = '| Monster | Power |\n|---|---|\n| Glimmerfang | 7 |\n| Emberclaw | 9 |';
+
+/**
+ * Build a document to chunk
+ * @param {string} text - Document text
+ * @param {string} filetype - Type of the source file
+ * @returns {Object} Document object
+ */
+function createDocument(text, filetype) {
+  return { text, metadata: { source: `test/monsters.${filetype}`, filetype } };
+}
+
+/**
+ * Count the chunks holding a whole block, and the chunks holding only part of it
+ * @param {Array<Object>} chunks - Chunks with text
+ * @param {string} block - Code block or table
+ * @returns {Object} { whole, partial }
+ */
+function countBlock(chunks, block) {
+  const lines = block.split('\n');
+  return {
+    whole: chunks.filter(chunk => chunk.text.includes(block)).length,
+    partial: chunks.filter(chunk => !chunk.text.includes(block) && lines.some(line => chunk.text.includes(line))).length
+  };
+}
+
+/**
+ * Test that markdown blocks are kept whole
+ */
+async function testMarkdownBlocks() {
+  console.log('\n🧪 Testing markdown blocks...');
+  
+  // Without spaces to break at, character chunks would often end inside the placeholders of the blocks
+  const text = `Glimmerfang-hunts-in-crystal-caves\n${CODE_BLOCK}\nThen-it-rests.\n${TABLE}\nEmberclaw-wakes.`;
+  const document = createDocument(text, 'markdown');
+  
+  const lost = [];
+  for (let chunkSize = 10; chunkSize <= 60; chunkSize++) {
+    const chunks = await chunkDocument(document, { strategy: 'character', chunkSize, chunkOverlap: 1 });
+    if (countBlock(chunks, CODE_BLOCK).whole === 0 || countBlock(chunks, TABLE).whole === 0) {
+      lost.push(chunkSize);
+    }
+  }
+  check(lost.length === 0, `Character chunks never cut a code block or table out (lost with chunkSize ${lost.join(', ') || 'none'})`);
+  
+  for (const strategy of ['recursive', 'token', 'paragraph']) {
+    const chunks = await chunkDocument(document, { strategy, chunkSize: 8, chunkOverlap: 2, maxParagraphsPerChunk: 1 });
+    const code = countBlock(chunks, CODE_BLOCK);
+    const table = countBlock(chunks, TABLE);
+    check(code.whole > 0 && code.partial === 0 && table.whole > 0 && table.partial === 0,
+      `The ${strategy} strategy keeps code blocks and tables whole`);
+  }
+  
+  const headings = await chunkDocument(createDocument('# Monsters\n\n```sh\n# not a heading\nls\n```', 'markdown'), { strategy: 'heading' });
+  check(headings.length === 1 && headings[0].metadata.title === 'Monsters', '# comments in code blocks aren\'t headings');
+}
+
+/**
+ * Test that other formats aren't protected
+ */
+async function testOtherFormats() {
+  console.log('\n🧪 Testing other formats...');
+  
+  const rows = Array.from({ length: 6 }, (_, index) => `| row ${index} | of a text file |`).join('\n');
+  const markdownChunks = await chunkDocument(createDocument(rows, 'markdown'), { strategy: 'character', chunkSize: 40, chunkOverlap: 5 });
+  check(markdownChunks.length === 1, 'Pipe rows of markdown are a table kept in one chunk');
+  
+  for (const filetype of ['text', 'pdf', 'html']) {
+    const chunks = await chunkDocument(createDocument(rows, filetype), { strategy: 'character', chunkSize: 40, chunkOverlap: 5 });
+    check(chunks.length > 1 && chunks.every(chunk => chunk.text.length <= 40), `Pipe rows of ${filetype} files are chunked like other text`);
+  }
+  
+  const code = await chunkDocument(createDocument('# Script\n\n```\n# Step one\nrun\n```', 'text'), { strategy: 'heading' });
+  check(code.length === 2 && code[1].metadata.title === 'Step one', 'Fences of other formats don\'t hide headings');
+}
+
+/**
+ * Test token chunking
+ */
+async function testTokenChunks() {
+  console.log('\n🧪 Testing token chunks...');
+  
+  const { countTokens } = await getTokenizer();
+  const sentences = Array.from({ length: 12 }, (_, index) => `Monster number ${index} hunts in the caves.`);
+  const prose = sentences.join(' ');
+  
+  const chunks = await chunkDocument(createDocument(prose, 'text'), { strategy: 'token', chunkSize: 20, chunkOverlap: 5 });
+  check(chunks.length > 1 && chunks.every(chunk => countTokens(chunk.text) <= 20), 'Chunks have at most chunkSize tokens');
+  check(chunks.slice(0, -1).every(chunk => chunk.text.endsWith('.')), 'Chunks end at a sentence boundary when one is close');
+  const overlaps = (previous, next) => [2, 3, 4, 5].some(words => previous.endsWith(next.split(' ').slice(0, words).join(' ')));
+  check(chunks.slice(1).every((chunk, index) => overlaps(chunks[index].text, chunk.text)), 'Chunks start with the last words of the previous one');
+  
+  const defaults = await chunkDocument(createDocument(prose, 'text'), { strategy: 'token' });
+  check(defaults.length > 1 && defaults.every(chunk => countTokens(chunk.text) <= 30), 'Chunks default to the model\'s maximum input');
+  
+  // The code block alone has 12 tokens: placeholders would count as 1
+  const markdown = [sentences.slice(0, 4).join(' '), CODE_BLOCK.replace('hunt(caves);', 'hunt(caves, prey, night, moon, light);'),
+    sentences.slice(4, 8).join(' '), TABLE, sentences.slice(8).join(' ')].join('\n\n');
+  const codeBlock = markdown.split('\n\n')[1];
+  const blockChunks = await chunkDocument(createDocument(markdown, 'markdown'), { strategy: 'token', chunkSize: 25, chunkOverlap: 5 });
+  const sizes = blockChunks.map(chunk => countTokens(chunk.text));
+  check(sizes.every(size => size <= 25), `Code blocks and tables count with their own tokens (chunk sizes ${sizes.join(', ')})`);
+  check(countBlock(blockChunks, codeBlock).partial === 0 && countBlock(blockChunks, codeBlock).whole > 0
+    && countBlock(blockChunks, TABLE).partial === 0 && countBlock(blockChunks, TABLE).whole > 0, 'Blocks stay whole in token chunks');
+  
+  const warnings = [];
+  const warn = console.warn;
+  console.warn = message => warnings.push(message);
+  const split = await chunkDocument(createDocument(markdown, 'markdown'), { strategy: 'token', chunkSize: 25, chunkOverlap: 5, oversizedChunks: 'split' });
+  const warned = await chunkDocument(createDocument(markdown, 'markdown'), { strategy: 'token', chunkSize: 25, chunkOverlap: 5 });
+  console.warn = warn;
+  check(countBlock(split, codeBlock).partial === 0 && countBlock(split, TABLE).partial === 0 && split.length === blockChunks.length,
+    'Splitting oversized chunks leaves token chunks with blocks alone');
+  check(warned.length === blockChunks.length && warnings.length === 0, 'Token chunks with blocks aren\'t reported as oversized');
+  
+  // Without a sentence boundary, the first chunk fills up right before the block
+  const intro = 'one two three four five six seven eight nine ten';
+  const bigBlock = '```\n' + Array.from({ length: 24 }, (_, index) => `step${index}();`).join('\n') + '\n```';
+  const big = await chunkDocument(createDocument(`${intro}\n\n${bigBlock}\n\nOutro words here.`, 'markdown'), { strategy: 'token', chunkSize: 10, chunkOverlap: 2 });
+  check(countBlock(big, bigBlock).whole === 1 && countBlock(big, bigBlock).partial === 0, 'A block longer than a chunk is kept whole in its own chunk');
+}
+
+/**
+ * Test semantic chunking
+ */
+async function testSemanticChunks() {
+  console.log('\n🧪 Testing semantic chunks...');
+  
+  const caves = 'Glimmerfang hunts in crystal caves. Crystal caves glow for Glimmerfang. Glimmerfang sleeps in crystal caves.';
+  const fire = 'Emberclaw breathes fire over plains. Fire burns the plains of Emberclaw. Emberclaw rests after fire.';
+  const topics = await chunkDocument(createDocument(`${caves} ${fire}`, 'text'),
+    { strategy: 'semantic', breakpointPercentile: 10, minChunkSize: 0, maxChunkSize: 1000 });
+  check(topics.map(chunk => chunk.text).join('|') === `${caves}|${fire}`, 'Chunks end where the topic changes');
+  
+  const longSentence = Array.from({ length: 40 }, (_, index) => `word${index}`).join(' ') + '.';
+  const long = await chunkDocument(createDocument(`Short intro. ${longSentence} Short outro.`, 'text'),
+    { strategy: 'semantic', minChunkSize: 0, maxChunkSize: 60 });
+  const words = long.flatMap(chunk => chunk.text.split(' '));
+  check(long.length > 4 && long.every(chunk => chunk.text.length <= 60), 'Sentences longer than maxChunkSize are split into smaller chunks');
+  check(words.join(' ') === `Short intro. ${longSentence} Short outro.`, 'Long sentences are split between words');
+  
+  const embedTexts = texts => {
+    if (texts.some(text => !text.trim())) {
+      throw new Error('Blank text embedded');
+    }
+    return getEmbeddings(texts);
+  };
+  const blank = await splitSemantically('  \nFirst one. Second one.', embedTexts, { bufferSize: 0, minChunkSize: 0 });
+  check(blank.join('|').replace(/\|/g, ' ') === 'First one. Second one.', 'Blank sentences aren\'t embedded');
+  
+  const markdown = await chunkDocument(createDocument(`${caves}\n\n${CODE_BLOCK}\n\n${fire}\n\n${TABLE}`, 'markdown'),
+    { strategy: 'semantic', minChunkSize: 0, maxChunkSize: 40 });
+  check(countBlock(markdown, CODE_BLOCK).whole === 1 && countBlock(markdown, CODE_BLOCK).partial === 0
+    && countBlock(markdown, TABLE).whole === 1 && countBlock(markdown, TABLE).partial === 0, 'Semantic chunks keep blocks whole');
+}
+
+runTests('chunkers', async () => {
+  await testMarkdownBlocks();
+  await testOtherFormats();
+  await testTokenChunks();
+  await testSemanticChunks();
+});
@@ -0,0 +1,192 @@
+/**
+ * Test script for expanding retrieved chunks into more context
+ * Checks that chunks link to the parent chunks they are cut from, that retrieval swaps matched chunks
+ * for their deduplicated parents before the prompt is built, and that sentence windows add the neighbours
+ * of matched chunks, merged and in order
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { check, createTempDir, useScratchDatabase, useFakeLlm, runTests } from './helpers.js';
+
+// Must be set before the database and LLM modules are loaded
+useScratchDatabase();
+const llmRequests = await useFakeLlm(() => ['In crystal caves.']);
+
+const { processDocument } = await import('../utils/documentProcessor.js');
+const { chunkDocument } = await import('../utils/documentChunker.js');
+const { ingestFiles } = await import('../utils/ingestion.js');
+const { retrieveChunks, expandToParents, expandToWindows } = await import('../utils/retrieval.js');
+const { retrieveRelevantChunks, processQuery } = await import('../utils/ragPipeline.js');
+
+const FIXTURES_DIR = createTempDir('expansion');
+
+// One chunk per paragraph, under one parent per section
+const PARENT_OPTIONS = { strategy: 'paragraph', maxParagraphsPerChunk: 1, paragraphOverlap: 0, parent: { strategy: 'heading' } };
+
+// Each heading starts the paragraph of its first chunk.
+// The three Glimmerfang chunks are about crystal, and outrank the one of the Emberclaw section
+const SECTIONS = {
+  Glimmerfang: [
+    'Glimmerfang hunts in crystal caves, under crystal arches.',
+    'Crystal shards cover its crystal scales.',
+    'It glows at night, like crystal on crystal.'
+  ],
+  Emberclaw: [
+    'Emberclaw breathes fire over the plains.',
+    'It melts crystal with the breath it keeps for its hunts in the hottest volcanoes.'
+  ],
+  Frostmaw: [
+    'Frostmaw sleeps under the glacier.'
+  ]
+};
+
+const MONSTERS_PATH = path.join(FIXTURES_DIR, 'monsters.md');
+fs.writeFileSync(MONSTERS_PATH, Object.entries(SECTIONS)
+  .map(([title, paragraphs]) => `# ${title}\n${paragraphs.join('\n\n')}`)
+  .join('\n\n'));
+
+// A file stored without parents
+const NOTES_PATH = path.join(FIXTURES_DIR, 'notes.md');
+fs.writeFileSync(NOTES_PATH, 'Crystal caves are cold, and nobody knows what lives in the dark behind them.');
+
+// Paragraphs of a file chunked one paragraph per chunk for sentence windows (its chunks get the heading of their section)
+const PARAGRAPHS = [
+  '# Glimmerfang\nGlimmerfang hunts in the caves.',
+  'Its scales shimmer.',
+  'It nests near water.',
+  '# Emberclaw\nEmberclaw breathes fire.',
+  'Its wings are huge.'
+];
+const WINDOWS_PATH = path.join(FIXTURES_DIR, 'windows.md');
+fs.writeFileSync(WINDOWS_PATH, PARAGRAPHS.join('\n\n'));
+
+/**
+ * Test the parents of chunks
+ */
+async function testParentChunks() {
+  console.log('\n🧪 Testing parent chunks...');
+  
+  const chunks = await chunkDocument(await processDocument(MONSTERS_PATH), PARENT_OPTIONS);
+  check(chunks.length === 6 && chunks.every(chunk => chunk.parent && chunk.parent.text.includes(chunk.text)),
+    'Each chunk links to a parent containing its text');
+  check(JSON.stringify(chunks.map(chunk => chunk.parent.index)) === '[0,0,0,1,1,2]', 'Chunks of a section share its parent');
+  check(chunks.every(chunk => Object.keys(SECTIONS).includes(chunk.parent.metadata.title)
+    && chunk.metadata.title === chunk.parent.metadata.title
+    && SECTIONS[chunk.parent.metadata.title].every(paragraph => chunk.parent.text.includes(paragraph))),
+  'Parents are whole sections, and chunks inherit their heading');
+  
+  const withoutParents = await chunkDocument(await processDocument(MONSTERS_PATH), { strategy: 'paragraph', maxParagraphsPerChunk: 1 });
+  check(withoutParents.every(chunk => chunk.parent === undefined), 'Without a parent strategy, chunks have no parent');
+}
+
+/**
+ * Test replacing chunks with their parents
+ */
+async function testExpandToParents() {
+  console.log('\n🧪 Testing parent expansion...');
+  
+  await ingestFiles([MONSTERS_PATH], { chunkOptions: PARENT_OPTIONS });
+  await ingestFiles([NOTES_PATH], { chunkOptions: { strategy: 'paragraph' } });
+  
+  const chunks = retrieveChunks('crystal', null, { mode: 'keyword', k: 10 });
+  check(chunks.length === 5 && chunks.slice(0, 3).every(chunk => chunk.parentId === chunks[0].parentId),
+    'The three Glimmerfang chunks are the best matches');
+  
+  const expanded = expandToParents(chunks);
+  const sections = expanded.map(chunk => chunk.metadata.headingPath ?? chunk.source).join(', ');
+  check(expanded.length === 3, `Chunks of the same parent are merged (${sections})`);
+  
+  const [glimmerfang, ...others] = expanded;
+  check(glimmerfang.metadata.headingPath === 'Glimmerfang' && SECTIONS.Glimmerfang.every(paragraph => glimmerfang.text.includes(paragraph)),
+    'The best chunk\'s parent comes first, with the text of the whole section');
+  check(JSON.stringify(glimmerfang.matchedChunkIds) === JSON.stringify(chunks.slice(0, 3).map(chunk => chunk.id)),
+    'A parent lists the chunks that matched, best first');
+  check(glimmerfang.id === chunks[0].id && glimmerfang.score === chunks[0].score, 'A parent keeps the scores of its best chunk');
+  
+  const notes = others.find(chunk => chunk.source === NOTES_PATH);
+  const notesChunk = chunks.find(chunk => chunk.source === NOTES_PATH);
+  check(notes && notes.parentId === null && notes.text === notesChunk.text && notes.matchedChunkIds[0] === notesChunk.id,
+    'Chunks without a parent are kept as they are');
+  check(JSON.stringify(expanded.map(chunk => chunk.matchedChunkIds[0])) === JSON.stringify(
+    chunks.filter((chunk, index) => chunks.findIndex(other => (other.parentId ?? other.id) === (chunk.parentId ?? chunk.id)) === index)
+      .map(chunk => chunk.id)
+  ), 'Parents and parentless chunks keep the rank of their best chunk');
+  
+  check(expandToParents([]).length === 0, 'Nothing to expand gives nothing');
+}
+
+/**
+ * Test parent expansion in the RAG pipeline
+ */
+async function testPipelineParents() {
+  console.log('\n🧪 Testing parents in the RAG pipeline...');
+  
+  const single = await retrieveRelevantChunks('crystal', { mode: 'keyword', k: 1, expandParents: true, filter: { sourcePrefix: MONSTERS_PATH } });
+  check(single.length === 1 && single[0].metadata.headingPath === 'Glimmerfang' && single[0].matchedChunkIds.length === 3,
+    'The parent replaces the chunks that matched');
+  
+  // Without over-fetching, the two best chunks would both expand to the Glimmerfang section
+  const pair = await retrieveRelevantChunks('crystal', { mode: 'keyword', k: 2, expandParents: true, filter: { sourcePrefix: MONSTERS_PATH } });
+  check(pair.map(chunk => chunk.metadata.headingPath).join(', ') === 'Glimmerfang, Emberclaw', 'k distinct parents are returned');
+  
+  const result = await processQuery('Where does Glimmerfang hunt? crystal', {
+    mode: 'keyword',
+    k: 2,
+    expandParents: true,
+    filter: { sourcePrefix: MONSTERS_PATH }
+  });
+  const prompt = llmRequests.at(-1).body.messages.map(message => message.content).join('\n');
+  check(result.success && result.chunks.length === 2, 'processQuery returns the parents');
+  check([...SECTIONS.Glimmerfang, ...SECTIONS.Emberclaw].every(paragraph => prompt.includes(paragraph))
+    && !prompt.includes(SECTIONS.Frostmaw[0]), 'The prompt holds the whole sections of the matched chunks');
+  check(prompt.split('Glimmerfang hunts in crystal caves, under crystal arches.').length === 2, 'A parent is sent once, however many of its chunks matched');
+}
+
+/**
+ * Test expanding chunks to their sentence windows
+ */
+async function testExpandToWindows() {
+  console.log('\n🧪 Testing sentence windows...');
+  
+  await ingestFiles([WINDOWS_PATH], { chunkOptions: PARENT_OPTIONS });
+  const stored = retrieveChunks('glimmerfang scales water emberclaw wings', null, { mode: 'keyword', k: 10, filter: { sourcePrefix: WINDOWS_PATH } })
+    .sort((a, b) => a.chunkIndex - b.chunkIndex);
+  check(stored.map(chunk => chunk.chunkIndex).join(',') === '0,1,2,3,4', 'The file is stored one paragraph per chunk');
+  const joined = (start, end) => PARAGRAPHS.slice(start, end + 1).join('\n\n');
+  
+  const [middle] = expandToWindows([stored[1]], 1);
+  check(middle.text === joined(0, 2) && middle.chunkIds.join(',') === stored.slice(0, 3).map(chunk => chunk.id).join(',')
+    && middle.matchedChunkIds[0] === stored[1].id, 'A window adds the chunks on each side of the match');
+  check(middle.metadata.headingPath === 'Glimmerfang' && middle.metadata.headingPaths === undefined,
+    'A window within a section keeps its heading path');
+  
+  const [spanning] = expandToWindows([stored[2]], 1);
+  check(spanning.text === joined(1, 3) && spanning.metadata.headingPaths?.join(' | ') === 'Glimmerfang | Emberclaw'
+    && spanning.metadata.headingPath === undefined && spanning.metadata.title === undefined,
+  'A window spanning sections lists their heading paths, instead of the heading of its best chunk');
+  
+  const merged = expandToWindows([stored[3], stored[0]], 1);
+  check(merged.length === 1 && merged[0].text === joined(0, 4) && merged[0].id === stored[3].id
+    && merged[0].matchedChunkIds.join(',') === `${stored[0].id},${stored[3].id}`, 'Windows that touch are merged, with the scores of the best chunk');
+  
+  const apart = expandToWindows([stored[4], stored[0]], 0);
+  check(apart.map(window => window.text).join('|') === `${PARAGRAPHS[0]}|${PARAGRAPHS[4]}`, 'Windows of a document come in document order');
+  
+  // A chunk stored before chunk indexes, ranked between the hits of two documents
+  const [notes] = retrieveChunks('crystal', null, { mode: 'keyword', k: 1, filter: { sourcePrefix: NOTES_PATH } });
+  const unindexed = { ...notes, id: 999999, chunkIndex: null, text: 'A chunk without an index.' };
+  const ranked = expandToWindows([stored[1], unindexed, notes], 1);
+  check(ranked.map(window => window.id).join(',') === `${stored[1].id},999999,${notes.id}` && ranked[1].text === unindexed.text,
+    'Chunks that can\'t be expanded keep their rank');
+  
+  const [window] = await retrieveRelevantChunks('scales', { mode: 'keyword', k: 1, window: 1 });
+  check(window.text === joined(0, 2) && window.citation.includes(WINDOWS_PATH), 'retrieveRelevantChunks expands to windows');
+}
+
+runTests('context expansion', async () => {
+  await testParentChunks();
+  await testExpandToParents();
+  await testPipelineParents();
+  await testExpandToWindows();
+});
@@ -0,0 +1,95 @@
+/**
+ * Test script for the database migrations
+ * Opens a database created with the original schema, before documents had metadata and chunks recorded
+ * their embedding model, and checks that its chunks stay searchable
+ */
+
+import Database from 'better-sqlite3';
+import { check, useScratchDatabase, runTests } from './helpers.js';
+
+// Must be set before the database module is loaded
+const DB_PATH = useScratchDatabase();
+
+// The original chunks were embedded with the default local model, which is the active one here.
+// It is never loaded: the test only searches with stored vectors.
+process.env.EMBEDDING_PROVIDER = 'transformers';
+
+const LEGACY_DIMENSION = 384;
+
+/**
+ * Build a vector with a single non-zero component
+ * @param {number} axis - Index of the component
+ * @param {number} [dimension] - Vector length
+ * @returns {Array<number>} Unit vector
+ */
+function unitVector(axis, dimension = LEGACY_DIMENSION) {
+  return Array.from({ length: dimension }, (_, index) => (index === axis ? 1 : 0));
+}
+
+/**
+ * Create a database with the original schema and a few chunks
+ */
+function createLegacyDatabase() {
+  const db = new Database(DB_PATH);
+  db.exec(`
+    CREATE TABLE documents (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      source TEXT,
+      title TEXT,
+      filetype TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+    
+    CREATE TABLE chunks (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      document_id INTEGER,
+      text TEXT NOT NULL,
+      chunk_index INTEGER,
+      chunk_strategy TEXT,
+      embedding BLOB,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (document_id) REFERENCES documents(id)
+    );
+  `);
+  
+  db.prepare('INSERT INTO documents (source, title, filetype) VALUES (?, ?, ?)').run('legacy/monsters.md', 'Monsters', 'markdown');
+  const insertChunk = db.prepare('INSERT INTO chunks (document_id, text, chunk_index, chunk_strategy, embedding) VALUES (1, ?, ?, ?, ?)');
+  insertChunk.run('Glimmerfang hunts in crystal caves.', 0, 'character', Buffer.from(new Float32Array(unitVector(0)).buffer));
+  insertChunk.run('Emberclaw breathes fire.', 1, 'character', Buffer.from(new Float32Array(unitVector(1)).buffer));
+  // A vector of another size can't come from the default model
+  insertChunk.run('Mystery vector.', 2, 'character', Buffer.from(new Float32Array(unitVector(0, 8)).buffer));
+  db.close();
+}
+
+/**
+ * Test migrating the original schema
+ */
+async function testLegacyChunks() {
+  console.log('\n🧪 Testing chunks stored before the embedding model was recorded...');
+  
+  createLegacyDatabase();
+  
+  const warnings = [];
+  const warn = console.warn;
+  console.warn = message => warnings.push(message);
+  const { getDatabase, searchVectorIndex, searchKeywordIndex } = await import('../utils/database.js');
+  const db = getDatabase();
+  console.warn = warn;
+  
+  const chunks = db.prepare('SELECT text, embedding_model, embedding_dimension FROM chunks ORDER BY id').all();
+  check(chunks[0].embedding_model === 'transformers:Xenova/all-MiniLM-L6-v2' && chunks[0].embedding_dimension === LEGACY_DIMENSION
+    && chunks[1].embedding_model === chunks[0].embedding_model, 'Chunks of the default model\'s size get its model recorded');
+  check(chunks[2].embedding_model === null, 'Chunks of another size are left unknown');
+  
+  const found = searchVectorIndex(unitVector(1), 2);
+  check(found.length === 2 && found[0].text === 'Emberclaw breathes fire.' && found[0].distance < 1e-6,
+    'Migrated chunks are found by vector search');
+  check(searchKeywordIndex('crystal caves', 5).map(row => row.text).join('|') === 'Glimmerfang hunts in crystal caves.',
+    'Migrated chunks are found by keyword search');
+  check(warnings.length === 1 && warnings[0].startsWith('1 chunks were embedded with an unknown model') && warnings[0].includes('Re-ingest'),
+    'Only the chunks that stay unsearchable are reported');
+}
+
+runTests('database migrations', async () => {
+  await testLegacyChunks();
+});
@@ -0,0 +1,139 @@
+/**
+ * Test script for directory ingestion
+ * Checks .ragignore rules, include and exclude globs and pruning on a small directory tree
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { check, createTempDir, useScratchDatabase, runTests } from './helpers.js';
+
+// Must be set before the database module is loaded
+useScratchDatabase();
+
+const { findFiles, ingestDirectory } = await import('../utils/directoryIngestor.js');
+const { getDatabase } = await import('../utils/database.js');
+
+// Crawled tree, with ignore files at the root and in a subdirectory
+const ROOT_DIR = path.join(createTempDir('directory'), 'docs');
+const TREE = {
+  '.ragignore': '# Drafts are never ingested\ndrafts/\n*.log.md\n!keep.log.md\n/top-only.md\n',
+  'readme.md': '# Readme\n\nAbout the monsters.',
+  'notes.txt': 'Notes about caves.',
+  'image.png': 'not a document',
+  'top-only.md': 'Ignored at the root only.',
+  'keep.log.md': 'Kept by a negated rule.',
+  'skip.log.md': 'Ignored by a wildcard rule.',
+  'drafts/wip.md': 'Ignored with its directory.',
+  'guides/.ragignore': '!skip.log.md\nsecret.txt\n',
+  'guides/intro.md': '# Intro\n\nGlimmerfang lives in crystal caves.',
+  'guides/top-only.md': 'Not matched by the anchored root rule.',
+  'guides/skip.log.md': 'Kept again by the deeper ignore file.',
+  'guides/secret.txt': 'Ignored by the deeper ignore file.',
+  'guides/drafts/old.md': 'Ignored at any depth.',
+  'data/monsters.csv': 'name,habitat\nGlimmerfang,caves\n'
+};
+
+/**
+ * Write a tree of files
+ * @param {string} rootDir - Directory to write to
+ * @param {Object} tree - File content by relative path
+ */
+function writeTree(rootDir, tree) {
+  for (const [relativePath, content] of Object.entries(tree)) {
+    const filePath = path.join(rootDir, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+  }
+}
+
+/**
+ * Find files under the fixture tree, as sorted relative paths
+ * @param {Object} [options] - Crawl options
+ * @returns {Promise<string>} Relative paths joined with ', '
+ */
+async function findRelative(options) {
+  const files = await findFiles(ROOT_DIR, options);
+  return files.map(file => path.relative(ROOT_DIR, file).split(path.sep).join('/')).join(', ');
+}
+
+/**
+ * Test .ragignore rules
+ */
+async function testIgnoreRules() {
+  console.log('\n🧪 Testing .ragignore rules...');
+  
+  const files = await findRelative();
+  check(files === 'data/monsters.csv, guides/intro.md, guides/skip.log.md, guides/top-only.md, keep.log.md, notes.txt, readme.md',
+    `Ignore rules and unsupported extensions leave the expected files (found: ${files})`);
+  check(!files.includes('drafts/'), 'Directory rules skip the directory at any depth');
+  check(!files.includes('secret.txt') && files.includes('guides/skip.log.md'),
+    'A deeper .ragignore adds rules and overrides its parent');
+  check(files.includes('guides/top-only.md') && !files.split(', ').includes('top-only.md'),
+    'Rules with a leading slash are anchored to their directory');
+  check(files.includes('keep.log.md') && !files.split(', ').includes('skip.log.md'), 'Negated rules re-include files');
+}
+
+/**
+ * Test include and exclude globs
+ */
+async function testGlobs() {
+  console.log('\n🧪 Testing include and exclude globs...');
+  
+  const expectations = [
+    [{ include: ['*.md'] }, 'guides/intro.md, guides/skip.log.md, guides/top-only.md, keep.log.md, readme.md'],
+    [{ include: ['guides/**'] }, 'guides/intro.md, guides/skip.log.md, guides/top-only.md'],
+    [{ include: ['guides/*.md', '*.csv'] }, 'data/monsters.csv, guides/intro.md, guides/skip.log.md, guides/top-only.md'],
+    // Includes never bring back ignored or unsupported files
+    [{ include: ['drafts/**', '*.png', 'guides/secret.txt'] }, ''],
+    [{ exclude: ['guides'] }, 'data/monsters.csv, keep.log.md, notes.txt, readme.md'],
+    [{ exclude: ['*.md'] }, 'data/monsters.csv, notes.txt'],
+    [{ exclude: ['guides/*.log.md', 'data/**'] }, 'guides/intro.md, guides/top-only.md, keep.log.md, notes.txt, readme.md'],
+    [{ include: ['*.md'], exclude: ['guides/**'] }, 'keep.log.md, readme.md']
+  ];
+  
+  for (const [options, expected] of expectations) {
+    const files = await findRelative(options);
+    check(files === expected, `${JSON.stringify(options)} finds ${expected || 'nothing'}${files === expected ? '' : ` (found: ${files})`}`);
+  }
+  
+  let error = null;
+  try {
+    await findFiles(path.join(ROOT_DIR, 'readme.md'));
+  } catch (thrown) {
+    error = thrown;
+  }
+  check(error !== null && error.message.startsWith('Not a directory'), 'Crawling a file is an error');
+}
+
+/**
+ * Test ingesting and pruning a directory
+ */
+async function testIngestDirectory() {
+  console.log('\n🧪 Testing directory ingestion...');
+  
+  const countDocuments = () => getDatabase().prepare('SELECT COUNT(*) AS count FROM documents').get().count;
+  
+  const dryRun = await ingestDirectory(ROOT_DIR, { include: ['guides/**'], dryRun: true });
+  check(dryRun.files.length === 3 && dryRun.results.length === 0 && countDocuments() === 0,
+    'A dry run lists the files without ingesting them');
+  
+  // A sibling directory sharing the root's name as a prefix must not be pruned with it
+  const siblingDir = `${ROOT_DIR}-old`;
+  writeTree(siblingDir, { 'archive.md': 'An old archive.' });
+  await ingestDirectory(siblingDir);
+  
+  const first = await ingestDirectory(ROOT_DIR, { include: ['guides/**'] });
+  check(first.counts.added === 3 && first.counts.failed === 0, 'Matched files are added');
+  
+  const second = await ingestDirectory(ROOT_DIR, { include: ['guides/**'], exclude: ['*.log.md'], prune: true });
+  check(second.counts.unchanged === 2 && second.counts.removed === 1, 'Files no longer matched are pruned');
+  check(countDocuments() === 3, 'Documents outside the directory are not pruned');
+}
+
+runTests('directory ingestion', async () => {
+  writeTree(ROOT_DIR, TREE);
+  
+  await testIgnoreRules();
+  await testGlobs();
+  await testIngestDirectory();
+});
@@ -0,0 +1,118 @@
+/**
+ * Test script for incremental ingestion
+ * Ingests files again after leaving them alone, changing them, changing the options and deleting them,
+ * and checks what is added, skipped, updated and pruned
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { check, createTempDir, useScratchDatabase, runTests } from './helpers.js';
+
+// Must be set before the database module is loaded
+useScratchDatabase();
+
+const { ingestFiles } = await import('../utils/ingestion.js');
+const { getAllDocuments, getDocumentChunks } = await import('../utils/vectorStorage.js');
+
+const FILES_DIR = createTempDir('incremental');
+
+/**
+ * Write a file to ingest
+ * @param {string} name - File name
+ * @param {string} content - File content
+ * @returns {string} Path of the file
+ */
+function writeFile(name, content) {
+  const filePath = path.join(FILES_DIR, name);
+  fs.writeFileSync(filePath, content);
+  return filePath;
+}
+
+/**
+ * Describe ingestion counts for check messages
+ * @param {Object} counts - Counts by status
+ * @returns {string} e.g. "1 added, 0 updated, 1 unchanged, 0 removed, 0 failed"
+ */
+function describe(counts) {
+  return ['added', 'updated', 'unchanged', 'removed', 'failed'].map(status => `${counts[status]} ${status}`).join(', ');
+}
+
+/**
+ * Get the stored document of a file
+ * @param {string} filePath - Source of the document
+ * @returns {Object|undefined} The stored document
+ */
+function findDocument(filePath) {
+  return getAllDocuments().find(doc => doc.source === filePath);
+}
+
+/**
+ * Test re-ingesting files
+ */
+async function testReingestion() {
+  console.log('\n🧪 Testing re-ingestion...');
+  
+  const glimmerfang = writeFile('glimmerfang.md', '# Glimmerfang\n\nGlimmerfang hunts in crystal caves.\n\nIt glows at night.');
+  const emberclaw = writeFile('emberclaw.md', '# Emberclaw\n\nEmberclaw breathes fire over the plains.');
+  const paths = [glimmerfang, emberclaw];
+  
+  const first = await ingestFiles(paths);
+  check(describe(first.counts) === '2 added, 0 updated, 0 unchanged, 0 removed, 0 failed', `New files are added (${describe(first.counts)})`);
+  const firstId = findDocument(glimmerfang).id;
+  
+  const second = await ingestFiles(paths);
+  check(describe(second.counts) === '0 added, 0 updated, 2 unchanged, 0 removed, 0 failed'
+    && second.results.every(result => result.chunkCount === 0), `Unchanged files are skipped before chunking (${describe(second.counts)})`);
+  
+  writeFile('glimmerfang.md', '# Glimmerfang\n\nGlimmerfang hunts in crystal caves.\n\nIt sleeps all day.');
+  const third = await ingestFiles(paths);
+  check(describe(third.counts) === '0 added, 1 updated, 1 unchanged, 0 removed, 0 failed', `Changed files are updated (${describe(third.counts)})`);
+  check(findDocument(glimmerfang).id === firstId && getDocumentChunks(firstId).some(chunk => chunk.text.includes('sleeps all day'))
+    && !getDocumentChunks(firstId).some(chunk => chunk.text.includes('glows at night')), 'Updated documents keep their ID and get new chunks');
+  
+  const paragraphs = await ingestFiles(paths, { chunkOptions: { strategy: 'paragraph' } });
+  check(describe(paragraphs.counts) === '0 added, 2 updated, 0 unchanged, 0 removed, 0 failed', `Other chunking options update every file (${describe(paragraphs.counts)})`);
+  check(getDocumentChunks(firstId).every(chunk => chunk.chunk_strategy === 'paragraph'), 'The new options are applied');
+  
+  const cleaning = await ingestFiles(paths, { chunkOptions: { strategy: 'paragraph' }, cleaning: ['normalizeUnicode'] });
+  check(describe(cleaning.counts) === '0 added, 2 updated, 0 unchanged, 0 removed, 0 failed', `Other cleaning steps update every file (${describe(cleaning.counts)})`);
+  
+  const forced = await ingestFiles(paths, { chunkOptions: { strategy: 'paragraph' }, cleaning: ['normalizeUnicode'], force: true });
+  check(describe(forced.counts) === '0 added, 2 updated, 0 unchanged, 0 removed, 0 failed', `force re-ingests unchanged files (${describe(forced.counts)})`);
+  
+  check(getAllDocuments().length === 2, 'Re-ingestion never duplicates documents');
+}
+
+/**
+ * Test pruning deleted files
+ */
+async function testPrune() {
+  console.log('\n🧪 Testing pruning...');
+  
+  // A file from another ingestion, deleted since: only its own ingestion may prune it
+  const other = writeFile('other.md', 'Ingested on its own.');
+  await ingestFiles([other]);
+  fs.rmSync(other);
+  
+  const kept = writeFile('kept.md', 'Still there.');
+  const deleted = writeFile('deleted.md', 'About to be deleted.');
+  await ingestFiles([kept, deleted]);
+  fs.rmSync(deleted);
+  
+  const withoutPrune = await ingestFiles([kept, deleted]);
+  check(describe(withoutPrune.counts) === '0 added, 0 updated, 1 unchanged, 0 removed, 1 failed' && findDocument(deleted) !== undefined,
+    `Without prune, deleted files are reported as failed and kept (${describe(withoutPrune.counts)})`);
+  
+  const pruned = await ingestFiles([kept, deleted], { prune: true });
+  check(describe(pruned.counts) === '0 added, 0 updated, 1 unchanged, 1 removed, 0 failed' && findDocument(deleted) === undefined,
+    `With prune, deleted files are removed (${describe(pruned.counts)})`);
+  check(findDocument(other) !== undefined, 'Deleted files that weren\'t requested are left alone');
+  
+  const prunedOther = await ingestFiles([other], { prune: true });
+  check(prunedOther.counts.removed === 1 && findDocument(other) === undefined, 'Requesting the deleted file prunes it');
+}
+
+runTests('incremental ingestion', async () => {
+  await testReingestion();
+  await testPrune();
+});
@@ -0,0 +1,172 @@
+/**
+ * Test script for the /ingest routes
+ * Uploads files as multipart/form-data, with and without a namespace, and checks where they are stored,
+ * and checks that every ingest route validates record templates
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import express from 'express';
+import { check, createTempDir, useScratchDatabase, startServer, runTests } from './helpers.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const UPLOAD_DIR = path.join(__dirname, '../uploads');
+
+// Must be set before the database and route modules are loaded
+useScratchDatabase();
+process.env.MAX_UPLOAD_SIZE = '1024';
+
+const { getAllDocuments, getDocumentChunks } = await import('../utils/vectorStorage.js');
+const { default: ingestRoutes } = await import('../routes/ingest.js');
+
+const app = express();
+app.use(express.json());
+app.use('/ingest', ingestRoutes);
+const API_URL = `${await startServer(app)}/ingest`;
+
+/**
+ * Upload files to POST /ingest/upload
+ * @param {Object<string, string>} files - File contents by file name
+ * @param {Object<string, string>} [fields] - Other form fields
+ * @returns {Promise<Object>} { status, json }
+ */
+async function upload(files, fields = {}) {
+  const form = new FormData();
+  for (const [name, content] of Object.entries(files)) {
+    form.append('files', new Blob([content]), name);
+  }
+  for (const [name, value] of Object.entries(fields)) {
+    form.append(name, value);
+  }
+  
+  const response = await fetch(`${API_URL}/upload`, { method: 'POST', body: form });
+  return { status: response.status, json: await response.json() };
+}
+
+/**
+ * Post a JSON body to an /ingest route
+ * @param {string} route - Route path, e.g. '/local'
+ * @param {Object} body - Request body
+ * @returns {Promise<Object>} { status, json }
+ */
+async function post(route, body) {
+  const response = await fetch(`${API_URL}${route}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, json: await response.json() };
+}
+
+/**
+ * Get the stored document of a source
+ * @param {string} source - Source of the document
+ * @returns {Object|undefined} The stored document
+ */
+function findDocument(source) {
+  return getAllDocuments().find(doc => doc.source === source);
+}
+
+/**
+ * Test uploads in namespaces
+ */
+async function testNamespaces() {
+  console.log('\n🧪 Testing upload namespaces...');
+  
+  const uploadsBefore = fs.readdirSync(UPLOAD_DIR);
+  
+  const teamA = await upload({ 'notes.md': '# Notes\n\nGlimmerfang hunts in crystal caves.' }, { store: 'true', namespace: 'team-a' });
+  check(teamA.status === 200 && teamA.json.added === 1 && teamA.json.results[0].source === 'uploads/team-a/notes.md',
+    'Files are stored under their namespace');
+  const teamAId = teamA.json.documentIds[0];
+  check(getDocumentChunks(teamAId).some(chunk => chunk.text.includes('crystal caves')), 'Uploaded files are chunked and stored');
+  
+  const teamB = await upload({ 'notes.md': '# Notes\n\nEmberclaw breathes fire.' }, { store: 'true', namespace: 'team-a/2024' });
+  const root = await upload({ 'notes.md': '# Notes\n\nEmberclaw breathes fire.' }, { store: 'true' });
+  check(teamB.json.added === 1 && findDocument('uploads/team-a/2024/notes.md') !== undefined
+    && root.json.added === 1 && findDocument('uploads/notes.md') !== undefined,
+  'The same file name in other namespaces, or without one, is another document');
+  check(getDocumentChunks(teamAId).some(chunk => chunk.text.includes('crystal caves')), 'Other namespaces leave the document alone');
+  
+  const unchanged = await upload({ 'notes.md': '# Notes\n\nGlimmerfang hunts in crystal caves.' }, { store: 'true', namespace: 'team-a' });
+  check(unchanged.json.unchanged === 1 && unchanged.json.documentIds[0] === teamAId, 'Uploading the same file again leaves it unchanged');
+  
+  const updated = await upload({ 'notes.md': '# Notes\n\nGlimmerfang sleeps all day.' }, { store: 'true', namespace: 'team-a' });
+  check(updated.json.updated === 1 && updated.json.documentIds[0] === teamAId
+    && getDocumentChunks(teamAId).some(chunk => chunk.text.includes('sleeps all day')),
+  'Uploading a changed file in the same namespace updates its document');
+  check(getAllDocuments().length === 3, 'Uploads never duplicate documents');
+  
+  const processed = await upload({ 'draft.txt': 'Not stored.' }, { namespace: 'team-a' });
+  check(processed.json.count === 1 && processed.json.documents[0].metadata.source === 'uploads/team-a/draft.txt'
+    && findDocument('uploads/team-a/draft.txt') === undefined, 'Without store, documents are returned with their namespaced source');
+  
+  for (const namespace of ['../escape', 'team-a/../../escape', '/absolute', 'team a', 'team-a/', '']) {
+    const rejected = await upload({ 'notes.md': 'Escaping.' }, { store: 'true', namespace });
+    check(rejected.status === 400, `Invalid namespace "${namespace}" is rejected`);
+  }
+  
+  check(JSON.stringify(fs.readdirSync(UPLOAD_DIR)) === JSON.stringify(uploadsBefore), 'Uploaded files are removed once processed');
+}
+
+/**
+ * Test rejected uploads
+ */
+async function testRejectedUploads() {
+  console.log('\n🧪 Testing rejected uploads...');
+  
+  check((await upload({}, { store: 'true' })).status === 400, 'Uploads need a file');
+  check((await upload({ 'monster.exe': 'binary' })).status === 415, 'Unsupported file types are rejected');
+  check((await upload({ 'big.txt': 'x'.repeat(2048) })).status === 413, 'Files over MAX_UPLOAD_SIZE are rejected');
+  check((await upload({ 'notes.md': 'Text.' }, { options: '{strategy' })).status === 400, 'JSON fields must be valid JSON');
+}
+
+/**
+ * Test record template validation
+ */
+async function testRecordTemplates() {
+  console.log('\n🧪 Testing record templates...');
+  
+  const filesDir = createTempDir('records');
+  const csvPath = path.join(filesDir, 'faq.csv');
+  const csv = 'id,question,answer,category\nq1,Where does Glimmerfang hunt?,In crystal caves.,habitat\n';
+  fs.writeFileSync(csvPath, csv);
+  
+  const recordTemplate = { idField: 'id', textFields: ['question', 'answer'], metadataFields: ['category'] };
+  const valid = await post('/local', { paths: [csvPath], recordTemplate });
+  check(valid.status === 200 && valid.json.documents[0].records[0].text === 'question: Where does Glimmerfang hunt?\nanswer: In crystal caves.'
+    && valid.json.documents[0].records[0].metadata.category === 'habitat', 'Valid record templates are applied');
+  
+  const invalidTemplates = [
+    null,
+    'question',
+    ['question'],
+    { textFields: 'question' },
+    { textFields: ['question', 5] },
+    { metadataFields: { category: true } },
+    { metadataFields: [''] },
+    { idField: 7 },
+    { template: ['Q: {{question}}'] },
+    { recordsPath: '' },
+    { textField: ['question'] }
+  ];
+  for (const invalidTemplate of invalidTemplates) {
+    const description = JSON.stringify(invalidTemplate);
+    const local = await post('/local', { paths: [csvPath], store: true, recordTemplate: invalidTemplate });
+    check(local.status === 400 && local.json.error.includes('recordTemplate'), `/local rejects the record template ${description}`);
+  }
+  
+  const directory = await post('/directory', { directory: filesDir, recordTemplate: { textFields: 'question' } });
+  const uploaded = await upload({ 'faq.csv': csv }, { store: 'true', recordTemplate: JSON.stringify({ metadataFields: [1] }) });
+  check(directory.status === 400 && uploaded.status === 400, '/directory and /upload reject invalid record templates');
+  check(findDocument(csvPath) === undefined && !getAllDocuments().some(doc => doc.source.endsWith('faq.csv')),
+    'Nothing is stored with an invalid record template');
+}
+
+runTests('ingest API', async () => {
+  await testNamespaces();
+  await testRejectedUploads();
+  await testRecordTemplates();
+});
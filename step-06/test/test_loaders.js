@@ -0,0 +1,410 @@
+/**
+ * Test script for the document loaders
+ * Checks the CSV, JSON and JSONL loaders with record templates, and the markdown, HTML, DOCX, ODT and EPUB loaders,
+ * on small fixtures written to a temporary directory
+ */
+
+import fs from 'fs';
+import path from 'path';
+import JSZip from 'jszip';
+import { check, getRejection, createTempDir, runTests } from './helpers.js';
+
+const { processDocument, cleanDocument } = await import('../utils/documentProcessor.js');
+const { chunkDocument } = await import('../utils/documentChunker.js');
+
+const FIXTURES_DIR = createTempDir('loaders');
+
+/**
+ * Write a fixture file
+ * @param {string} name - File name
+ * @param {string|Buffer} content - File content
+ * @returns {string} Path of the file
+ */
+function writeFixture(name, content) {
+  const filePath = path.join(FIXTURES_DIR, name);
+  fs.writeFileSync(filePath, content);
+  return filePath;
+}
+
+/**
+ * Write a zip-based fixture (DOCX, ODT, EPUB)
+ * @param {string} name - File name
+ * @param {Object} entries - Content by path in the archive
+ * @returns {Promise<string>} Path of the file
+ */
+async function writeZipFixture(name, entries) {
+  const zip = new JSZip();
+  for (const [entryPath, content] of Object.entries(entries)) {
+    zip.file(entryPath, content);
+  }
+  
+  return writeFixture(name, await zip.generateAsync({ type: 'nodebuffer' }));
+}
+
+/**
+ * Test the CSV loader
+ */
+async function testCsvLoader() {
+  console.log('\n🧪 Testing the CSV loader...');
+  
+  const csvPath = writeFixture('faq.csv', [
+    '\uFEFFid,question,answer,category',
+    'F1,How do I reset my password?,"Click ""Forgot password"" on the login page.",account',
+    'F2,What is the refund policy?,"Refunds within 30 days,',
+    'no questions asked.",billing',
+    '',
+    ',Orphan row,No id here,misc',
+    'F4,Short row'
+  ].join('\n'));
+  
+  const document = await processDocument(csvPath);
+  check(document.metadata.filetype === 'csv' && document.metadata.recordCount === 4, 'Every non-empty row becomes a record');
+  check(JSON.stringify(document.metadata.fields) === '["id","question","answer","category"]',
+    'The header gives the field names (the byte order mark is dropped)');
+  
+  const [first, second, third, fourth] = document.records;
+  check(first.id === 'F1' && first.text === 'question: How do I reset my password?\nanswer: Click "Forgot password" on the login page.\ncategory: account',
+    'By default, the id column is the ID and the other columns are "field: value" text');
+  check(second.text.includes('Refunds within 30 days,\nno questions asked.'), 'Quoted values keep their commas and line breaks');
+  check(third.id === '3', 'Rows without an ID are numbered by position');
+  check(fourth.id === 'F4' && fourth.text === 'question: Short row', 'Short rows are loaded with their missing fields left out');
+  check(document.text === document.records.map(record => record.text).join('\n\n'), 'The document text joins the records');
+  
+  const templated = await processDocument(csvPath, {
+    recordTemplate: { textFields: ['question', 'answer'], metadataFields: ['category'] }
+  });
+  check(templated.records[0].text === 'question: How do I reset my password?\nanswer: Click "Forgot password" on the login page.',
+    'textFields chooses the text fields');
+  check(templated.records[0].metadata.category === 'account' && templated.records[3].metadata.category === null,
+    'metadataFields are kept as record metadata (null when missing)');
+  
+  const formatted = await processDocument(csvPath, {
+    recordTemplate: { idField: 'question', template: 'Q: {{question}}\nA: {{ answer }}' }
+  });
+  check(formatted.records[0].id === 'How do I reset my password?', 'idField chooses the ID field');
+  check(formatted.records[0].text === 'Q: How do I reset my password?\nA: Click "Forgot password" on the login page.',
+    'A text template fills in {{field}} placeholders');
+  check(formatted.records[3].text === 'Q: Short row\nA:', 'Missing fields are left empty in templates');
+}
+
+/**
+ * Test the JSON and JSONL loaders
+ */
+async function testJsonLoaders() {
+  console.log('\n🧪 Testing the JSON and JSONL loaders...');
+  
+  const jsonPath = writeFixture('orders.json', JSON.stringify({
+    data: {
+      items: [
+        { id: 7, customer: { name: 'Ada', city: 'Paris' }, note: 'Gift wrap', tags: ['gift', 'rush'] },
+        { id: 8, customer: { name: 'Grace' }, note: '' },
+        'not an object'
+      ]
+    }
+  }));
+  
+  const nested = await processDocument(jsonPath, {
+    recordTemplate: { recordsPath: 'data.items', textFields: ['customer.name', 'note'], metadataFields: ['customer.city'] }
+  });
+  check(nested.metadata.filetype === 'json' && nested.records.length === 2, 'recordsPath finds the records, and non-objects are skipped');
+  check(nested.records[0].id === '7' && nested.records[0].text === 'customer.name: Ada\nnote: Gift wrap',
+    'Dotted field names reach nested values');
+  check(nested.records[1].text === 'customer.name: Grace', 'Empty values are left out of the text');
+  check(nested.records[0].metadata['customer.city'] === 'Paris', 'Nested fields can be metadata');
+  
+  const whole = await processDocument(jsonPath);
+  check(whole.records.length === 1 && whole.records[0].text.startsWith('data: {"items":'),
+    'Without recordsPath, a single object is a single record with objects as JSON text');
+  
+  const missingPath = await getRejection(processDocument(jsonPath, { recordTemplate: { recordsPath: 'data.missing' } }));
+  check(missingPath !== null && missingPath.message.includes('No array of records found at data.missing'),
+    'A recordsPath without an array is an error');
+  
+  const arrayPath = writeFixture('monsters.json', JSON.stringify([
+    { name: 'Glimmerfang', habitat: 'crystal caves' },
+    { name: 'Emberclaw', habitat: 'volcanoes', tags: ['fire'] }
+  ]));
+  const array = await processDocument(arrayPath, { recordTemplate: { idField: 'name' } });
+  check(array.records.map(record => record.id).join(',') === 'Glimmerfang,Emberclaw', 'A top-level array holds the records');
+  check(array.records[1].text === 'habitat: volcanoes\ntags: ["fire"]', 'Arrays are written as JSON text');
+  check(JSON.stringify(array.metadata.fields) === '["name","habitat","tags"]', 'Fields are collected from every record');
+  
+  const jsonlPath = writeFixture('events.jsonl', [
+    '{"id": "e1", "event": "Login", "user": "ada"}',
+    '',
+    '{"id": "e2", "event": "Logout", "user": "grace"}',
+    '   '
+  ].join('\r\n'));
+  const lines = await processDocument(jsonlPath, { recordTemplate: { template: '{{user}} did {{event}}' } });
+  check(lines.metadata.filetype === 'jsonl' && lines.records.length === 2, 'Each JSONL line is a record, blank lines are skipped');
+  check(lines.records[1].id === 'e2' && lines.records[1].text === 'grace did Logout', 'JSONL records use the template');
+  
+  const badPath = writeFixture('broken.jsonl', '{"id": 1}\n{"id": 2,\n');
+  const badLine = await getRejection(processDocument(badPath));
+  check(badLine !== null && badLine.message.includes('line 2'), 'Invalid JSONL reports the line number');
+}
+
+/**
+ * Test that records are cleaned and chunked one by one
+ */
+async function testRecordChunks() {
+  console.log('\n🧪 Testing record chunks...');
+  
+  const csvPath = writeFixture('spaced.csv', 'id,question,category\nQ1,Why   so    many spaces?,misc\nQ2,Fine,misc\n');
+  const document = cleanDocument(await processDocument(csvPath, { recordTemplate: { metadataFields: ['category'] } }));
+  check(document.records[0].text === 'question: Why so many spaces?', 'Records are cleaned like the document text');
+  
+  const chunks = await chunkDocument(document, { strategy: 'paragraph' });
+  check(chunks.length === 2 && chunks.every(chunk => chunk.metadata.chunkStrategy === 'record'),
+    'Structured data is chunked by record whatever the strategy');
+  check(chunks[0].metadata.source === `${csvPath}#Q1` && chunks[0].metadata.recordId === 'Q1',
+    'Each record chunk cites its row as source#id');
+  check(chunks[1].metadata.recordMetadata?.category === 'misc', 'Record metadata is kept on the chunk');
+  check(chunks.every(chunk => Array.isArray(chunk.embedding)), 'Record chunks are embedded');
+}
+
+/**
+ * Test the front-matter of the markdown loader
+ */
+async function testMarkdownLoader() {
+  console.log('\n🧪 Testing the markdown loader...');
+  
+  const withFrontMatter = await processDocument(writeFixture('glimmerfang.md',
+    '---\ntitle: Glimmerfang\ntags: caves, light\ndate: 2024-05-01\n---\n# Monster\n\nGlimmerfang hunts in crystal caves.'));
+  check(withFrontMatter.text === '# Monster\n\nGlimmerfang hunts in crystal caves.', 'The front-matter is removed from the text');
+  check(withFrontMatter.metadata.title === 'Glimmerfang' && withFrontMatter.metadata.tags.join(',') === 'caves,light'
+    && withFrontMatter.metadata.date === '2024-05-01T00:00:00.000Z', 'Front-matter fields become metadata');
+  
+  const breaks = '---\n\nIntro paragraph.\n\n---\n# Title\n\nBody.';
+  const withBreaks = await processDocument(writeFixture('breaks.md', breaks));
+  check(withBreaks.text === breaks && withBreaks.metadata.title === 'Title' && JSON.stringify(withBreaks.metadata.frontMatter) === '{}',
+    'A paragraph between thematic breaks stays in the text');
+  
+  const warnings = [];
+  const warn = console.warn;
+  console.warn = message => warnings.push(message);
+  const broken = '---\ntitle: [broken\n---\n# Title\n\nBody.';
+  const withBroken = await processDocument(writeFixture('broken.md', broken)).finally(() => {
+    console.warn = warn;
+  });
+  check(withBroken.text === broken && withBroken.metadata.title === 'Title', 'Invalid YAML front-matter stays in the text');
+  check(warnings.length === 1 && warnings[0].includes('broken.md'), 'Invalid YAML front-matter is reported');
+}
+
+/**
+ * Test the HTML loader
+ */
+async function testHtmlLoader() {
+  console.log('\n🧪 Testing the HTML loader...');
+  
+  const htmlPath = writeFixture('glimmerfang.html', `<!DOCTYPE html>
+<html>
+<head>
+  <title>Glimmerfang | Bestiary</title>
+  <meta name="Description" content="All about Glimmerfang.">
+  <link rel="canonical" href="https://bestiary.example/monsters/glimmerfang">
+  <style>body { color: red; }</style>
+  <script>var tracking = 'script text';</script>
+</head>
+<body>
+  <header><a href="/">Site header</a></header>
+  <nav><a href="/monsters">All monsters</a></nav>
+  <main>
+    <article>
+      <header><h1>Glimmerfang</h1></header>
+      <p>Glimmerfang   hunts in
+        <a href="caves.html">crystal caves</a> and <a href="#habitat">glows</a>.</p>
+      <h2>Stats</h2>
+      <table><tr><th>Power</th><th>Speed</th></tr><tr><td>7</td><td>9</td></tr></table>
+      <ul><li>Fast</li><li>Shiny</li></ul>
+      <pre>stats = {
+    power: 7
+}</pre>
+      <p hidden>Hidden text</p>
+      <a href="https://other.example/lore">Lore</a> <a href="caves.html">Caves again</a>
+    </article>
+  </main>
+  <aside>Related monsters</aside>
+  <footer>Copyright</footer>
+</body>
+</html>`);
+  
+  const document = await processDocument(htmlPath);
+  check(document.text === [
+    '# Glimmerfang',
+    'Glimmerfang hunts in crystal caves and glows.',
+    '## Stats',
+    'Power | Speed\n7 | 9',
+    '- Fast\n- Shiny',
+    '```\nstats = {\n    power: 7\n}\n```',
+    'Lore Caves again'
+  ].join('\n\n'), 'Headings become markdown headings, with paragraphs, tables, lists and preformatted text');
+  check(!/Site header|All monsters|Related monsters|Copyright|script text|color: red|Hidden text/.test(document.text),
+    'Scripts, styles, navigation, site headers, asides, footers and hidden elements are removed');
+  check(document.metadata.filetype === 'html' && document.metadata.title === 'Glimmerfang | Bestiary'
+    && document.metadata.description === 'All about Glimmerfang.', 'Title and description come from the head');
+  check(JSON.stringify(document.metadata.links) === JSON.stringify([
+    { text: 'crystal caves', url: 'https://bestiary.example/monsters/caves.html' },
+    { text: 'Lore', url: 'https://other.example/lore' }
+  ]), 'Links of the content resolve against the canonical URL, without anchors or duplicates');
+  
+  const barePath = writeFixture('bare.html', '<h1>Emberclaw</h1><p>Emberclaw breathes <a href="fire.html">fire</a>.</p>');
+  const bare = await processDocument(barePath);
+  check(bare.metadata.title === 'Emberclaw' && bare.metadata.description === null, 'Without a <title>, the first heading is the title');
+  check(bare.metadata.links[0].url.startsWith('file://') && bare.metadata.links[0].url.endsWith('/fire.html'),
+    'Without a canonical URL, links resolve against the file');
+  
+  const chunks = await chunkDocument(document, { strategy: 'heading' });
+  check(chunks.map(chunk => chunk.metadata.headingPath).join('|') === 'Glimmerfang|Glimmerfang > Stats',
+    'HTML documents can be split by headings');
+}
+
+/**
+ * Test the DOCX loader
+ */
+async function testDocxLoader() {
+  console.log('\n🧪 Testing the DOCX loader...');
+  
+  const w = 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"';
+  const paragraph = (text, properties = '') => `<w:p><w:pPr>${properties}</w:pPr><w:r><w:t>${text}</w:t></w:r></w:p>`;
+  const docxPath = await writeZipFixture('guide.docx', {
+    'word/styles.xml': `<w:styles ${w}>
+      <w:style w:type="paragraph" w:styleId="Titel"><w:name w:val="Title"/></w:style>
+      <w:style w:type="paragraph" w:styleId="\u00dcberschrift2"><w:name w:val="heading 2"/></w:style>
+      <w:style w:type="paragraph" w:styleId="Custom"><w:name w:val="My Heading"/><w:pPr><w:outlineLvl w:val="2"/></w:pPr></w:style>
+      <w:style w:type="paragraph" w:styleId="Normal"><w:name w:val="Normal"/></w:style>
+    </w:styles>`,
+    'word/document.xml': `<w:document ${w}><w:body>
+      ${paragraph('Monster Guide', '<w:pStyle w:val="Titel"/>')}
+      ${paragraph('Habitats', '<w:pStyle w:val="\u00dcberschrift2"/>')}
+      <w:p><w:r><w:t>Glimmerfang </w:t></w:r><w:r><w:t>lives in caves.</w:t><w:tab/><w:t>Mostly.</w:t><w:br/><w:t>Second line.</w:t></w:r></w:p>
+      <w:p><w:r><w:t>   </w:t></w:r></w:p>
+      ${paragraph('Diet', '<w:pStyle w:val="Custom"/>')}
+      ${paragraph('Crystals', '<w:numPr><w:numId w:val="1"/></w:numPr>')}
+      ${paragraph('Moonlight', '<w:numPr><w:numId w:val="1"/></w:numPr>')}
+      <w:tbl>
+        <w:tr><w:tc>${paragraph('Name')}</w:tc><w:tc>${paragraph('Level')}</w:tc></w:tr>
+        <w:tr><w:tc>${paragraph('Glimmerfang')}</w:tc><w:tc>${paragraph('12')}</w:tc></w:tr>
+      </w:tbl>
+      ${paragraph('Notes', '<w:outlineLvl w:val="0"/>')}
+    </w:body></w:document>`,
+    'docProps/core.xml': `<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties"
+      xmlns:dc="http://purl.org/dc/elements/1.1/"><dc:title>Monster Guide</dc:title><dc:creator>Ada</dc:creator></cp:coreProperties>`
+  });
+  
+  const document = await processDocument(docxPath);
+  check(document.text === [
+    '# Monster Guide',
+    '## Habitats',
+    'Glimmerfang lives in caves.\tMostly.\nSecond line.',
+    '### Diet',
+    '- Crystals\n- Moonlight',
+    'Name | Level\nGlimmerfang | 12',
+    '# Notes'
+  ].join('\n\n'), 'Headings, runs, tabs, breaks, list items and tables are converted (empty paragraphs are skipped)');
+  check(document.metadata.filetype === 'docx' && document.metadata.title === 'Monster Guide' && document.metadata.author === 'Ada',
+    'Title and author come from the document properties');
+  check(document.metadata.sections.map(section => `${section.level}:${section.title}`).join(',') === '1:Monster Guide,2:Habitats,3:Diet,1:Notes',
+    'Heading levels come from style names, localized style IDs, outline levels and direct outline levels');
+  
+  const brokenPath = await writeZipFixture('broken.docx', { 'docProps/core.xml': '<cp:coreProperties/>' });
+  const error = await getRejection(processDocument(brokenPath));
+  check(error !== null && error.message.includes('word/document.xml not found'), 'A DOCX without a body is an error');
+}
+
+/**
+ * Test the ODT loader
+ */
+async function testOdtLoader() {
+  console.log('\n🧪 Testing the ODT loader...');
+  
+  const namespaces = [
+    'xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0"',
+    'xmlns:text="urn:oasis:names:tc:opendocument:xmlns:text:1.0"',
+    'xmlns:table="urn:oasis:names:tc:opendocument:xmlns:table:1.0"'
+  ].join(' ');
+  const odtPath = await writeZipFixture('notes.odt', {
+    'content.xml': `<office:document-content ${namespaces}><office:body><office:text>
+      <text:h text:outline-level="1">Cave Notes</text:h>
+      <text:p>Three<text:s text:c="3"/>spaces,<text:tab/>a tab<text:line-break/>and a break<text:note><text:note-body><text:p>A footnote</text:p></text:note-body></text:note>.</text:p>
+      <text:p/>
+      <text:h text:outline-level="2">Visitors</text:h>
+      <text:list><text:list-item><text:p>Glimmerfang</text:p></text:list-item><text:list-item><text:p>Emberclaw</text:p></text:list-item></text:list>
+      <table:table><table:table-row><table:table-cell><text:p>Cave</text:p></table:table-cell><table:table-cell><text:p>Depth</text:p></table:table-cell></table:table-row>
+        <table:table-row><table:table-cell><text:p>North</text:p></table:table-cell><table:table-cell><text:p>40 m</text:p></table:table-cell></table:table-row></table:table>
+      <text:section><text:p>Inside a section.</text:p></text:section>
+    </office:text></office:body></office:document-content>`,
+    'meta.xml': `<office:document-meta ${namespaces} xmlns:meta="urn:oasis:names:tc:opendocument:xmlns:meta:1.0"
+      xmlns:dc="http://purl.org/dc/elements/1.1/"><office:meta><dc:title>Cave Notes</dc:title><meta:initial-creator>Grace</meta:initial-creator></office:meta></office:document-meta>`
+  });
+  
+  const document = await processDocument(odtPath);
+  check(document.text === [
+    '# Cave Notes',
+    'Three   spaces,\ta tab\nand a break.',
+    '## Visitors',
+    '- Glimmerfang\n- Emberclaw',
+    'Cave | Depth\nNorth | 40 m',
+    'Inside a section.'
+  ].join('\n\n'), 'Headings, spaces, tabs, breaks, lists, tables and sections are converted (footnotes are left out)');
+  check(document.metadata.filetype === 'odt' && document.metadata.title === 'Cave Notes' && document.metadata.author === 'Grace',
+    'Title and initial creator come from meta.xml');
+  check(document.metadata.sections.length === 2 && document.metadata.sections[1].level === 2, 'Outline levels give the section levels');
+}
+
+/**
+ * Test the EPUB loader
+ */
+async function testEpubLoader() {
+  console.log('\n🧪 Testing the EPUB loader...');
+  
+  const chapter = body => `<?xml version="1.0" encoding="UTF-8"?><html xmlns="http://www.w3.org/1999/xhtml"><head><title>Chapter</title></head><body>${body}</body></html>`;
+  const epubPath = await writeZipFixture('bestiary.epub', {
+    'mimetype': 'application/epub+zip',
+    'META-INF/container.xml': `<container xmlns="urn:oasis:names:tc:opendocument:xmlns:container" version="1.0">
+      <rootfiles><rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/></rootfiles></container>`,
+    'OEBPS/content.opf': `<package xmlns="http://www.idpf.org/2007/opf" version="3.0">
+      <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+        <dc:title>Bestiary</dc:title><dc:creator>Ada</dc:creator><dc:creator>Grace</dc:creator><dc:language>en</dc:language>
+      </metadata>
+      <manifest>
+        <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+        <item id="c1" href="text/chapter%201.xhtml" media-type="application/xhtml+xml"/>
+        <item id="caves&quot;]" href="text/caves.xhtml" media-type="application/xhtml+xml"/>
+        <item id="cover" href="cover.jpg" media-type="image/jpeg"/>
+      </manifest>
+      <spine><itemref idref="caves&quot;]"/><itemref idref="cover"/><itemref idref="c1"/></spine>
+    </package>`,
+    'OEBPS/nav.xhtml': chapter(`<nav><ol>
+      <li><a href="text/caves.xhtml#start">The Caves</a></li>
+      <li><a href="text/chapter%201.xhtml">Table of Contents Title</a></li>
+    </ol></nav>`),
+    'OEBPS/text/caves.xhtml': chapter('<p>Crystal caves glow at night.</p>'),
+    'OEBPS/text/chapter 1.xhtml': chapter('<h1>Glimmerfang</h1><p>Glimmerfang hunts in the caves.</p>'),
+    'OEBPS/cover.jpg': 'not really an image'
+  });
+  
+  const document = await processDocument(epubPath);
+  check(document.text === '# The Caves\n\nCrystal caves glow at night.\n\n# Glimmerfang\n\nGlimmerfang hunts in the caves.',
+    'Chapters follow the spine, and chapters without a heading are named from the table of contents');
+  check(document.text.includes('Crystal caves glow at night.'), 'Item IDs with quotes and brackets are matched as they are');
+  check(document.metadata.chapters === 2, 'Items that are not chapters are skipped');
+  check(document.metadata.filetype === 'epub' && document.metadata.title === 'Bestiary'
+    && document.metadata.author === 'Ada, Grace' && document.metadata.language === 'en',
+  'Title, authors and language come from the package document');
+  
+  const brokenPath = await writeZipFixture('broken.epub', { 'mimetype': 'application/epub+zip' });
+  const error = await getRejection(processDocument(brokenPath));
+  check(error !== null && error.message.includes('package document not found'), 'An EPUB without a package document is an error');
+}
+
+runTests('loaders', async () => {
+  await testCsvLoader();
+  await testJsonLoaders();
+  await testRecordChunks();
+  await testMarkdownLoader();
+  await testHtmlLoader();
+  await testDocxLoader();
+  await testOdtLoader();
+  await testEpubLoader();
+});
@@ -0,0 +1,225 @@
+/**
+ * Test script for metadata filters
+ * Checks filter validation, the generated SQL and filtered vector and keyword searches
+ */
+
+import { check, useScratchDatabase, runTests } from './helpers.js';
+
+// Must be set before the database module is loaded
+useScratchDatabase();
+
+const { getFilterError, buildChunkFilterQuery, escapeLike } = await import('../utils/metadataFilter.js');
+const { searchVectorIndex, searchKeywordIndex } = await import('../utils/database.js');
+const { getEmbedding } = await import('../utils/embeddings.js');
+const { storeDocumentWithChunks } = await import('../utils/vectorStorage.js');
+
+/**
+ * Compare two lists of values, ignoring their order
+ * @param {Array} actual - Values found
+ * @param {Array} expected - Values expected
+ * @returns {boolean} True if both lists hold the same values
+ */
+function sameValues(actual, expected) {
+  return JSON.stringify([...actual].sort()) === JSON.stringify([...expected].sort());
+}
+
+// Test documents: every filter field matches some of them and not the others
+const DOCUMENTS = [
+  {
+    source: 'test/docs/guide_v1.md',
+    title: 'Crystal Guide',
+    filetype: 'markdown',
+    tags: ['monsters', 'crystal'],
+    date: '2024-03-05',
+    strategy: 'heading',
+    texts: ['Glimmerfang hunts crystal caves at night.']
+  },
+  {
+    source: 'test/docs/guide%v2.pdf',
+    title: 'Fire 100% Guide',
+    filetype: 'pdf',
+    tags: ['fire'],
+    date: '2023-01-10',
+    strategy: 'character',
+    texts: ['Emberclaw breathes fire over the caves.']
+  },
+  {
+    source: 'test/docs/guideXv1.txt',
+    title: 'Cave Notes',
+    filetype: 'text',
+    strategy: 'character',
+    texts: ['Notes about caves and the monsters living in them.']
+  },
+  {
+    // Many chunks closer to the query than any other document's, to check that filters apply inside the KNN search
+    source: 'test/other/caves.txt',
+    title: 'Caves',
+    filetype: 'text',
+    strategy: 'paragraph',
+    texts: Array.from({ length: 12 }, (_, index) => `Monsters in caves at night, number ${index}.`)
+  }
+];
+
+/**
+ * Store the test documents with hash embeddings
+ * @returns {Promise<Map<string, number>>} Document ID by source
+ */
+async function storeTestDocuments() {
+  const ids = new Map();
+  
+  for (const doc of DOCUMENTS) {
+    const metadata = {
+      source: doc.source,
+      title: doc.title,
+      filetype: doc.filetype,
+      tags: doc.tags || [],
+      date: doc.date || null
+    };
+    const chunks = [];
+    for (const text of doc.texts) {
+      chunks.push({ text, metadata: { chunkStrategy: doc.strategy }, embedding: await getEmbedding(text) });
+    }
+    
+    const { documentId } = storeDocumentWithChunks({ text: doc.texts.join('\n\n'), metadata }, chunks);
+    ids.set(doc.source, documentId);
+  }
+  
+  return ids;
+}
+
+/**
+ * Test filter validation
+ */
+function testFilterValidation() {
+  console.log('\n🧪 Testing filter validation...');
+  
+  check(getFilterError(undefined) === null && getFilterError(null) === null, 'A missing filter is valid');
+  check(getFilterError({}) === null, 'An empty filter is valid');
+  check(getFilterError([]) !== null && getFilterError('pdf') !== null, 'A filter must be an object');
+  
+  const unknownError = getFilterError({ filetype: 'pdf', author: 'x', color: 'red' });
+  check(unknownError !== null && unknownError.includes('author, color'), 'Unknown fields are rejected by name');
+  
+  for (const field of ['filetype', 'sourcePrefix', 'tags', 'chunkStrategy']) {
+    check(getFilterError({ [field]: ['a', 'b'] }) === null, `${field} accepts a list of strings`);
+    check(getFilterError({ [field]: '' }) !== null && getFilterError({ [field]: [] }) !== null
+      && getFilterError({ [field]: [1] }) !== null, `${field} rejects empty values and non-strings`);
+  }
+  
+  check(getFilterError({ title: 'Guide' }) === null && getFilterError({ title: ['Guide'] }) !== null,
+    'title must be a single string');
+  
+  for (const field of ['date', 'ingested']) {
+    check(getFilterError({ [field]: { after: '2024-01-01', before: '2024-02-01T12:00:00Z' } }) === null,
+      `${field} accepts an after/before range`);
+    check(getFilterError({ [field]: {} }) !== null
+      && getFilterError({ [field]: { after: 'yesterday' } }) !== null
+      && getFilterError({ [field]: { since: '2024-01-01' } }) !== null
+      && getFilterError({ [field]: '2024-01-01' }) !== null,
+    `${field} rejects empty ranges, invalid dates and unknown bounds`);
+  }
+  
+  check(getFilterError({ documentIds: [1, 2] }) === null && getFilterError({ documentIds: 3 }) === null,
+    'documentIds accepts an ID or a list of IDs');
+  check(getFilterError({ documentIds: [] }) !== null && getFilterError({ documentIds: [0] }) !== null
+    && getFilterError({ documentIds: ['1'] }) !== null, 'documentIds rejects empty lists and invalid IDs');
+}
+
+/**
+ * Test the SQL built from filters
+ */
+function testFilterQuery() {
+  console.log('\n🧪 Testing filter queries...');
+  
+  check(buildChunkFilterQuery(null) === null && buildChunkFilterQuery({}) === null,
+    'Filters that restrict nothing build no query');
+  
+  let error = null;
+  try {
+    buildChunkFilterQuery({ colour: 'red' });
+  } catch (thrown) {
+    error = thrown;
+  }
+  check(error !== null && error.message.startsWith('Unknown filter field'), 'Invalid filters throw');
+  
+  const query = buildChunkFilterQuery({ filetype: ['pdf', 'markdown'], documentIds: 4 });
+  check(query.sql.includes('d.filetype IN (?, ?)') && query.sql.includes('c.document_id IN (?)'),
+    'Lists become IN conditions');
+  check(sameValues(query.params, ['pdf', 'markdown', 4]), 'Values are passed as parameters');
+  
+  check(escapeLike('100%_a\\b') === '100\\%\\_a\\\\b', 'escapeLike escapes %, _ and backslashes');
+  check(buildChunkFilterQuery({ sourcePrefix: 'docs/a_' }).params[0] === 'docs/a\\_%',
+    'Source prefixes are escaped and matched as prefixes');
+  check(buildChunkFilterQuery({ title: '50%' }).params[0] === '%50\\%%', 'Titles are escaped and matched anywhere');
+}
+
+/**
+ * Test filtered vector and keyword searches
+ * @param {Map<string, number>} ids - Document ID by source
+ */
+async function testFilteredSearches(ids) {
+  console.log('\n🧪 Testing filtered searches...');
+  
+  const query = 'monsters in caves at night';
+  const queryEmbedding = await getEmbedding(query);
+  const sourceOf = new Map([...ids].map(([source, id]) => [id, source]));
+  
+  /**
+   * Get the sources found by both searches with a filter, checking that they agree
+   * @param {Object} filter - Metadata filter
+   * @returns {Array<string>} Sources of the documents found
+   */
+  const search = filter => {
+    const vectorSources = [...new Set(searchVectorIndex(queryEmbedding, 50, filter).map(row => sourceOf.get(row.document_id)))];
+    const keywordSources = [...new Set(searchKeywordIndex(query, 50, filter).map(row => sourceOf.get(row.document_id)))];
+    check(sameValues(vectorSources, keywordSources), `Vector and keyword searches agree on ${JSON.stringify(filter)}`);
+    return vectorSources;
+  };
+  
+  const expectations = [
+    [{ filetype: 'markdown' }, ['test/docs/guide_v1.md']],
+    [{ filetype: ['pdf', 'markdown'] }, ['test/docs/guide_v1.md', 'test/docs/guide%v2.pdf']],
+    [{ sourcePrefix: 'test/docs/' }, ['test/docs/guide_v1.md', 'test/docs/guide%v2.pdf', 'test/docs/guideXv1.txt']],
+    // Unescaped, _ and % would also match guideXv1.txt and every guide
+    [{ sourcePrefix: 'test/docs/guide_' }, ['test/docs/guide_v1.md']],
+    [{ sourcePrefix: 'test/docs/guide%' }, ['test/docs/guide%v2.pdf']],
+    [{ sourcePrefix: ['test/other/', 'test/docs/guideX'] }, ['test/other/caves.txt', 'test/docs/guideXv1.txt']],
+    [{ title: 'guide' }, ['test/docs/guide_v1.md', 'test/docs/guide%v2.pdf']],
+    [{ title: '%' }, ['test/docs/guide%v2.pdf']],
+    [{ tags: 'crystal' }, ['test/docs/guide_v1.md']],
+    [{ tags: ['fire', 'crystal'] }, ['test/docs/guide_v1.md', 'test/docs/guide%v2.pdf']],
+    [{ date: { after: '2024-01-01' } }, ['test/docs/guide_v1.md']],
+    [{ date: { before: '2024-01-01' } }, ['test/docs/guide%v2.pdf']],
+    // after is inclusive and before exclusive; documents without a date never match
+    [{ date: { after: '2023-01-10', before: '2024-03-05' } }, ['test/docs/guide%v2.pdf']],
+    [{ date: { after: '2023-01-10', before: '2024-03-06' } }, ['test/docs/guide_v1.md', 'test/docs/guide%v2.pdf']],
+    [{ ingested: { after: new Date(Date.now() - 3600 * 1000).toISOString() } }, [...ids.keys()]],
+    [{ ingested: { before: '2000-01-01' } }, []],
+    [{ chunkStrategy: 'character' }, ['test/docs/guide%v2.pdf', 'test/docs/guideXv1.txt']],
+    [{ documentIds: [ids.get('test/docs/guideXv1.txt')] }, ['test/docs/guideXv1.txt']],
+    [{ filetype: 'text', chunkStrategy: 'character' }, ['test/docs/guideXv1.txt']]
+  ];
+  
+  for (const [filter, expected] of expectations) {
+    const found = search(filter);
+    check(sameValues(found, expected), `${JSON.stringify(filter)} finds ${expected.length ? expected.join(', ') : 'nothing'}`);
+  }
+  
+  // Without the filter, the top 3 neighbours all come from test/other/caves.txt
+  const unfiltered = searchVectorIndex(queryEmbedding, 3);
+  check(unfiltered.every(row => sourceOf.get(row.document_id) === 'test/other/caves.txt'),
+    'Unfiltered, the nearest chunks all come from the largest document');
+  
+  // A filter applied after the KNN search would find nothing in those 3 rows
+  const filtered = searchVectorIndex(queryEmbedding, 3, { filetype: 'markdown' });
+  check(filtered.length === 1 && sourceOf.get(filtered[0].document_id) === 'test/docs/guide_v1.md',
+    'Filters are applied inside the KNN search, not to its results');
+}
+
+runTests('metadata filters', async () => {
+  testFilterValidation();
+  testFilterQuery();
+  
+  const ids = await storeTestDocuments();
+  await testFilteredSearches(ids);
+});
@@ -0,0 +1,147 @@
+/**
+ * Test script for PDF page numbers
+ * Loads a small PDF written by the test, and checks its page ranges, the pages of its chunks
+ * and the page citations of retrieved chunks
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { check, createTempDir, useScratchDatabase, runTests } from './helpers.js';
+
+// Must be set before the database module is loaded
+useScratchDatabase();
+
+const { processDocument, cleanDocument } = await import('../utils/documentProcessor.js');
+const { chunkDocument } = await import('../utils/documentChunker.js');
+const { ingestFiles } = await import('../utils/ingestion.js');
+const { retrieveRelevantChunks } = await import('../utils/ragPipeline.js');
+const { createRagPrompt } = await import('../utils/promptBuilder.js');
+
+const FIXTURES_DIR = createTempDir('pdf');
+
+// Lines of each page of the test PDF
+const PAGES = [
+  ['Glimmerfang hunts in crystal caves.', 'It glows at night.'],
+  ['Emberclaw breathes fire over the plains.'],
+  ['Frostmaw sleeps under the glacier.', 'It wakes every winter.']
+];
+
+/**
+ * Write a PDF with one line of Helvetica text per line of each page
+ * @param {string} name - File name
+ * @param {string} title - Title in the document information
+ * @param {Array<Array<string>>} pages - Lines of each page (ASCII, without parentheses or backslashes)
+ * @returns {string} Path of the file
+ */
+function writePdf(name, title, pages) {
+  // Objects 1-4 are the catalog, page tree, font and information; each page adds a page and its content stream
+  const pageIds = pages.map((_, index) => 5 + index * 2);
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>',
+    `<< /Title (${title}) >>`
+  ];
+  for (const [index, lines] of pages.entries()) {
+    const content = `BT /F1 12 Tf 72 720 Td ${lines.map(line => `(${line}) Tj`).join(' 0 -20 Td ')} ET`;
+    objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 3 0 R >> >> /Contents ${pageIds[index] + 1} 0 R >>`);
+    objects.push(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+  }
+  
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((object, index) => {
+    const offset = pdf.length;
+    pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xrefOffset = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 4 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+  
+  const filePath = path.join(FIXTURES_DIR, name);
+  fs.writeFileSync(filePath, pdf, 'latin1');
+  return filePath;
+}
+
+/**
+ * Test the page ranges of the PDF loader
+ */
+async function testPageRanges() {
+  console.log('\n🧪 Testing PDF page ranges...');
+  
+  const document = await processDocument(writePdf('bestiary.pdf', 'Bestiary', PAGES));
+  check(document.metadata.filetype === 'pdf' && document.metadata.title === 'Bestiary' && document.metadata.pages === 3,
+    'Title and page count come from the PDF');
+  check(document.text === PAGES.map(lines => lines.join('\n')).join('\n\n'), 'Pages are joined by blank lines, one line per text row');
+  check(JSON.stringify(document.pageRanges.map(page => page.pageNumber)) === '[1,2,3]'
+    && document.pageRanges.every((page, index) => document.text.slice(page.start, page.end) === PAGES[index].join('\n')),
+  'Each page range covers the text of its page');
+  
+  // Cleaning shortens the first page, which moves the next ones
+  const spacedPages = ['Glimmerfang    hunts   in crystal caves.', 'Emberclaw breathes fire.', 'Frostmaw sleeps.'];
+  const spaced = {
+    text: spacedPages.join('\n\n'),
+    pageRanges: spacedPages.map((pageText, index) => {
+      const start = spacedPages.slice(0, index).join('\n\n').length + (index > 0 ? 2 : 0);
+      return { pageNumber: index + 1, start, end: start + pageText.length };
+    }),
+    metadata: { source: 'spaced.pdf', filetype: 'pdf' }
+  };
+  const cleaned = cleanDocument(spaced, ['collapseWhitespace']);
+  check(cleaned.text.startsWith('Glimmerfang hunts in crystal caves.')
+    && cleaned.pageRanges.every((page, index) => cleaned.text.slice(page.start, page.end) === spacedPages[index].replace(/ +/g, ' ')),
+  'Cleaning keeps the page ranges on their pages');
+}
+
+/**
+ * Test the pages of chunks
+ */
+async function testChunkPages() {
+  console.log('\n🧪 Testing chunk pages...');
+  
+  const document = await processDocument(path.join(FIXTURES_DIR, 'bestiary.pdf'));
+  const pagesOf = chunks => chunks.map(({ metadata }) => `${metadata.pageStart}-${metadata.pageEnd}`).join(',');
+  
+  const paragraphs = await chunkDocument(document, { strategy: 'paragraph', maxParagraphsPerChunk: 1, paragraphOverlap: 0 });
+  check(pagesOf(paragraphs) === '1-1,2-2,3-3', `Chunks within a page get its number (${pagesOf(paragraphs)})`);
+  
+  const pairs = await chunkDocument(document, { strategy: 'paragraph', maxParagraphsPerChunk: 2, paragraphOverlap: 1 });
+  check(pagesOf(pairs).startsWith('1-2,2-3,'), `Chunks across pages get the range they span (${pagesOf(pairs)})`);
+  
+  const tokens = await chunkDocument(document, { strategy: 'token', chunkSize: 8 });
+  check(tokens.length > 3 && tokens[0].metadata.pageStart === 1 && tokens.at(-1).metadata.pageEnd === 3
+    && tokens.every(({ metadata }) => metadata.pageStart <= metadata.pageEnd) && pagesOf(tokens).includes('2-3'),
+  `Chunks cut inside pages get page numbers too (${pagesOf(tokens)})`);
+  
+  const textPath = path.join(FIXTURES_DIR, 'notes.txt');
+  fs.writeFileSync(textPath, PAGES.map(lines => lines.join('\n')).join('\n\n'));
+  const text = await chunkDocument(await processDocument(textPath), { strategy: 'character' });
+  check(text.every(chunk => chunk.metadata.pageStart === undefined), 'Documents without pages get no page numbers');
+}
+
+/**
+ * Test the page citations of retrieved chunks
+ */
+async function testCitations() {
+  console.log('\n🧪 Testing page citations...');
+  
+  const pdfPath = path.join(FIXTURES_DIR, 'bestiary.pdf');
+  await ingestFiles([pdfPath], { chunkOptions: { strategy: 'paragraph', maxParagraphsPerChunk: 1, paragraphOverlap: 0 } });
+  
+  const [emberclaw] = await retrieveRelevantChunks('Emberclaw breathes fire', { mode: 'keyword', k: 1 });
+  check(emberclaw.metadata.pageStart === 2 && emberclaw.citation === `Bestiary (${pdfPath}), p. 2`,
+    `Stored chunks keep their page, which is cited (${emberclaw.citation})`);
+  
+  await ingestFiles([pdfPath], { chunkOptions: { strategy: 'paragraph', maxParagraphsPerChunk: 2 } });
+  const [spanning] = await retrieveRelevantChunks('Glimmerfang Emberclaw', { mode: 'keyword', k: 1 });
+  check(spanning.citation === `Bestiary (${pdfPath}), pp. 1-2`, `Chunks across pages cite the page range (${spanning.citation})`);
+  check(createRagPrompt([spanning], 'Who breathes fire?').includes(`[Source: Bestiary (${pdfPath}), pp. 1-2]`),
+    'The prompt shows the pages to the LLM');
+}
+
+runTests('PDF pages', async () => {
+  await testPageRanges();
+  await testChunkPages();
+  await testCitations();
+});
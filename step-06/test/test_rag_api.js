@@ -0,0 +1,233 @@
+/**
+ * Test script for the /rag routes
+ * Checks answers streamed as Server-Sent Events, including aborting the LLM request when the client disconnects,
+ * and chat sessions with follow-up questions rewritten for retrieval
+ */
+
+import express from 'express';
+import { check, useScratchDatabase, useFakeLlm, startServer, waitFor, runTests } from './helpers.js';
+
+// Must be set before the database and LLM modules are loaded
+useScratchDatabase();
+
+// Answers of the fake LLM to the next requests: query rewrites, and everything else
+let nextRewrite = [];
+let nextAnswer = [];
+const llmRequests = await useFakeLlm(body => (isRewriteRequest(body) ? nextRewrite : nextAnswer));
+
+const { getEmbedding } = await import('../utils/embeddings.js');
+const { storeDocumentWithChunks } = await import('../utils/vectorStorage.js');
+const { default: ragRoutes } = await import('../routes/rag.js');
+
+const app = express();
+app.use(express.json());
+app.use('/rag', ragRoutes);
+const API_URL = `${await startServer(app)}/rag`;
+
+/**
+ * Check whether an LLM request asks for a query rewrite
+ * @param {Object} body - Chat completion request body
+ * @returns {boolean} True for query rewrite requests
+ */
+function isRewriteRequest(body) {
+  return body.messages[0].content.includes('rewrite follow-up questions');
+}
+
+/**
+ * Store a small document to answer from
+ */
+async function storeTestDocument() {
+  const texts = ['Glimmerfang hunts in crystal caves.', 'Emberclaw breathes fire over the plains.'];
+  const chunks = [];
+  for (const text of texts) {
+    chunks.push({ text, metadata: {}, embedding: await getEmbedding(text) });
+  }
+  
+  storeDocumentWithChunks({
+    text: texts.join('\n\n'),
+    metadata: { source: 'test/monsters.md', title: 'Monsters', filetype: 'markdown' }
+  }, chunks);
+}
+
+/**
+ * Post a JSON body to a /rag route
+ * @param {string} route - Route path, e.g. '/query'
+ * @param {Object} body - Request body
+ * @param {Object} [options] - Extra fetch options (headers, signal)
+ * @returns {Promise<Response>} The response
+ */
+function post(route, body, options = {}) {
+  return fetch(`${API_URL}${route}`, {
+    method: 'POST',
+    ...options,
+    headers: { 'Content-Type': 'application/json', ...options.headers },
+    body: JSON.stringify(body)
+  });
+}
+
+/**
+ * Read the Server-Sent Events of a response
+ * @param {Response} response - Streaming response
+ * @param {Function} [stop] - Gets the events read so far, and returns true to stop reading
+ * @returns {Promise<Array<Object>>} Events as { event, data }
+ */
+async function readEvents(response, stop = () => false) {
+  const decoder = new TextDecoder();
+  const events = [];
+  let buffer = '';
+  
+  for await (const bytes of response.body) {
+    buffer += decoder.decode(bytes, { stream: true });
+    
+    const messages = buffer.split('\n\n');
+    buffer = messages.pop();
+    
+    for (const message of messages) {
+      const event = message.match(/^event: (.*)$/m)?.[1];
+      const data = message.match(/^data: (.*)$/m)?.[1];
+      events.push({ event, data: JSON.parse(data) });
+    }
+    
+    if (stop(events)) {
+      break;
+    }
+  }
+  
+  return events;
+}
+
+/**
+ * Test streamed answers
+ */
+async function testStreaming() {
+  console.log('\n🧪 Testing streamed answers...');
+  
+  nextAnswer = ['Glimmerfang ', 'lives ', 'in ', 'caves.'];
+  const response = await post('/query', { query: 'Where does Glimmerfang hunt?', mode: 'keyword', stream: true });
+  check(response.headers.get('content-type').startsWith('text/event-stream'), 'stream: true answers with an event stream');
+  
+  const events = await readEvents(response);
+  const names = events.map(({ event }) => event);
+  check(names.join(',') === 'chunks,delta,delta,delta,delta,done', `Events come as chunks, deltas, then done (got ${names.join(',')})`);
+  
+  const chunks = events[0].data.chunks;
+  check(chunks.length > 0 && chunks[0].text.includes('Glimmerfang') && chunks[0].citation.includes('Monsters'),
+    'The chunks event carries the retrieved chunks with their citations');
+  check(events.filter(({ event }) => event === 'delta').map(({ data }) => data.content).join('') === 'Glimmerfang lives in caves.',
+    'The deltas add up to the answer');
+  
+  const done = events[events.length - 1].data;
+  check(done.usage?.completion_tokens === 4 && Number.isFinite(done.timing.totalMs)
+    && done.timing.totalMs === done.timing.retrievalMs + done.timing.generationMs, 'The done event reports usage and timing');
+  check(llmRequests[llmRequests.length - 1].body.stream === true
+    && llmRequests[llmRequests.length - 1].body.messages.at(-1).content.includes('Glimmerfang hunts in crystal caves.'),
+  'The LLM is asked to stream an answer from the retrieved context');
+  
+  const accepted = await post('/query', { query: 'Where does Glimmerfang hunt?', mode: 'keyword' },
+    { headers: { Accept: 'text/event-stream' } });
+  check((await readEvents(accepted)).at(-1).event === 'done', 'Accept: text/event-stream also streams the answer');
+  
+  const json = await (await post('/query', { query: 'Where does Glimmerfang hunt?', mode: 'keyword' })).json();
+  check(json.success === true && json.answer === 'Glimmerfang lives in caves.', 'Without streaming, the answer comes as JSON');
+  
+  const invalid = await post('/query', { query: 'Where does Glimmerfang hunt?', k: 0, stream: true });
+  check(invalid.status === 400 && (await invalid.json()).success === false, 'Invalid options are rejected before streaming');
+  
+  nextAnswer = null;
+  const failed = await readEvents(await post('/query', { query: 'Where does Glimmerfang hunt?', mode: 'keyword', stream: true }));
+  check(failed.at(-1).event === 'error' && failed.at(-1).data.error.includes('503'),
+    'LLM errors after the headers are sent come as an error event');
+}
+
+/**
+ * Test that a client disconnecting aborts the LLM request
+ */
+async function testStreamAbort() {
+  console.log('\n🧪 Testing client disconnects...');
+  
+  nextAnswer = Array.from({ length: 200 }, (_, index) => `word${index} `);
+  const controller = new AbortController();
+  const response = await post('/query', { query: 'Tell me everything about Glimmerfang', mode: 'keyword', stream: true },
+    { signal: controller.signal });
+  
+  const events = await readEvents(response, read => read.filter(({ event }) => event === 'delta').length >= 3);
+  controller.abort();
+  
+  const request = llmRequests[llmRequests.length - 1];
+  await waitFor(() => request.completed !== null);
+  check(events.filter(({ event }) => event === 'delta').length >= 3, 'The client receives deltas before disconnecting');
+  check(request.completed === false && request.deltasSent < 200,
+    `The LLM request is aborted when the client disconnects (after ${request.deltasSent} of 200 deltas)`);
+}
+
+/**
+ * Get a JSON response from a /rag route
+ * @param {string} route - Route path
+ * @param {Object} [body] - Request body (a GET request is sent without one)
+ * @returns {Promise<Object>} { status, json }
+ */
+async function request(route, body) {
+  const response = body === undefined ? await fetch(`${API_URL}${route}`) : await post(route, body);
+  return { status: response.status, json: await response.json() };
+}
+
+/**
+ * Test chat sessions and query rewriting
+ */
+async function testChatSessions() {
+  console.log('\n🧪 Testing chat sessions...');
+  
+  const created = await request('/sessions', { title: 'Monster questions' });
+  const sessionId = created.json.session?.id;
+  check(created.status === 201 && created.json.session.title === 'Monster questions' && created.json.session.message_count === 0,
+    'Sessions are created empty with their title');
+  check((await request('/sessions', { title: 5 })).status === 400, 'Session titles must be strings');
+  check((await request('/sessions/999')).status === 404 && (await request('/sessions/abc')).status === 400,
+    'Unknown and invalid session IDs are rejected');
+  check((await request('/sessions/999/messages', { message: 'Hello?' })).status === 404, 'Messages to unknown sessions are rejected');
+  check((await request(`/sessions/${sessionId}/messages`, { message: '' })).status === 400, 'Messages must not be empty');
+  
+  // The first message has no history, so it is used for retrieval as it is
+  const requestsBefore = llmRequests.length;
+  nextAnswer = ['Emberclaw ', 'breathes ', 'fire.'];
+  const first = await request(`/sessions/${sessionId}/messages`, { message: 'Tell me about Emberclaw', mode: 'keyword' });
+  check(first.json.success === true && first.json.answer === 'Emberclaw breathes fire.' && first.json.retrievalQuery === 'Tell me about Emberclaw',
+    'Without history, the message is the retrieval query');
+  check(!llmRequests.slice(requestsBefore).some(({ body }) => isRewriteRequest(body)), 'Without history, nothing is rewritten');
+  
+  // A follow-up is rewritten with the conversation, and answered with it as chat history
+  nextRewrite = ['Where does ', 'Emberclaw breathe fire?'];
+  nextAnswer = ['Over the plains.'];
+  const second = await request(`/sessions/${sessionId}/messages`, { message: 'Where does it do that?', mode: 'keyword' });
+  const [rewriteRequest, answerRequest] = llmRequests.slice(-2).map(({ body }) => body);
+  check(second.json.retrievalQuery === 'Where does Emberclaw breathe fire?', 'Follow-up questions are rewritten into standalone queries');
+  check(rewriteRequest.messages.at(-1).content.includes('User: Tell me about Emberclaw\nAssistant: Emberclaw breathes fire.')
+    && rewriteRequest.messages.at(-1).content.includes('Follow-up question: Where does it do that?'),
+  'The rewrite prompt holds the conversation and the follow-up');
+  check(second.json.chunks.length > 0 && second.json.chunks[0].text.includes('Emberclaw'), 'Chunks are retrieved for the rewritten query');
+  check(answerRequest.messages.slice(1, 3).map(({ role, content }) => `${role}: ${content}`).join('|')
+    === 'user: Tell me about Emberclaw|assistant: Emberclaw breathes fire.'
+    && answerRequest.messages.at(-1).content.includes('Where does it do that?'),
+  'The answer is generated with the earlier turns as history, for the user\'s own words');
+  
+  // An empty rewrite falls back to the question
+  nextRewrite = ['  '];
+  const third = await request(`/sessions/${sessionId}/messages`, { message: 'And Glimmerfang?', mode: 'keyword' });
+  check(third.json.retrievalQuery === 'And Glimmerfang?', 'An empty rewrite falls back to the original question');
+  
+  const session = await request(`/sessions/${sessionId}`);
+  const messages = session.json.messages;
+  check(session.json.session.message_count === 6 && messages.map(({ role }) => role).join(',') === 'user,assistant,user,assistant,user,assistant',
+    'Both sides of every exchange are stored in order');
+  check(messages[2].retrieval_query === 'Where does Emberclaw breathe fire?'
+    && JSON.stringify(messages[3].chunk_ids) === JSON.stringify(second.json.chunks.map(chunk => chunk.id)),
+  'User messages keep their retrieval query, and answers the IDs of their chunks');
+}
+
+runTests('RAG API', async () => {
+  await storeTestDocument();
+  
+  await testStreaming();
+  await testStreamAbort();
+  await testChatSessions();
+});
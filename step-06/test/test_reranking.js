@@ -0,0 +1,145 @@
+/**
+ * Test script for the rerank stage
+ * Scores (query, chunk) pairs with the offline word-overlap reranker, and checks that the pipeline and the /rag routes
+ * over-fetch candidates, rerank them before expanding them, and return both their retrieval and rerank scores
+ */
+
+import express from 'express';
+import { check, useScratchDatabase, useFakeLlm, startServer, runTests } from './helpers.js';
+
+// Must be set before the database and LLM modules are loaded
+useScratchDatabase();
+const llmRequests = await useFakeLlm(() => ['Emberclaw does.']);
+
+const { getEmbedding } = await import('../utils/embeddings.js');
+const { storeDocumentWithChunks } = await import('../utils/vectorStorage.js');
+const { retrieveChunks } = await import('../utils/retrieval.js');
+const { scorePairs, rerankChunks } = await import('../utils/reranker.js');
+const { retrieveRelevantChunks } = await import('../utils/ragPipeline.js');
+const { default: ragRoutes } = await import('../routes/rag.js');
+
+const app = express();
+app.use(express.json());
+app.use('/rag', ragRoutes);
+const API_URL = `${await startServer(app)}/rag`;
+
+const QUERY = 'fire dragon';
+
+// The only chunk with both words of the query, which BM25 ranks below the short one repeating "dragon"
+const BEST_TEXT = 'The fire dragon sleeps all day long in a cave, far away from the town.';
+const TEXTS = [
+  'Dragon dragon dragon dragon.',
+  'Fire pits warm the camp.',
+  BEST_TEXT,
+  'Rivers carry water to the sea.'
+];
+
+/**
+ * Store the test chunks in one document
+ * @returns {Promise<Map<string, number>>} Chunk ID by text
+ */
+async function storeTestDocument() {
+  const chunks = [];
+  for (const text of TEXTS) {
+    chunks.push({ text, metadata: {}, embedding: await getEmbedding(text) });
+  }
+  
+  const { chunkIds } = storeDocumentWithChunks({
+    text: TEXTS.join('\n\n'),
+    metadata: { source: 'test/dragons.md', title: 'Dragons', filetype: 'markdown' }
+  }, chunks);
+  return new Map(TEXTS.map((text, index) => [text, chunkIds[index]]));
+}
+
+/**
+ * Post a JSON body to a /rag route
+ * @param {string} route - Route path, e.g. '/retrieve'
+ * @param {Object} body - Request body
+ * @returns {Promise<Object>} { status, json }
+ */
+async function post(route, body) {
+  const response = await fetch(`${API_URL}${route}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, json: await response.json() };
+}
+
+/**
+ * Test scoring pairs and reranking chunks
+ */
+async function testRerankChunks() {
+  console.log('\n🧪 Testing reranking...');
+  
+  const scores = await scorePairs(QUERY, ['The fire dragon sleeps.', 'Dragon dragon.', 'Rivers carry water.']);
+  check(scores.join(',') === '1,0.5,0', 'Pairs are scored between 0 and 1 by the share of the query\'s words in the chunk');
+  check((await scorePairs('?!', ['Anything.']))[0] === 0, 'A query without words scores 0');
+  
+  const chunks = TEXTS.map((text, index) => ({ id: index + 1, text, score: 10 - index }));
+  const reranked = await rerankChunks(QUERY, chunks);
+  check(reranked.map(chunk => chunk.id).join(',') === '3,1,2,4', 'Chunks are sorted by rerank score, ties in retrieval order');
+  check(reranked.every(chunk => chunk.retrievalRank === chunk.id && chunk.score === 10 - chunk.id + 1),
+    'Chunks keep their retrieval score and rank');
+  check(reranked[0].rerankScore === 1 && reranked.at(-1).rerankScore === 0, 'Chunks get their rerank score');
+  check((await rerankChunks(QUERY, [])).length === 0, 'Nothing to rerank gives nothing');
+}
+
+/**
+ * Test the rerank stage of the RAG pipeline
+ * @param {Map<string, number>} chunkIds - Chunk ID by text
+ */
+async function testPipelineRerank(chunkIds) {
+  console.log('\n🧪 Testing reranking in the RAG pipeline...');
+  
+  const [retrieved] = retrieveChunks(QUERY, null, { mode: 'keyword', k: 1 });
+  check(retrieved.id === chunkIds.get('Dragon dragon dragon dragon.'), 'Without reranking, the chunk repeating a word comes first');
+  
+  const reranked = await retrieveRelevantChunks(QUERY, { mode: 'keyword', k: 1, rerank: true });
+  check(reranked.length === 1 && reranked[0].id === chunkIds.get(BEST_TEXT) && reranked[0].retrievalRank > 1,
+    'Candidates beyond k are reranked, and the best of them is kept');
+  check(reranked[0].rerankScore === 1 && reranked[0].score > 0 && reranked[0].citation.startsWith('Dragons'),
+    'Reranked chunks have both scores and a citation');
+  
+  const fewCandidates = await retrieveRelevantChunks(QUERY, { mode: 'keyword', k: 1, rerank: true, rerankCandidates: 1 });
+  check(fewCandidates[0].id === retrieved.id, 'rerankCandidates limits the chunks that are reranked');
+  
+  const [window] = await retrieveRelevantChunks(QUERY, { mode: 'keyword', k: 1, rerank: true, window: 1 });
+  check(window.matchedChunkIds.join(',') === String(chunkIds.get(BEST_TEXT)) && window.rerankScore === 1
+    && window.text.includes('Fire pits') && window.text.includes('Rivers carry'), 'Chunks are reranked before being expanded');
+}
+
+/**
+ * Test reranking through the /rag routes
+ * @param {Map<string, number>} chunkIds - Chunk ID by text
+ */
+async function testRoutes(chunkIds) {
+  console.log('\n🧪 Testing reranking in the API...');
+  
+  const retrieve = await post('/retrieve', { query: QUERY, mode: 'keyword', k: 2, rerank: true });
+  check(retrieve.status === 200 && retrieve.json.reranked === true && retrieve.json.chunks.length === 2, '/rag/retrieve reranks when asked');
+  check(retrieve.json.chunks[0].id === chunkIds.get(BEST_TEXT)
+    && retrieve.json.chunks.every(chunk => chunk.rerankScore >= 0 && chunk.score > 0 && chunk.retrievalRank > 0),
+  '/rag/retrieve returns the retrieval and rerank scores');
+  
+  const plain = await post('/retrieve', { query: QUERY, mode: 'keyword', k: 2 });
+  check(plain.json.reranked === false && plain.json.chunks.every(chunk => chunk.rerankScore === undefined), 'Reranking is off by default');
+  
+  const query = await post('/query', { query: QUERY, mode: 'keyword', k: 1, rerank: true });
+  const prompt = llmRequests.at(-1).body.messages.map(message => message.content).join('\n');
+  check(query.status === 200 && query.json.chunks[0].rerankScore === 1 && query.json.chunks[0].retrievalRank > 1,
+    '/rag/query returns the reranked chunks with both scores');
+  check(prompt.includes(BEST_TEXT) && !prompt.includes('Dragon dragon'), 'The prompt holds the reranked chunks');
+  
+  for (const rerankCandidates of [0, 1.5, '4']) {
+    const rejected = await post('/retrieve', { query: QUERY, rerank: true, rerankCandidates });
+    check(rejected.status === 400 && rejected.json.error.includes('rerankCandidates'), `rerankCandidates ${JSON.stringify(rerankCandidates)} is rejected`);
+  }
+}
+
+runTests('reranking', async () => {
+  const chunkIds = await storeTestDocument();
+  await testRerankChunks();
+  await testPipelineRerank(chunkIds);
+  await testRoutes(chunkIds);
+});
@@ -0,0 +1,289 @@
+/**
+ * Test script for the retrieval modes
+ * Checks keyword (BM25) retrieval, hybrid retrieval with reciprocal rank fusion,
+ * maximal marginal relevance and per-document caps
+ */
+
+import { check, useScratchDatabase, runTests } from './helpers.js';
+
+// Must be set before the database module is loaded
+useScratchDatabase();
+
+const { getEmbedding } = await import('../utils/embeddings.js');
+const { storeDocumentWithChunks } = await import('../utils/vectorStorage.js');
+const {
+  retrieveTopK,
+  retrieveTopKByKeyword,
+  retrieveTopKHybrid,
+  retrieveChunks,
+  selectByMmr,
+  limitPerDocument
+} = await import('../utils/retrieval.js');
+
+// Constant of the reciprocal rank fusion, as in retrieval.js
+const RRF_K = 60;
+
+// Test documents, one chunk per text
+const DOCUMENTS = [
+  {
+    source: 'test/glimmerfang.md',
+    texts: [
+      'Glimmerfang hunts in crystal caves.',
+      'Crystal crystal crystal formations glow in the dark.'
+    ]
+  },
+  {
+    source: 'test/emberclaw.md',
+    texts: [
+      'Emberclaw breathes fire over the plains.',
+      'Monsters sleep in caves during the day.'
+    ]
+  },
+  {
+    // Unrelated chunks, so BM25 weighs rare terms above common ones
+    source: 'test/filler.md',
+    texts: [
+      'Rivers carry water to the sea.',
+      'Bakers knead bread before sunrise.',
+      'Trains leave the station at noon.',
+      'Gardeners water roses every morning.'
+    ]
+  }
+];
+
+// Documents added for the MMR tests: two identical chunks, and a less relevant one that says something else
+const MMR_DOCUMENTS = [
+  {
+    source: 'test/mmr-duplicates.md',
+    texts: [
+      'Crystal caves glow at night.',
+      'Crystal caves glow at night.'
+    ]
+  },
+  {
+    source: 'test/mmr-other.md',
+    texts: [
+      'Crystal caves are home to Glimmerfang.'
+    ]
+  }
+];
+
+/**
+ * Store test documents with hash embeddings
+ * @param {Array<Object>} documents - Documents with their source and chunk texts
+ * @returns {Promise<Map<string, number>>} Chunk ID by text (the last one for repeated texts)
+ */
+async function storeTestDocuments(documents) {
+  const chunkIds = new Map();
+  
+  for (const doc of documents) {
+    const chunks = [];
+    for (const text of doc.texts) {
+      chunks.push({ text, metadata: { chunkStrategy: 'paragraph' }, embedding: await getEmbedding(text) });
+    }
+    
+    const result = storeDocumentWithChunks({
+      text: doc.texts.join('\n\n'),
+      metadata: { source: doc.source, filetype: 'markdown' }
+    }, chunks);
+    doc.texts.forEach((text, index) => chunkIds.set(text, result.chunkIds[index]));
+  }
+  
+  return chunkIds;
+}
+
+/**
+ * Check that a list of chunks is sorted by a score, best first
+ * @param {Array<Object>} chunks - Retrieved chunks
+ * @param {string} field - Name of the score
+ * @returns {boolean} True if the scores never increase
+ */
+function isSortedBy(chunks, field) {
+  return chunks.every((chunk, index) => index === 0 || chunks[index - 1][field] >= chunk[field]);
+}
+
+/**
+ * Test keyword retrieval with BM25 ranking
+ * @param {Map<string, number>} chunkIds - Chunk ID by text
+ */
+function testKeywordRetrieval(chunkIds) {
+  console.log('\n🧪 Testing keyword retrieval...');
+  
+  const crystal = retrieveTopKByKeyword('crystal', 10);
+  check(crystal.length === 2, 'Only chunks containing the keyword are returned');
+  check(crystal[0].id === chunkIds.get('Crystal crystal crystal formations glow in the dark.'),
+    'The chunk repeating the keyword ranks first');
+  check(crystal.every(chunk => chunk.score > 0) && isSortedBy(crystal, 'score'), 'BM25 scores are positive, best first');
+  
+  const anyTerm = retrieveTopKByKeyword('crystal fire', 10);
+  check(anyTerm.length === 3, 'A chunk matching any of the terms is returned');
+  check(retrieveTopKByKeyword('crystal fire', 1).length === 1, 'k limits the number of chunks');
+  
+  const retrieved = anyTerm.find(chunk => chunk.text.startsWith('Emberclaw'));
+  check(retrieved.source === 'test/emberclaw.md' && retrieved.documentId > 0 && retrieved.chunkIndex === 0,
+    'Keyword results carry their document, source and position');
+  
+  check(retrieveTopKByKeyword('CRYSTAL', 10).length === 2, 'Keywords are matched regardless of case');
+  check(retrieveTopKByKeyword('crystal AND "fire* OR NOT (caves', 10).length === 4,
+    'FTS5 operators and quotes in the query are taken as plain words');
+  check(retrieveTopKByKeyword('?!', 10).length === 0, 'A query without words finds nothing');
+  
+  let error = null;
+  try {
+    retrieveTopKByKeyword('', 10);
+  } catch (thrown) {
+    error = thrown;
+  }
+  check(error !== null, 'An empty query is rejected');
+}
+
+/**
+ * Test hybrid retrieval with reciprocal rank fusion
+ * @param {Map<string, number>} chunkIds - Chunk ID by text
+ */
+async function testHybridRetrieval(chunkIds) {
+  console.log('\n🧪 Testing hybrid retrieval...');
+  
+  const query = 'caves in the dark';
+  const queryEmbedding = await getEmbedding(query);
+  
+  // Rebuild the fusion from the two rankings it is made of
+  const candidates = 2;
+  const vector = retrieveTopK(queryEmbedding, candidates);
+  const keyword = retrieveTopKByKeyword(query, candidates);
+  const expected = new Map();
+  for (const ranking of [vector, keyword]) {
+    ranking.forEach((chunk, index) => {
+      expected.set(chunk.id, (expected.get(chunk.id) || 0) + 1 / (RRF_K + index + 1));
+    });
+  }
+  
+  const hybrid = retrieveTopKHybrid(query, queryEmbedding, 10, { candidates });
+  check(hybrid.length === expected.size, 'Every candidate of either ranking is fused');
+  check(hybrid.every(chunk => Math.abs(chunk.score - expected.get(chunk.id)) < 1e-12),
+    'Scores are the sum of 1 / (60 + rank) over the rankings');
+  check(isSortedBy(hybrid, 'score'), 'Fused chunks are sorted by score');
+  
+  check(hybrid.every(chunk => {
+    const vectorIndex = vector.findIndex(other => other.id === chunk.id);
+    const keywordIndex = keyword.findIndex(other => other.id === chunk.id);
+    return chunk.vectorRank === (vectorIndex === -1 ? null : vectorIndex + 1)
+      && chunk.keywordRank === (keywordIndex === -1 ? null : keywordIndex + 1);
+  }), 'Each chunk records its rank in both rankings (null when missing)');
+  
+  check(hybrid.every(chunk => (chunk.vectorRank === null) === (chunk.similarity === null)),
+    'Only chunks found by the vector search have a similarity');
+  
+  // The vector search ranks "Monsters sleep..." first and the keyword search "Crystal crystal...",
+  // but both rank "Glimmerfang..." second, which is worth more than one first place
+  const [first, ...others] = hybrid;
+  check(first.id === chunkIds.get('Glimmerfang hunts in crystal caves.') && first.vectorRank === 2 && first.keywordRank === 2,
+    'A chunk ranked second by both searches beats chunks ranked first by only one');
+  check(others.every(chunk => chunk.vectorRank === 1 || chunk.keywordRank === 1), 'The chunks ranked first come next');
+  
+  check(retrieveTopKHybrid(query, queryEmbedding, 2, { candidates }).length === 2, 'k limits the number of chunks');
+  check(retrieveTopKHybrid('?!', queryEmbedding, 10).every(chunk => chunk.keywordRank === null),
+    'Hybrid retrieval falls back to the vector ranking when the keywords find nothing');
+}
+
+/**
+ * Test that retrieveChunks() dispatches to the retrieval modes
+ */
+async function testRetrievalModes() {
+  console.log('\n🧪 Testing retrieval modes...');
+  
+  const query = 'crystal caves';
+  const queryEmbedding = await getEmbedding(query);
+  const ids = chunks => chunks.map(chunk => chunk.id).join(',');
+  
+  check(ids(retrieveChunks(query, null, { mode: 'keyword', k: 2 })) === ids(retrieveTopKByKeyword(query, 2)),
+    'keyword mode needs no embedding and uses BM25');
+  check(ids(retrieveChunks(query, queryEmbedding, { mode: 'hybrid', k: 2 })) === ids(retrieveTopKHybrid(query, queryEmbedding, 2)),
+    'hybrid mode fuses both rankings');
+  check(ids(retrieveChunks(query, queryEmbedding, { k: 2 })) === ids(retrieveTopK(queryEmbedding, 2)),
+    'vector mode is the default');
+  
+  let error = null;
+  try {
+    retrieveChunks(query, queryEmbedding, { mode: 'semantic' });
+  } catch (thrown) {
+    error = thrown;
+  }
+  check(error !== null && error.message.includes('semantic'), 'Unknown modes are rejected');
+}
+
+/**
+ * Test the per-document cap
+ */
+function testLimitPerDocument() {
+  console.log('\n🧪 Testing per-document caps...');
+  
+  const chunks = [
+    { id: 1, documentId: 1 },
+    { id: 2, documentId: 1 },
+    { id: 3, documentId: 2 },
+    { id: 4, documentId: 1 },
+    { id: 5, documentId: 2 }
+  ];
+  const ids = list => list.map(chunk => chunk.id).join(',');
+  
+  check(ids(limitPerDocument(chunks, 1)) === '1,3', 'A cap of 1 keeps the best chunk of each document');
+  check(ids(limitPerDocument(chunks, 2)) === '1,2,3,5', 'A cap of 2 keeps the two best chunks of each document, in order');
+  check(ids(limitPerDocument(chunks, 5)) === '1,2,3,4,5', 'A cap above the counts keeps everything');
+  check(limitPerDocument([], 1).length === 0, 'An empty list stays empty');
+}
+
+/**
+ * Test maximal marginal relevance selection
+ */
+async function testMmr() {
+  console.log('\n🧪 Testing maximal marginal relevance...');
+  
+  const chunkIds = await storeTestDocuments(MMR_DOCUMENTS);
+  const [duplicate, other] = ['Crystal caves glow at night.', 'Crystal caves are home to Glimmerfang.'].map(text => chunkIds.get(text));
+  
+  const query = 'crystal caves glow';
+  const queryEmbedding = await getEmbedding(query);
+  const filter = { sourcePrefix: 'test/mmr-' };
+  const candidates = retrieveTopK(queryEmbedding, 10, { filter });
+  const ids = list => list.map(chunk => chunk.id).join(',');
+  
+  check(candidates.length === 3 && candidates[2].id === other, 'The duplicates are the most relevant candidates');
+  
+  const byRelevance = selectByMmr(queryEmbedding, candidates, 2, { lambda: 1 });
+  check(ids(byRelevance) === ids(candidates.slice(0, 2)), 'With lambda 1, chunks are picked by relevance only');
+  check(Math.abs(byRelevance[0].mmrScore - candidates[0].similarity) < 1e-6, 'The first pick scores its similarity to the query');
+  
+  const diverse = selectByMmr(queryEmbedding, candidates, 2, { lambda: 0.5 });
+  check(diverse[1].id === other, 'With lambda 0.5, the second duplicate loses out to a chunk that adds something new');
+  check(diverse[0].mmrScore > diverse[1].mmrScore, 'MMR scores decrease as chunks are picked');
+  
+  check(ids(selectByMmr(queryEmbedding, candidates, 2)) === ids(diverse), 'lambda defaults to 0.5');
+  check(selectByMmr(queryEmbedding, candidates, 10).length === 3, 'k above the number of candidates picks them all');
+  
+  const capped = selectByMmr(queryEmbedding, candidates, 3, { lambda: 1, maxPerDocument: 1 });
+  check(capped.length === 2 && new Set(capped.map(chunk => chunk.documentId)).size === 2,
+    'maxPerDocument stops picking from a document once it reaches the cap');
+  
+  const withMissing = selectByMmr(queryEmbedding, [{ id: 999999, documentId: 1 }, ...candidates], 10);
+  check(withMissing.every(chunk => chunk.id !== 999999), 'Candidates without a stored embedding are skipped');
+  
+  const retrieved = retrieveChunks(query, queryEmbedding, { mode: 'mmr', k: 2, filter });
+  check(ids(retrieved) === ids(diverse) && retrieved.every(chunk => chunk.similarity !== undefined),
+    'mmr mode picks from the nearest chunks and keeps their similarity');
+  check(retrieved.some(chunk => chunk.id === duplicate), 'mmr mode still picks the most relevant chunk');
+  
+  // The cap is applied to a larger candidate list, so k chunks are still returned
+  const vectorCapped = retrieveChunks(query, queryEmbedding, { k: 2, maxPerDocument: 1, filter });
+  check(vectorCapped.length === 2 && new Set(vectorCapped.map(chunk => chunk.documentId)).size === 2,
+    'maxPerDocument in vector mode returns k chunks from different documents');
+}
+
+runTests('retrieval', async () => {
+  const chunkIds = await storeTestDocuments(DOCUMENTS);
+  testKeywordRetrieval(chunkIds);
+  await testHybridRetrieval(chunkIds);
+  await testRetrievalModes();
+  testLimitPerDocument();
+  await testMmr();
+});
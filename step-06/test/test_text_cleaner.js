@@ -0,0 +1,94 @@
+/**
+ * Test script for the text cleaner
+ * Checks each cleaning step, that code blocks are left out of the steps that reflow prose,
+ * and how ingest requests choose their steps
+ */
+
+import { check, getRejection, runTests } from './helpers.js';
+
+const { cleanText, isValidCleaningOption, getCleaningSteps, CLEANING_STEPS } = await import('../utils/textCleaner.js');
+const { cleanDocument } = await import('../utils/documentProcessor.js');
+
+/**
+ * Test each cleaning step on its own
+ */
+async function testSteps() {
+  console.log('\n🧪 Testing cleaning steps...');
+  
+  check(cleanText('ﬁle ＡＢＣ\u00A0cafe\u0301', ['normalizeUnicode']) === 'file ABC café',
+    'normalizeUnicode replaces ligatures, full-width letters and non-breaking spaces, and composes accents');
+  check(cleanText('one\r\ntwo\rthree\u2028four', ['normalizeUnicode']) === 'one\ntwo\nthree\nfour', 'normalizeUnicode unifies line breaks');
+  
+  check(cleanText('Text embed-\ndings and some\u00AD\n   thing', ['dehyphenate']) === 'Text embeddings and something',
+    'dehyphenate joins words hyphenated at a line break');
+  check(cleanText('A well-known fact.\nNorth-\nAmerica', ['dehyphenate']) === 'A well-known fact.\nNorth-\nAmerica',
+    'dehyphenate keeps hyphens inside a line, and before a capitalized word');
+  
+  check(cleanText('a\u0000b\u200Bc\u00ADd\uFEFFe\u0007f', ['stripControlChars']) === 'abcdef',
+    'stripControlChars removes control characters, zero-width spaces, soft hyphens and byte order marks');
+  check(cleanText('col1\tcol2\nnext 👩\u200D💻', ['stripControlChars']) === 'col1\tcol2\nnext 👩\u200D💻',
+    'stripControlChars keeps tabs, line breaks and zero-width joiners');
+  
+  check(cleanText('Glimmerfang    hunts   here.   \n\n\n\nNext paragraph.', ['collapseWhitespace']) === 'Glimmerfang hunts here.\n\nNext paragraph.',
+    'collapseWhitespace collapses runs of spaces, trailing spaces and extra blank lines');
+  check(cleanText('List:\n  - indented item', ['collapseWhitespace']) === 'List:\n  - indented item', 'collapseWhitespace keeps indentation');
+  
+  const nonLatin = 'Привет   мир\n東京です';
+  check(cleanText(nonLatin) === 'Привет мир\n東京です', 'Non-Latin text is kept');
+}
+
+/**
+ * Test that code blocks are left out of the prose steps
+ */
+async function testCodeBlocks() {
+  console.log('\n🧪 Testing code blocks...');
+  
+  const fenced = '```python\ndef hunt(prey):\n    x  =  1\n\n\n\n    return pre-\nfix\n```';
+  const text = `Glimmerfang    hunts in cry-\nstal caves.\n\n${fenced}\n\nAfter   the code.`;
+  check(cleanText(text) === `Glimmerfang hunts in crystal caves.\n\n${fenced}\n\nAfter the code.`,
+    'Fenced code blocks keep their spacing, blank lines and hyphens');
+  
+  const indented = 'Example:\n\n    total  =  a +\n    b-\n    c\n\nDone    here.';
+  check(cleanText(indented) === 'Example:\n\n    total  =  a +\n    b-\n    c\n\nDone here.', 'Indented code blocks are left alone');
+  
+  check(cleanText('Not code:\n    aligned    columns', ['collapseWhitespace']) === 'Not code:\n    aligned columns',
+    'Indented lines right after text aren\'t code');
+  check(cleanText('```\nzero\u200Bwidth ﬁ\n```') === '```\nzerowidth fi\n```', 'Code blocks still get the steps that don\'t reflow text');
+}
+
+/**
+ * Test choosing the steps
+ */
+async function testStepSelection() {
+  console.log('\n🧪 Testing step selection...');
+  
+  const text = 'cafe\u0301    embed-\ndings';
+  check(cleanText(text, []) === text, 'No steps leave the text as it is');
+  check(cleanText(text, ['collapseWhitespace', 'normalizeUnicode']) === 'café embed-\ndings',
+    'Only the chosen steps are applied');
+  check(cleanText('  padded  ', []) === 'padded', 'The text is trimmed');
+  
+  const error = await getRejection(Promise.resolve().then(() => cleanText(text, ['normalizeUnicode', 'shout'])));
+  check(error !== null && error.message.includes('Unknown cleaning step: shout'), 'Unknown steps are an error');
+  
+  check(isValidCleaningOption(undefined) && isValidCleaningOption(false) && isValidCleaningOption([])
+    && isValidCleaningOption(['dehyphenate']), 'The cleaning option can be omitted, false or a list of steps');
+  check(!isValidCleaningOption(true) && !isValidCleaningOption('dehyphenate') && !isValidCleaningOption(['shout']) && !isValidCleaningOption(null),
+    'Other cleaning options are invalid');
+  check(getCleaningSteps(false).length === 0 && getCleaningSteps(undefined).join() === CLEANING_STEPS.join()
+    && getCleaningSteps(['dehyphenate']).join() === 'dehyphenate', 'The cleaning option selects its steps');
+  
+  const document = cleanDocument({
+    text: 'Q:   one\n\nQ:   two',
+    records: [{ id: '1', text: 'Q:   one', metadata: {} }, { id: '2', text: 'Q:   two', metadata: {} }],
+    metadata: { filetype: 'csv' }
+  }, ['collapseWhitespace']);
+  check(document.text === 'Q: one\n\nQ: two' && document.records.map(record => record.text).join('|') === 'Q: one|Q: two',
+    'Documents are cleaned with their records');
+}
+
+runTests('text cleaner', async () => {
+  await testSteps();
+  await testCodeBlocks();
+  await testStepSelection();
+});
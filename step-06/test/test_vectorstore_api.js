@@ -0,0 +1,180 @@
+/**
+ * Test script for the /vectorstore routes
+ * Checks deleting and editing single chunks, that re-ingesting the source file restores them,
+ * and that searches validate their options
+ */
+
+import fs from 'fs';
+import path from 'path';
+import express from 'express';
+import { check, createTempDir, useScratchDatabase, startServer, runTests } from './helpers.js';
+
+// Must be set before the database module is loaded
+useScratchDatabase();
+
+const { getEmbedding } = await import('../utils/embeddings.js');
+const { ingestFiles } = await import('../utils/ingestion.js');
+const { getDatabase, searchVectorIndex, searchKeywordIndex } = await import('../utils/database.js');
+const { default: vectorstoreRoutes } = await import('../routes/vectorstore.js');
+
+const app = express();
+app.use(express.json());
+app.use('/vectorstore', vectorstoreRoutes);
+const API_URL = `${await startServer(app)}/vectorstore`;
+
+// One chunk per paragraph, under one parent per section
+const CHUNK_OPTIONS = { strategy: 'paragraph', maxParagraphsPerChunk: 1, paragraphOverlap: 0, parent: { strategy: 'heading' } };
+
+const FILE_PATH = path.join(createTempDir('vectorstore'), 'monsters.md');
+fs.writeFileSync(FILE_PATH, [
+  '# Glimmerfang',
+  'Glimmerfang hunts in crystal caves.',
+  'It glows at night.',
+  '# Emberclaw',
+  'Emberclaw breathes fire over the plains.'
+].join('\n\n'));
+
+/**
+ * Send a request to a /vectorstore route
+ * @param {string} method - HTTP method
+ * @param {string} route - Route path
+ * @param {Object} [body] - JSON body
+ * @returns {Promise<Object>} { status, json }
+ */
+async function request(method, route, body) {
+  const response = await fetch(`${API_URL}${route}`, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  return { status: response.status, json: await response.json() };
+}
+
+/**
+ * Ingest the test file again
+ * @returns {Promise<string>} Status of the document ('added', 'updated' or 'unchanged')
+ */
+async function ingestTestFile() {
+  const { results } = await ingestFiles([FILE_PATH], { chunkOptions: CHUNK_OPTIONS });
+  return results[0].status;
+}
+
+/**
+ * Get the stored chunks and parents of the test file
+ * @returns {Object} { chunks, parents, fingerprint }
+ */
+function getStoredState() {
+  const db = getDatabase();
+  return {
+    chunks: db.prepare('SELECT id, text, parent_id FROM chunks ORDER BY chunk_index').all(),
+    parents: db.prepare('SELECT id, text FROM parent_chunks ORDER BY parent_index').all(),
+    fingerprint: db.prepare('SELECT ingest_fingerprint FROM documents WHERE source = ?').get(FILE_PATH).ingest_fingerprint
+  };
+}
+
+/**
+ * Find the stored chunk containing a text
+ * @param {string} text - Text to look for
+ * @returns {Object|undefined} The chunk
+ */
+function findChunk(text) {
+  return getStoredState().chunks.find(chunk => chunk.text.includes(text));
+}
+
+/**
+ * Test deleting chunks
+ */
+async function testDeleteChunk() {
+  console.log('\n🧪 Testing chunk deletion...');
+  
+  await ingestTestFile();
+  const original = getStoredState();
+  check(original.parents.length === 2 && original.chunks.length >= 3 && original.fingerprint !== null,
+    'The file is stored with its chunks, parents and fingerprint');
+  
+  check((await request('DELETE', '/chunks/abc')).status === 400, 'Invalid chunk IDs are rejected');
+  check((await request('DELETE', '/chunks/9999')).status === 404, 'Unknown chunks are reported');
+  
+  const glows = findChunk('It glows at night.');
+  const deleted = await request('DELETE', `/chunks/${glows.id}`);
+  check(deleted.status === 200 && deleted.json.success === true && deleted.json.chunkId === glows.id, 'Chunks are deleted');
+  check(!searchKeywordIndex('glows night', 10).some(row => row.id === glows.id)
+    && !searchVectorIndex(await getEmbedding('It glows at night.'), 10).some(row => row.id === glows.id),
+  'Deleted chunks leave the keyword and vector indexes');
+  check(getStoredState().parents.length === 2, 'A parent is kept while other chunks expand to it');
+  
+  const emberclawChunks = getStoredState().chunks.filter(chunk => chunk.parent_id === findChunk('Emberclaw breathes').parent_id);
+  for (const chunk of emberclawChunks) {
+    await request('DELETE', `/chunks/${chunk.id}`);
+  }
+  const afterDeletes = getStoredState();
+  check(afterDeletes.parents.length === 1 && afterDeletes.parents[0].text.includes('Glimmerfang'),
+    'A parent is deleted with the last chunk that expands to it');
+  check(afterDeletes.fingerprint === null, 'Deleting a chunk clears the document\'s fingerprint');
+  
+  check(await ingestTestFile() === 'updated', 'Re-ingesting the unchanged file updates the edited document');
+  const restored = getStoredState();
+  check(JSON.stringify(restored.chunks.map(chunk => chunk.text)) === JSON.stringify(original.chunks.map(chunk => chunk.text))
+    && restored.parents.length === 2 && restored.fingerprint === original.fingerprint, 'Re-ingesting restores the deleted chunks');
+  check(await ingestTestFile() === 'unchanged', 'The restored document is unchanged again');
+}
+
+/**
+ * Test editing chunk text
+ */
+async function testEditChunk() {
+  console.log('\n🧪 Testing chunk edits...');
+  
+  const hunts = findChunk('Glimmerfang hunts');
+  check((await request('PATCH', `/chunks/${hunts.id}`, {})).status === 400, 'Edits need a text');
+  check((await request('PATCH', '/chunks/abc', { text: 'New text.' })).status === 400, 'Invalid chunk IDs are rejected');
+  check((await request('PATCH', '/chunks/9999', { text: 'New text.' })).status === 404, 'Unknown chunks are reported');
+  
+  const newText = 'Glimmerfang hunts in moonlit forests.';
+  const edited = await request('PATCH', `/chunks/${hunts.id}`, { text: newText });
+  check(edited.status === 200 && edited.json.chunk.id === hunts.id && edited.json.chunk.text === newText, 'Chunks are edited');
+  check(searchKeywordIndex('moonlit forests', 10)[0]?.id === hunts.id, 'The keyword index has the new text');
+  const nearest = searchVectorIndex(await getEmbedding(newText), 1)[0];
+  check(nearest.id === hunts.id && nearest.distance < 1e-6, 'The chunk is re-embedded');
+  check(getStoredState().fingerprint === null, 'Editing a chunk clears the document\'s fingerprint');
+  
+  check(await ingestTestFile() === 'updated' && findChunk('Glimmerfang hunts').text === 'Glimmerfang hunts in crystal caves.',
+    'Re-ingesting restores the edited chunk');
+}
+
+/**
+ * Test the options of searches
+ */
+async function testSearchOptions() {
+  console.log('\n🧪 Testing search options...');
+  
+  const query = 'Glimmerfang hunts in crystal caves.';
+  const exact = await request('POST', '/search', { query, threshold: 0.99 });
+  check(exact.status === 200 && exact.json.count === 1 && exact.json.results[0].text === query,
+    'The threshold keeps the chunks at least that similar');
+  const all = await request('POST', '/search', { query, threshold: 0, limit: 10 });
+  check(all.status === 200 && all.json.count > 1, 'A threshold of 0 keeps the other chunks');
+  
+  const capped = await request('POST', '/search', { query, threshold: 0, limit: 10, maxPerDocument: 1 });
+  check(capped.status === 200 && capped.json.count === 1 && capped.json.results[0].text === query,
+    'maxPerDocument caps the chunks of the document');
+  
+  for (const threshold of ['abc', '0.5', -0.1, 1.5, null]) {
+    const rejected = await request('POST', '/search', { query, threshold });
+    check(rejected.status === 400 && rejected.json.error.includes('Threshold'), `threshold ${JSON.stringify(threshold)} is rejected`);
+  }
+  for (const maxPerDocument of [1.5, '2abc', '2', 0, null]) {
+    const rejected = await request('POST', '/search', { query, maxPerDocument });
+    check(rejected.status === 400 && rejected.json.error.includes('maxPerDocument'), `maxPerDocument ${JSON.stringify(maxPerDocument)} is rejected`);
+  }
+  for (const lambda of ['0.5abc', 2]) {
+    const rejected = await request('POST', '/search', { query, mode: 'mmr', lambda });
+    check(rejected.status === 400 && rejected.json.error.includes('Lambda'), `lambda ${JSON.stringify(lambda)} is rejected`);
+  }
+}
+
+runTests('vector store API', async () => {
+  await testDeleteChunk();
+  await testEditChunk();
+  await testSearchOptions();
+});
@@ -0,0 +1,116 @@
+/**
+ * Chat session storage
+ * Persists conversations so follow-up questions can use their history
+ */
+
+import { getDatabase } from './database.js';
+
+/**
+ * Create a new chat session
+ * @param {string} title - Optional session title
+ * @returns {Object} The created session
+ */
+export function createSession(title = null) {
+  const db = getDatabase();
+  
+  const result = db.prepare(`
+    INSERT INTO chat_sessions (title)
+    VALUES (?)
+  `).run(title);
+  
+  return getSession(result.lastInsertRowid);
+}
+
+/**
+ * Get a chat session
+ * @param {number} sessionId - Session ID
+ * @returns {Object|null} Session, or null if it doesn't exist
+ */
+export function getSession(sessionId) {
+  const db = getDatabase();
+  
+  const stmt = db.prepare(`
+    SELECT
+      id,
+      title,
+      created_at,
+      updated_at,
+      (SELECT COUNT(*) FROM chat_messages WHERE session_id = chat_sessions.id) AS message_count
+    FROM
+      chat_sessions
+    WHERE
+      id = ?
+  `);
+  
+  return stmt.get(sessionId) || null;
+}
+
+/**
+ * Get the messages of a chat session in chronological order
+ * @param {number} sessionId - Session ID
+ * @param {number} [limit] - Only return the most recent messages
+ * @returns {Array<Object>} Messages with role, content, retrieval query and chunk IDs
+ */
+export function getSessionMessages(sessionId, limit = null) {
+  const db = getDatabase();
+  
+  // Select the newest messages first so the limit keeps the end of the conversation
+  const stmt = db.prepare(`
+    SELECT
+      id,
+      role,
+      content,
+      retrieval_query,
+      chunk_ids,
+      created_at
+    FROM
+      chat_messages
+    WHERE
+      session_id = ?
+    ORDER BY
+      id DESC
+    LIMIT ?
+  `);
+  
+  return stmt.all(sessionId, limit ?? -1)
+    .reverse()
+    .map(message => ({
+      ...message,
+      chunk_ids: JSON.parse(message.chunk_ids || '[]')
+    }));
+}
+
+/**
+ * Add a message to a chat session
+ * @param {number} sessionId - Session ID
+ * @param {Object} message - Message to store
+ * @param {string} message.role - 'user' or 'assistant'
+ * @param {string} message.content - Message text
+ * @param {string} [message.retrievalQuery] - Standalone query used for retrieval
+ * @param {Array<number>} [message.chunkIds] - IDs of the chunks used to answer
+ * @returns {number} Message ID
+ */
+export function addMessage(sessionId, message) {
+  const db = getDatabase();
+  
+  const transaction = db.transaction(() => {
+    const result = db.prepare(`
+      INSERT INTO chat_messages (session_id, role, content, retrieval_query, chunk_ids)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(
+      sessionId,
+      message.role,
+      message.content,
+      message.retrievalQuery || null,
+      message.chunkIds ? JSON.stringify(message.chunkIds) : null
+    );
+    
+    db.prepare(`
+      UPDATE chat_sessions SET updated_at = CURRENT_TIMESTAMP WHERE id = ?
+    `).run(sessionId);
+    
+    return result.lastInsertRowid;
+  });
+  
+  return transaction();
+}
@@ -0,0 +1,182 @@
+/**
+ * Markdown block protection
+ * Keeps fenced code blocks and tables in one piece while text is chunked, and code blocks untouched while text is cleaned
+ */
+
+// Private use characters around the index of a placeholder (\uE000<index>\uE001), which never occur in real text
+const BLOCK_START = '\uE000';
+const BLOCK_END = '\uE001';
+
+const FENCE_REGEX = /^ {0,3}(`{3,}|~{3,})/;
+const TABLE_DELIMITER_REGEX = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+const INDENTED_CODE_REGEX = /^( {4}|\t)/;
+
+/**
+ * Find the line that closes a fenced code block
+ * @param {Array<string>} lines - Lines of the text
+ * @param {number} start - Index of the opening fence
+ * @param {string} fence - Opening fence characters (``` or ~~~, possibly longer)
+ * @returns {number} Index of the closing fence, or the last line if the block is never closed
+ */
+function findFenceEnd(lines, start, fence) {
+  for (let i = start + 1; i < lines.length; i++) {
+    const match = lines[i].match(FENCE_REGEX);
+    if (match && match[1][0] === fence[0] && match[1].length >= fence.length && lines[i].trim() === match[1]) {
+      return i;
+    }
+  }
+  
+  return lines.length - 1;
+}
+
+/**
+ * Find the last line of a fenced code block
+ * @param {Array<string>} lines - Lines of the text
+ * @param {number} start - Index of the first line
+ * @returns {number} Index of the closing fence, or -1 if no fenced code block starts here
+ */
+function findFencedBlockEnd(lines, start) {
+  const fence = lines[start].match(FENCE_REGEX);
+  return fence ? findFenceEnd(lines, start, fence[1]) : -1;
+}
+
+/**
+ * Find the last line of an indented code block: lines indented by four spaces or a tab, after a blank line
+ * Blank lines inside the block belong to it, but not the ones after it
+ * @param {Array<string>} lines - Lines of the text
+ * @param {number} start - Index of the first line
+ * @returns {number} Index of the last code line, or -1 if no indented code block starts here
+ */
+function findIndentedCodeEnd(lines, start) {
+  const isCode = line => INDENTED_CODE_REGEX.test(line) && line.trim() !== '';
+  
+  if (!isCode(lines[start]) || (start > 0 && lines[start - 1].trim() !== '')) {
+    return -1;
+  }
+  
+  let end = start;
+  for (let i = start + 1; i < lines.length && (isCode(lines[i]) || lines[i].trim() === ''); i++) {
+    if (isCode(lines[i])) {
+      end = i;
+    }
+  }
+  
+  return end;
+}
+
+/**
+ * Find the last line of a table: a header row, a delimiter row (---|---) and the rows that follow
+ * Lines starting with a pipe also count as a table without a delimiter row
+ * @param {Array<string>} lines - Lines of the text
+ * @param {number} start - Index of the first row
+ * @returns {number} Index of the last row, or -1 if no table starts here
+ */
+function findTableEnd(lines, start) {
+  const isPipeRow = line => line.trim().startsWith('|');
+  const hasDelimiter = lines[start].includes('|') && start + 1 < lines.length && TABLE_DELIMITER_REGEX.test(lines[start + 1]) && lines[start + 1].includes('-');
+  
+  if (!hasDelimiter && !isPipeRow(lines[start])) {
+    return -1;
+  }
+  
+  let end = hasDelimiter ? start + 1 : start;
+  while (end + 1 < lines.length && lines[end + 1].trim() !== '' && (isPipeRow(lines[end + 1]) || (hasDelimiter && lines[end + 1].includes('|')))) {
+    end++;
+  }
+  
+  // A single line starting with a pipe isn't a table
+  return end > start ? end : -1;
+}
+
+/**
+ * Replace the blocks found by a function with placeholders
+ * @param {string} text - Markdown text
+ * @param {Function} findBlockEnd - Called with (lines, index), returns the last line of the block starting there or -1
+ * @returns {Object} Text with placeholders, and the blocks they stand for
+ */
+function replaceBlocks(text, findBlockEnd) {
+  const lines = text.split('\n');
+  const output = [];
+  const blocks = [];
+  
+  for (let i = 0; i < lines.length; i++) {
+    const end = findBlockEnd(lines, i);
+    
+    if (end === -1) {
+      output.push(lines[i]);
+      continue;
+    }
+    
+    blocks.push(lines.slice(i, end + 1).join('\n'));
+    output.push(`${BLOCK_START}${blocks.length - 1}${BLOCK_END}`);
+    i = end;
+  }
+  
+  return { text: output.join('\n'), blocks };
+}
+
+/**
+ * Replace fenced code blocks and tables with placeholders that chunkers can't split
+ * Placeholders contain no spaces or line breaks, so they also hide the # comments of code
+ * blocks from splitByHeadings()
+ * @param {string} text - Markdown text
+ * @returns {Object} Text with placeholders, and the blocks they stand for
+ */
+export function protectBlocks(text) {
+  return replaceBlocks(text, (lines, start) => {
+    const end = findFencedBlockEnd(lines, start);
+    return end === -1 ? findTableEnd(lines, start) : end;
+  });
+}
+
+/**
+ * Replace fenced and indented code blocks with placeholders, so text cleaning doesn't reflow them
+ * @param {string} text - Text that may contain code
+ * @returns {Object} Text with placeholders, and the blocks they stand for (put back with restoreBlocks())
+ */
+export function protectCodeBlocks(text) {
+  return replaceBlocks(text, (lines, start) => {
+    const end = findFencedBlockEnd(lines, start);
+    return end === -1 ? findIndentedCodeEnd(lines, start) : end;
+  });
+}
+
+/**
+ * Find the placeholder a cut position of the text falls inside
+ * @param {string} text - Text with placeholders
+ * @param {number} index - Position where the text would be cut
+ * @returns {Object|null} Start and end of the placeholder, or null if cutting there keeps placeholders whole
+ */
+export function findPlaceholderAt(text, index) {
+  const start = text.lastIndexOf(BLOCK_START, index - 1);
+  const end = start === -1 ? -1 : text.indexOf(BLOCK_END, start);
+  
+  return end >= index ? { start, end: end + 1 } : null;
+}
+
+/**
+ * Check whether a piece of text is a single placeholder, possibly with whitespace around it
+ * @param {string} text - Piece of text
+ * @returns {boolean} True for a placeholder
+ */
+export function isPlaceholder(text) {
+  return new RegExp(`^\\s*${BLOCK_START}\\d+${BLOCK_END}\\s*$`).test(text);
+}
+
+/**
+ * Put the blocks replaced by protectBlocks() or protectCodeBlocks() back into a chunk
+ * Placeholders cut in half by the overlap of recursive chunking are dropped: their block is whole in the previous chunk
+ * @param {string} text - Chunk text with placeholders
+ * @param {Array<string>} blocks - Blocks returned by protectBlocks()
+ * @returns {string} Chunk text with its code blocks and tables
+ */
+export function restoreBlocks(text, blocks) {
+  if (blocks.length === 0) {
+    return text;
+  }
+  
+  return text
+    .replace(new RegExp(`${BLOCK_START}(\\d+)${BLOCK_END}`, 'g'), (match, index) => blocks[parseInt(index)])
+    .replace(new RegExp(`${BLOCK_START}\\d*|\\d*${BLOCK_END}`, 'g'), '')
+    .trim();
+}
@@ -67,35 +67,55 @@ export function splitRecursively(text, separators = ['\n\n', '\n', '. ', ' '], c
 
 /**
  * Split text by headings (useful for markdown documents)
+ * Each chunk records the path of headings it sits under, including the higher-level headings
+ * it doesn't split on, e.g. ['Glimmerfang', 'Abilities']
  * @param {string} text - Text to split into chunks
  * @param {number} minHeadingLevel - Minimum heading level to split on (1 for #, 2 for ##, etc.)
- * @returns {Array<Object>} Array of chunks with heading and content
+ * @returns {Array<Object>} Array of chunks with heading, content, level and heading path
  */
 export function splitByHeadings(text, minHeadingLevel = 1) {
   if (!text || typeof text !== 'string') {
     throw new Error('Invalid text input');
   }
   
-  // Create regex to match headings of specified level or higher
-  const headingRegex = new RegExp(`^#{${minHeadingLevel},6}\\s+(.+)$`, 'gm');
+  // Match headings of every level, so the path also includes the ones we don't split on
+  const headingRegex = /^(#{1,6})[ \t]+(.+?)(?:[ \t]+#+)?[ \t]*$/gm;
   
-  // Find all heading positions
+  // Find all heading positions, and the headings each one is nested in
   const headings = [];
+  const stack = [];
+  let leadingPath = null;
   let match;
   
   while ((match = headingRegex.exec(text)) !== null) {
-    headings.push({
-      index: match.index,
-      title: match[0].trim(),
-      level: match[0].indexOf(' ')  // Number of # characters
-    });
+    const level = match[1].length;  // Number of # characters
+    const title = match[2].trim();
+    
+    while (stack.length > 0 && stack[stack.length - 1].level >= level) {
+      stack.pop();
+    }
+    
+    if (level >= minHeadingLevel) {
+      if (headings.length === 0) {
+        leadingPath = stack.map(heading => heading.title);
+      }
+      headings.push({
+        index: match.index,
+        title,
+        level,
+        path: [...stack.map(heading => heading.title), title]
+      });
+    }
+    
+    stack.push({ level, title });
   }
   
   if (headings.length === 0) {
     return [{
       title: 'Text',
       content: text,
-      level: 0
+      level: 0,
+      path: []
     }];
   }
   
@@ -107,7 +127,8 @@ export function splitByHeadings(text, minHeadingLevel = 1) {
     chunks.push({
       title: 'Introduction',
       content: text.substring(0, headings[0].index).trim(),
-      level: 0
+      level: 0,
+      path: leadingPath
     });
   }
   
@@ -117,9 +138,10 @@ export function splitByHeadings(text, minHeadingLevel = 1) {
     const nextIndex = (i < headings.length - 1) ? headings[i + 1].index : text.length;
     
     chunks.push({
-      title: heading.title.replace(/^#+\s+/, ''),  // Remove # symbols
+      title: heading.title,
       content: text.substring(heading.index, nextIndex).trim(),
-      level: heading.level
+      level: heading.level,
+      path: heading.path
     });
   }
   
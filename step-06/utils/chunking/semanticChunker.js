@@ -0,0 +1,125 @@
+/**
+ * Semantic text chunker
+ * Splits text where the topic changes, detected by a drop in similarity between adjacent sentences
+ */
+
+import { cosineSimilarity } from '../retrieval.js';
+import { splitByTokens } from './tokenChunker.js';
+
+/**
+ * Split text into sentences (line breaks also end a sentence)
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Sentences with their trailing whitespace, so joining them gives back the text
+ */
+function splitSentences(text) {
+  const segmenter = new Intl.Segmenter(undefined, { granularity: 'sentence' });
+  const sentences = [];
+  
+  for (const { segment } of segmenter.segment(text)) {
+    // Blank lines belong to the sentence before them
+    if (!segment.trim() && sentences.length > 0) {
+      sentences[sentences.length - 1] += segment;
+    } else {
+      sentences.push(segment);
+    }
+  }
+  
+  return sentences;
+}
+
+/**
+ * Split a sentence longer than a chunk into pieces of whole words
+ * @param {string} sentence - Sentence with its trailing whitespace
+ * @param {number} maxChunkSize - Maximum size of a piece in characters
+ * @returns {Array<string>} Pieces, each with a trailing space except the last, which keeps the sentence's whitespace
+ */
+function splitLongSentence(sentence, maxChunkSize) {
+  if (sentence.length <= maxChunkSize) {
+    return [sentence];
+  }
+  
+  // Characters are the tokens here
+  const pieces = splitByTokens(sentence, piece => piece.length, maxChunkSize, 0);
+  const trailingWhitespace = sentence.match(/\s*$/)[0];
+  
+  return pieces.map((piece, index) => piece + (index === pieces.length - 1 ? trailingWhitespace : ' '));
+}
+
+/**
+ * Get the value below which a percentage of the values fall
+ * @param {Array<number>} values - Values
+ * @param {number} percentile - Percentage between 0 and 100
+ * @returns {number} Percentile value (linear interpolation between the closest values)
+ */
+function getPercentile(values, percentile) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const position = (sorted.length - 1) * Math.min(100, Math.max(0, percentile)) / 100;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Split text into chunks of sentences about the same topic
+ * A chunk ends where the similarity between two adjacent sentences is among the lowest
+ * (below the given percentile of all adjacent similarities), within the size bounds
+ * @param {string} text - Text to split into chunks
+ * @param {Function} embedTexts - Returns one embedding per text (e.g. getEmbeddings())
+ * @param {Object} options - Chunking options
+ * @param {number} [options.breakpointPercentile] - Similarities below this percentile end a chunk (default: 5)
+ * @param {number} [options.minChunkSize] - Chunks don't end before this many characters (default: 200)
+ * @param {number} [options.maxChunkSize] - Chunks end before exceeding this many characters (default: 1000)
+ * @param {number} [options.bufferSize] - Sentences embedded on each side of a sentence, to smooth out short ones (default: 1)
+ * @returns {Promise<Array<string>>} Array of text chunks
+ */
+export async function splitSemantically(text, embedTexts, options = {}) {
+  if (!text || typeof text !== 'string') {
+    throw new Error('Invalid text input');
+  }
+  
+  const breakpointPercentile = options.breakpointPercentile ?? 5;
+  const minChunkSize = options.minChunkSize ?? 200;
+  const maxChunkSize = options.maxChunkSize || 1000;
+  const bufferSize = options.bufferSize ?? 1;
+  
+  // A sentence that doesn't fit in a chunk is split at word boundaries
+  const sentences = splitSentences(text).flatMap(sentence => splitLongSentence(sentence, maxChunkSize));
+  if (sentences.length < 2) {
+    return [text.trim()];
+  }
+  
+  // Embed each sentence together with its neighbours (blank windows can't be embedded, and never end a chunk)
+  const windows = sentences.map((sentence, index) =>
+    sentences.slice(Math.max(0, index - bufferSize), index + bufferSize + 1).join('').trim()
+  );
+  const vectors = await embedTexts(windows.filter(Boolean));
+  const embeddings = windows.map(window => (window ? vectors.shift() : null));
+  
+  // similarities[i] compares sentence i with sentence i + 1 (null next to a blank window)
+  const similarities = sentences.slice(1).map((sentence, index) =>
+    embeddings[index] && embeddings[index + 1] ? cosineSimilarity(embeddings[index], embeddings[index + 1]) : null
+  );
+  const comparable = similarities.filter(similarity => similarity !== null);
+  const threshold = comparable.length > 0 ? getPercentile(comparable, breakpointPercentile) : -Infinity;
+  
+  const chunks = [];
+  let current = sentences[0];
+  
+  for (let i = 1; i < sentences.length; i++) {
+    const tooLong = current.length + sentences[i].length > maxChunkSize;
+    const topicChange = similarities[i - 1] !== null && similarities[i - 1] <= threshold && current.trim().length >= minChunkSize;
+    
+    if (tooLong || topicChange) {
+      chunks.push(current.trim());
+      current = '';
+    }
+    current += sentences[i];
+  }
+  
+  if (current.trim()) {
+    chunks.push(current.trim());
+  }
+  
+  return chunks;
+}
@@ -3,6 +3,8 @@
  * Splits text into chunks based on character count
  */
 
+import { findPlaceholderAt } from './markdownBlocks.js';
+
 /**
  * Split text into chunks of approximately the specified size
  * @param {string} text - Text to split into chunks
@@ -50,11 +52,15 @@ export function splitByCharacterCount(text, chunkSize = 1000, chunkOverlap = 200
       }
     }
     
+    // Never cut a code block or table placeholder in half: the chunk ends after it
+    endIndex = findPlaceholderAt(text, endIndex)?.end ?? endIndex;
+    
     // Extract the chunk
     chunks.push(text.substring(startIndex, endIndex).trim());
     
-    // Move to the next chunk, accounting for overlap
+    // Move to the next chunk, accounting for overlap (which starts after a placeholder rather than inside it)
     startIndex = endIndex - chunkOverlap;
+    startIndex = findPlaceholderAt(text, startIndex)?.end ?? startIndex;
   }
   
   return chunks;
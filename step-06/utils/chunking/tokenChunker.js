@@ -0,0 +1,99 @@
+/**
+ * Token-based text chunker
+ * Splits text into chunks measured in tokens of the embedding model, so they fit in its input
+ */
+
+import { isPlaceholder } from './markdownBlocks.js';
+
+/**
+ * Split a word that alone has more tokens than a chunk (a long URL, a hash...) into smaller pieces
+ * @param {string} piece - Word, with its trailing whitespace
+ * @param {Function} countTokens - Returns the number of tokens of a text
+ * @param {number} chunkSize - Maximum number of tokens of a piece
+ * @returns {Array<string>} Pieces of at most chunkSize tokens
+ */
+function splitLongPiece(piece, countTokens, chunkSize) {
+  const tokens = countTokens(piece);
+  // A code block or table is kept whole, even if it's longer than a chunk
+  if (tokens <= chunkSize || piece.length <= 1 || isPlaceholder(piece)) {
+    return [piece];
+  }
+  
+  // Cut at an estimate of the length that fits, then check the parts again
+  const length = Math.max(1, Math.floor(piece.length * chunkSize / tokens));
+  const parts = [];
+  for (let start = 0; start < piece.length; start += length) {
+    parts.push(...splitLongPiece(piece.slice(start, start + length), countTokens, chunkSize));
+  }
+  
+  return parts;
+}
+
+/**
+ * Split text into chunks of at most the specified number of tokens
+ * Chunks are made of whole words and end at a sentence boundary when one is close
+ * @param {string} text - Text to split into chunks
+ * @param {Function} countTokens - Returns the number of tokens of a text (see getTokenizer() in embeddings.js)
+ * @param {number} chunkSize - Maximum number of tokens of each chunk
+ * @param {number} chunkOverlap - Number of tokens to overlap between chunks
+ * @returns {Array<string>} Array of text chunks
+ */
+export function splitByTokens(text, countTokens, chunkSize = 256, chunkOverlap = 32) {
+  if (!text || typeof text !== 'string') {
+    throw new Error('Invalid text input');
+  }
+  
+  // Words keep their trailing whitespace, so joining pieces gives back the original text
+  const pieces = (text.match(/\S+\s*/g) || [])
+    .flatMap(piece => splitLongPiece(piece, countTokens, chunkSize));
+  
+  // Tokenizers split words independently, so the tokens of a chunk are the sum of its words' tokens
+  const cache = new Map();
+  const tokensOf = index => {
+    const piece = pieces[index];
+    if (!cache.has(piece)) {
+      cache.set(piece, countTokens(piece));
+    }
+    return cache.get(piece);
+  };
+  
+  const chunks = [];
+  let start = 0;
+  
+  while (start < pieces.length) {
+    // Add words until the next one doesn't fit
+    let end = start;
+    let tokens = 0;
+    while (end < pieces.length && (end === start || tokens + tokensOf(end) <= chunkSize)) {
+      tokens += tokensOf(end);
+      end++;
+    }
+    
+    // Prefer ending at a sentence boundary in the second half of the chunk
+    if (end < pieces.length) {
+      for (let i = end - 1; i > start + (end - start) / 2; i--) {
+        if (/[.!?]["')\]]?\s*$/.test(pieces[i])) {
+          end = i + 1;
+          break;
+        }
+      }
+    }
+    
+    chunks.push(pieces.slice(start, end).join('').trim());
+    
+    if (end >= pieces.length) {
+      break;
+    }
+    
+    // Start the next chunk with the last words of this one, up to chunkOverlap tokens
+    let next = end;
+    let overlap = 0;
+    while (next - 1 > start && overlap + tokensOf(next - 1) <= chunkOverlap) {
+      next--;
+      overlap += tokensOf(next);
+    }
+    start = next;
+  }
+  
+  return chunks;
+}
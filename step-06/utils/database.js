@@ -8,12 +8,21 @@ import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import fs from 'fs';
 import * as sqliteVec from 'sqlite-vec';
+import { getEmbeddingInfo } from './embeddings.js';
+import { buildChunkFilterQuery } from './metadataFilter.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-// Database file path
-const DB_PATH = join(__dirname, '../data/vectordb.sqlite');
+// Largest number of neighbours a vec0 KNN query can return
+export const MAX_KNN_K = 4096;
+
+// Model of the chunks stored before the embedding model was recorded per chunk: the only one there was
+const LEGACY_EMBEDDING_MODEL = 'transformers:Xenova/all-MiniLM-L6-v2';
+const LEGACY_EMBEDDING_DIMENSION = 384;
+
+// Database file path (VECTOR_DB_PATH points elsewhere, e.g. to a scratch database for tests)
+const DB_PATH = process.env.VECTOR_DB_PATH || join(__dirname, '../data/vectordb.sqlite');
 
 // Ensure data directory exists
 const dataDir = join(__dirname, '../data');
@@ -42,6 +51,9 @@ export function initDatabase() {
       source TEXT,
       title TEXT,
       filetype TEXT,
+      metadata TEXT,
+      content_hash TEXT,
+      ingest_fingerprint TEXT,
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
     );
     
@@ -51,17 +63,232 @@ export function initDatabase() {
       text TEXT NOT NULL,
       chunk_index INTEGER,
       chunk_strategy TEXT,
+      metadata TEXT,
+      parent_id INTEGER,
       embedding BLOB,
+      embedding_model TEXT,
+      embedding_dimension INTEGER,
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
       FOREIGN KEY (document_id) REFERENCES documents(id)
     );
     
     CREATE INDEX IF NOT EXISTS idx_chunks_document_id ON chunks(document_id);
+    
+    -- Larger spans of text (a section, a whole file) that small chunks expand to at retrieval time.
+    -- They aren't embedded or indexed: only their chunks are searched.
+    CREATE TABLE IF NOT EXISTS parent_chunks (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      document_id INTEGER,
+      text TEXT NOT NULL,
+      parent_index INTEGER,
+      metadata TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (document_id) REFERENCES documents(id)
+    );
+    
+    CREATE INDEX IF NOT EXISTS idx_parent_chunks_document_id ON parent_chunks(document_id);
+    
+    CREATE INDEX IF NOT EXISTS idx_documents_source ON documents(source);
+    
+    CREATE TABLE IF NOT EXISTS chat_sessions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      title TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+    
+    CREATE TABLE IF NOT EXISTS chat_messages (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      session_id INTEGER NOT NULL,
+      role TEXT NOT NULL,
+      content TEXT NOT NULL,
+      retrieval_query TEXT,
+      chunk_ids TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (session_id) REFERENCES chat_sessions(id)
+    );
+    
+    CREATE INDEX IF NOT EXISTS idx_chat_messages_session_id ON chat_messages(session_id);
   `);
   
+  // Migrate databases created before these columns existed
+  addColumnIfMissing(db, 'documents', 'metadata', 'TEXT');
+  addColumnIfMissing(db, 'documents', 'content_hash', 'TEXT');
+  addColumnIfMissing(db, 'documents', 'ingest_fingerprint', 'TEXT');
+  addColumnIfMissing(db, 'chunks', 'embedding_model', 'TEXT');
+  addColumnIfMissing(db, 'chunks', 'embedding_dimension', 'INTEGER');
+  addColumnIfMissing(db, 'chunks', 'metadata', 'TEXT');
+  addColumnIfMissing(db, 'chunks', 'parent_id', 'INTEGER');
+  
+  initVectorIndex(db);
+  initKeywordIndex(db);
+  
   return db;
 }
 
+/**
+ * Add a column to an existing table unless it is already there
+ * @param {Object} db - Database connection
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @param {string} definition - Column type and constraints
+ */
+function addColumnIfMissing(db, table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  
+  if (!columns.some(col => col.name === column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+/**
+ * Create the vec0 virtual table used for KNN search and keep it in sync with chunks
+ * The index is sized for the active embedding model, and is rebuilt when that changes
+ * @param {Object} db - Database connection
+ */
+function initVectorIndex(db) {
+  const { dimension } = getEmbeddingInfo();
+  const embeddingBytes = dimension * 4;
+  
+  // Virtual table indexing chunk embeddings by chunk ID (cosine distance),
+  // with the embedding model as a metadata column so KNN queries only compare compatible vectors
+  const tableSql = `CREATE VIRTUAL TABLE vec_chunks USING vec0(
+      chunk_id INTEGER PRIMARY KEY,
+      embedding float[${dimension}] distance_metric=cosine,
+      embedding_model TEXT
+    )`;
+  
+  const existing = db.prepare(`
+    SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'vec_chunks'
+  `).get();
+  
+  // The index is derived data: drop it if it was built for another dimension or schema
+  if (existing && existing.sql !== tableSql) {
+    db.exec('DROP TABLE vec_chunks');
+  }
+  if (!existing || existing.sql !== tableSql) {
+    db.exec(tableSql);
+  }
+  
+  // Triggers mirror every write on chunks into the index, whichever code path made it.
+  // They embed the dimension, so they are recreated on every start.
+  db.exec(`
+    DROP TRIGGER IF EXISTS chunks_vec_insert;
+    DROP TRIGGER IF EXISTS chunks_vec_delete;
+    DROP TRIGGER IF EXISTS chunks_vec_update;
+    
+    CREATE TRIGGER chunks_vec_insert AFTER INSERT ON chunks
+    WHEN length(new.embedding) = ${embeddingBytes}
+    BEGIN
+      INSERT INTO vec_chunks (chunk_id, embedding, embedding_model)
+      VALUES (new.id, new.embedding, new.embedding_model);
+    END;
+    
+    CREATE TRIGGER chunks_vec_delete AFTER DELETE ON chunks
+    BEGIN
+      DELETE FROM vec_chunks WHERE chunk_id = old.id;
+    END;
+    
+    CREATE TRIGGER chunks_vec_update AFTER UPDATE OF embedding, embedding_model ON chunks
+    BEGIN
+      DELETE FROM vec_chunks WHERE chunk_id = old.id;
+      INSERT INTO vec_chunks (chunk_id, embedding, embedding_model)
+      SELECT new.id, new.embedding, new.embedding_model WHERE length(new.embedding) = ${embeddingBytes};
+    END;
+  `);
+  
+  backfillEmbeddingModel(db);
+  
+  // Backfill chunks stored before the index existed
+  db.prepare(`
+    INSERT INTO vec_chunks (chunk_id, embedding, embedding_model)
+    SELECT id, embedding, embedding_model
+    FROM chunks
+    WHERE length(embedding) = ?
+      AND id NOT IN (SELECT chunk_id FROM vec_chunks)
+  `).run(embeddingBytes);
+  
+  warnAboutOtherEmbeddingModels(db);
+}
+
+/**
+ * Record the embedding model of chunks stored before it was recorded
+ * Those chunks were all embedded with the original default model, so with it they stay searchable
+ * (the update trigger copies the model into the index)
+ * @param {Object} db - Database connection
+ */
+function backfillEmbeddingModel(db) {
+  db.prepare(`
+    UPDATE chunks
+    SET embedding_model = ?, embedding_dimension = ?
+    WHERE embedding_model IS NULL
+      AND length(embedding) = ?
+  `).run(LEGACY_EMBEDDING_MODEL, LEGACY_EMBEDDING_DIMENSION, LEGACY_EMBEDDING_DIMENSION * 4);
+}
+
+/**
+ * Warn about chunks embedded with a model other than the active one
+ * Such chunks live in another vector space and are left out of vector search
+ * @param {Object} db - Database connection
+ */
+function warnAboutOtherEmbeddingModels(db) {
+  const { id: activeModel, dimension } = getEmbeddingInfo();
+  
+  const others = db.prepare(`
+    SELECT embedding_model, embedding_dimension, COUNT(*) AS count
+    FROM chunks
+    WHERE embedding IS NOT NULL
+      AND (embedding_model IS NULL OR embedding_model != ? OR length(embedding) != ?)
+    GROUP BY embedding_model, embedding_dimension
+  `).all(activeModel, dimension * 4);
+  
+  for (const other of others) {
+    console.warn(`${other.count} chunks were embedded with ${other.embedding_model || 'an unknown model'} ` +
+      `(dimension ${other.embedding_dimension ?? 'unknown'}) and are ignored by vector search with ${activeModel} (dimension ${dimension}). ` +
+      `Re-ingest them to make them searchable.`);
+  }
+}
+
+/**
+ * Create the FTS5 full-text index over chunk text and keep it in sync with chunks
+ * @param {Object} db - Database connection
+ */
+function initKeywordIndex(db) {
+  const exists = db.prepare(`
+    SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'chunks_fts'
+  `).get();
+  
+  // External-content table: the text lives in chunks, FTS5 only stores the index
+  db.exec(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS chunks_fts USING fts5(
+      text,
+      content='chunks',
+      content_rowid='id'
+    );
+    
+    CREATE TRIGGER IF NOT EXISTS chunks_fts_insert AFTER INSERT ON chunks
+    BEGIN
+      INSERT INTO chunks_fts (rowid, text) VALUES (new.id, new.text);
+    END;
+    
+    CREATE TRIGGER IF NOT EXISTS chunks_fts_delete AFTER DELETE ON chunks
+    BEGIN
+      INSERT INTO chunks_fts (chunks_fts, rowid, text) VALUES ('delete', old.id, old.text);
+    END;
+    
+    CREATE TRIGGER IF NOT EXISTS chunks_fts_update AFTER UPDATE OF text ON chunks
+    BEGIN
+      INSERT INTO chunks_fts (chunks_fts, rowid, text) VALUES ('delete', old.id, old.text);
+      INSERT INTO chunks_fts (rowid, text) VALUES (new.id, new.text);
+    END;
+  `);
+  
+  // Index chunks stored before the full-text table existed
+  if (!exists) {
+    db.exec(`INSERT INTO chunks_fts (chunks_fts) VALUES ('rebuild')`);
+  }
+}
+
 // Singleton database connection
 let dbInstance = null;
 
@@ -85,3 +312,126 @@ export function closeDatabase() {
     dbInstance = null;
   }
 }
+
+/**
+ * Parse the metadata column of a chunk row
+ * @param {string|null} metadata - JSON metadata
+ * @returns {Object} Chunk metadata (empty if none was stored)
+ */
+export function parseChunkMetadata(metadata) {
+  return metadata ? JSON.parse(metadata) : {};
+}
+
+/**
+ * Get the source to cite for a chunk row
+ * Chunks cut from a larger source (such as a row of a CSV file) carry a more precise citation
+ * in their metadata than their document's source.
+ * @param {Object} row - Chunk row joined with its document
+ * @param {Object} metadata - Parsed chunk metadata
+ * @returns {string} Source of the chunk
+ */
+export function getCitationSource(row, metadata) {
+  return metadata.source || row.source;
+}
+
+/**
+ * Find the nearest chunks to a query embedding using the vec0 index
+ * @param {Array<number>} queryEmbedding - Query embedding vector
+ * @param {number} k - Number of nearest neighbours to return (at most MAX_KNN_K)
+ * @param {Object} [filter] - Metadata filter (see MetadataFilter in metadataFilter.js)
+ * @returns {Array<Object>} Chunk rows joined with their document, with cosine distance, closest first
+ */
+export function searchVectorIndex(queryEmbedding, k, filter = null) {
+  const { id: model, dimension } = getEmbeddingInfo();
+  
+  if (queryEmbedding.length !== dimension) {
+    throw new Error(`Query embedding has dimension ${queryEmbedding.length}, expected ${dimension} for ${model}`);
+  }
+  
+  const db = getDatabase();
+  const chunkFilter = buildChunkFilterQuery(filter);
+  
+  // The KNN query runs in a CTE so that the MATCH/k constraints apply to vec_chunks alone.
+  // The filter restricts the chunks the KNN search looks at, so it still returns k neighbours.
+  const stmt = db.prepare(`
+    WITH knn AS (
+      SELECT chunk_id, distance
+      FROM vec_chunks
+      WHERE embedding MATCH ? AND k = ? AND embedding_model = ?
+        ${chunkFilter ? `AND chunk_id IN (${chunkFilter.sql})` : ''}
+    )
+    SELECT 
+      c.id,
+      c.document_id,
+      c.text,
+      c.chunk_index,
+      c.chunk_strategy,
+      c.metadata AS chunk_metadata,
+      c.parent_id,
+      d.source,
+      d.title,
+      d.filetype,
+      knn.distance
+    FROM knn
+    JOIN chunks c ON c.id = knn.chunk_id
+    JOIN documents d ON c.document_id = d.id
+    ORDER BY knn.distance
+  `);
+  
+  // Over-fetching callers multiply k, so it is capped to what vec0 accepts
+  return stmt.all(new Float32Array(queryEmbedding), Math.min(k, MAX_KNN_K), model, ...(chunkFilter ? chunkFilter.params : []));
+}
+
+/**
+ * Turn free text into an FTS5 query that matches any of its terms
+ * @param {string} text - Free text query
+ * @returns {string} FTS5 MATCH expression (empty if the text has no terms)
+ */
+function toFtsQuery(text) {
+  const terms = text.match(/[\p{L}\p{N}_]+/gu) || [];
+  
+  // Quote each term so FTS5 operators and punctuation in the query are taken literally
+  return terms.map(term => `"${term}"`).join(' OR ');
+}
+
+/**
+ * Find the chunks that best match a text query using the FTS5 index and BM25 ranking
+ * @param {string} query - Free text query
+ * @param {number} k - Maximum number of chunks to return
+ * @param {Object} [filter] - Metadata filter (see MetadataFilter in metadataFilter.js)
+ * @returns {Array<Object>} Chunk rows joined with their document, with BM25 score (higher is better), best first
+ */
+export function searchKeywordIndex(query, k, filter = null) {
+  const ftsQuery = toFtsQuery(query);
+  if (!ftsQuery) {
+    return [];
+  }
+  
+  const db = getDatabase();
+  const chunkFilter = buildChunkFilterQuery(filter);
+  
+  // bm25() returns lower values for better matches, so negate it into a score
+  const stmt = db.prepare(`
+    SELECT 
+      c.id,
+      c.document_id,
+      c.text,
+      c.chunk_index,
+      c.chunk_strategy,
+      c.metadata AS chunk_metadata,
+      c.parent_id,
+      d.source,
+      d.title,
+      d.filetype,
+      -bm25(chunks_fts) AS score
+    FROM chunks_fts
+    JOIN chunks c ON c.id = chunks_fts.rowid
+    JOIN documents d ON c.document_id = d.id
+    WHERE chunks_fts MATCH ?
+      ${chunkFilter ? `AND c.id IN (${chunkFilter.sql})` : ''}
+    ORDER BY bm25(chunks_fts)
+    LIMIT ?
+  `);
+  
+  return stmt.all(ftsQuery, ...(chunkFilter ? chunkFilter.params : []), k);
+}
@@ -0,0 +1,191 @@
+/**
+ * Directory ingestion
+ * Crawls a directory tree and ingests every supported file, honouring glob filters and .ragignore files
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { minimatch } from 'minimatch';
+import { SUPPORTED_EXTENSIONS } from './documentProcessor.js';
+import { ingestFiles, summarizeIngestion } from './ingestion.js';
+import { removeMissingDocuments } from './vectorStorage.js';
+
+// Name of the ignore files read in each crawled directory
+export const IGNORE_FILE = '.ragignore';
+
+/**
+ * Options for crawling a directory
+ * @typedef {Object} CrawlOptions
+ * @property {Array<string>} [include] - Globs a file must match, e.g. ['*.md', 'guides/**']
+ *   (default: every file with a supported extension)
+ * @property {Array<string>} [exclude] - Globs of files and directories to skip, e.g. ['drafts', '*.draft.md']
+ * 
+ * Globs are relative to the root directory; like .ragignore patterns, globs without a '/' match at any depth
+ */
+
+/**
+ * Convert a path to the forward-slash form used by glob patterns
+ * @param {string} filePath - Relative path
+ * @returns {string} Path with '/' separators
+ */
+function toPosixPath(filePath) {
+  return filePath.split(path.sep).join('/');
+}
+
+/**
+ * Read the ignore rules of a directory
+ * Rules follow .gitignore conventions: '#' comments, '!' negations, a trailing '/' for directories only,
+ * and patterns without a '/' match at any depth
+ * @param {string} dirPath - Directory containing the ignore file
+ * @returns {Array<Object>} Parsed rules
+ */
+function readIgnoreRules(dirPath) {
+  const ignoreFile = path.join(dirPath, IGNORE_FILE);
+  
+  if (!fs.existsSync(ignoreFile)) {
+    return [];
+  }
+  
+  return fs.readFileSync(ignoreFile, 'utf8')
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    .map(line => {
+      const negate = line.startsWith('!');
+      let pattern = negate ? line.slice(1) : line;
+      
+      const directoryOnly = pattern.endsWith('/');
+      pattern = pattern.replace(/\/+$/, '');
+      
+      // A slash anywhere but at the end anchors the pattern to the ignore file's directory
+      const anchored = pattern.includes('/');
+      pattern = pattern.replace(/^\//, '');
+      
+      return { base: dirPath, pattern, negate, directoryOnly, anchored };
+    });
+}
+
+/**
+ * Check whether a path is ignored by the rules collected so far
+ * Later rules override earlier ones, so deeper .ragignore files win over their parents
+ * @param {string} fullPath - Absolute path
+ * @param {boolean} isDirectory - Whether the path is a directory
+ * @param {Array<Object>} rules - Rules from readIgnoreRules()
+ * @returns {boolean} Whether the path is ignored
+ */
+function isIgnored(fullPath, isDirectory, rules) {
+  let ignored = false;
+  
+  for (const rule of rules) {
+    if (rule.directoryOnly && !isDirectory) {
+      continue;
+    }
+    
+    const relativePath = toPosixPath(path.relative(rule.base, fullPath));
+    if (minimatch(relativePath, rule.pattern, { dot: true, matchBase: !rule.anchored })) {
+      ignored = !rule.negate;
+    }
+  }
+  
+  return ignored;
+}
+
+/**
+ * Find the files to ingest under a directory
+ * @param {string} rootDir - Directory to crawl
+ * @param {CrawlOptions} options - Crawl options
+ * @returns {Promise<Array<string>>} Absolute paths of the matching files, sorted
+ */
+export async function findFiles(rootDir, options = {}) {
+  const root = path.resolve(rootDir);
+  const stats = await fs.promises.stat(root);
+  
+  if (!stats.isDirectory()) {
+    throw new Error(`Not a directory: ${rootDir}`);
+  }
+  
+  const include = options.include?.length ? options.include : null;
+  const exclude = options.exclude || [];
+  const matches = (relativePath, patterns) =>
+    patterns.some(pattern => minimatch(relativePath, pattern, { dot: true, matchBase: !pattern.includes('/') }));
+  
+  const files = [];
+  
+  /**
+   * Walk a directory, inheriting the ignore rules of its parents
+   * @param {string} dirPath - Directory to walk
+   * @param {Array<Object>} parentRules - Ignore rules in effect
+   */
+  async function walk(dirPath, parentRules) {
+    const rules = [...parentRules, ...readIgnoreRules(dirPath)];
+    const entries = await fs.promises.readdir(dirPath, { withFileTypes: true });
+    
+    for (const entry of entries) {
+      const fullPath = path.join(dirPath, entry.name);
+      const relativePath = toPosixPath(path.relative(root, fullPath));
+      
+      // Symbolic links are skipped so the crawl can't loop or leave the root directory
+      if (entry.isSymbolicLink() || entry.name === IGNORE_FILE) {
+        continue;
+      }
+      
+      if (entry.isDirectory()) {
+        if (!isIgnored(fullPath, true, rules) && !matches(relativePath, exclude)) {
+          await walk(fullPath, rules);
+        }
+        continue;
+      }
+      
+      if (!entry.isFile() || isIgnored(fullPath, false, rules) || matches(relativePath, exclude)) {
+        continue;
+      }
+      
+      const supported = SUPPORTED_EXTENSIONS.includes(path.extname(entry.name).toLowerCase());
+      if (supported && (!include || matches(relativePath, include))) {
+        files.push(fullPath);
+      }
+    }
+  }
+  
+  await walk(root, []);
+  
+  return files.sort();
+}
+
+/**
+ * Ingest every matching file under a directory
+ * @param {string} rootDir - Directory to crawl
+ * @param {Object} options - Crawl options (see CrawlOptions), plus:
+ * @param {Object} [options.chunkOptions] - Options for chunkDocument() (default: character strategy)
+ * @param {Object} [options.recordTemplate] - Record template for CSV, JSON and JSONL files
+ * @param {Array<string>} [options.cleaning] - Cleaning steps for cleanDocument() (default: all of them)
+ * @param {boolean} [options.force] - Re-ingest files whose content hasn't changed
+ * @param {boolean} [options.prune] - Remove stored documents under the directory that are gone or no longer matched
+ * @param {boolean} [options.dryRun] - Only list the files that would be ingested
+ * @returns {Promise<Object>} Directory, matched files, per-file results and counts by status
+ */
+export async function ingestDirectory(rootDir, options = {}) {
+  const directory = path.resolve(rootDir);
+  const files = await findFiles(directory, options);
+  
+  if (options.dryRun) {
+    return { directory, files, results: [], counts: summarizeIngestion([]) };
+  }
+  
+  const { results } = await ingestFiles(files, {
+    chunkOptions: options.chunkOptions,
+    recordTemplate: options.recordTemplate,
+    cleaning: options.cleaning,
+    force: options.force
+  });
+  
+  // Only documents from this directory are pruned, other ingestions are left alone
+  const removed = options.prune ? removeMissingDocuments(files, directory + path.sep) : 0;
+  
+  return {
+    directory,
+    files,
+    results,
+    counts: summarizeIngestion(results, removed)
+  };
+}
@@ -5,38 +5,135 @@
 
 import { splitByCharacterCount, splitByParagraphs } from './chunking/simpleChunker.js';
 import { splitRecursively, splitByHeadings } from './chunking/recursiveChunker.js';
+import { splitByTokens } from './chunking/tokenChunker.js';
+import { splitSemantically } from './chunking/semanticChunker.js';
+import { protectBlocks, restoreBlocks } from './chunking/markdownBlocks.js';
 import { generateChunkEmbeddings, generateChunkEmbeddingsWithMetadata } from './embeddings/chunkEmbeddings.js';
+import { getEmbeddings, getTokenizer } from './embeddings.js';
 
 /**
  * Chunk options for different strategies
  * @typedef {Object} ChunkOptions
- * @property {string} strategy - Chunking strategy to use
- * @property {number} [chunkSize] - Target size of each chunk in characters
- * @property {number} [chunkOverlap] - Number of characters to overlap between chunks
+ * @property {string} strategy - Chunking strategy to use (documents with records, from CSV or JSON files, always use 'record')
+ * @property {number} [chunkSize] - Target size of each chunk in characters (in tokens for the token strategy)
+ * @property {number} [chunkOverlap] - Number of characters (tokens) to overlap between chunks
  * @property {number} [maxParagraphsPerChunk] - Maximum number of paragraphs per chunk
  * @property {number} [paragraphOverlap] - Number of paragraphs to overlap between chunks
  * @property {Array<string>} [separators] - List of separators for recursive chunking
  * @property {number} [minHeadingLevel] - Minimum heading level for heading-based chunking
+ * @property {number} [breakpointPercentile] - For semantic chunking: similarities between sentences below this percentile end a chunk
+ * @property {number} [minChunkSize] - For semantic chunking: minimum size of a chunk in characters
+ * @property {number} [maxChunkSize] - For semantic chunking: maximum size of a chunk in characters (default: chunkSize)
+ * @property {ChunkOptions} [parent] - Strategy of the parent chunks the chunks are cut from, e.g. { strategy: 'heading' }
+ *   or { strategy: 'document' } (see chunkDocument())
+ * @property {string} [oversizedChunks] - What to do with chunks longer than the embedding model's input:
+ *   'warn' (default, the model cuts them off) or 'split'
+ * @property {number} [batchSize] - Number of chunks embedded per model call
+ * @property {Function} [onProgress] - Called after each embedding batch with { batch, batches, done, total }
  */
 
 /**
- * Process a document into chunks with embeddings
- * @param {Object} document - Document object with text and metadata
- * @param {ChunkOptions} options - Chunking options
- * @returns {Promise<Array<Object>>} Array of chunks with text, metadata, and embeddings
+ * Find where a chunk starts and ends in the document text
+ * Chunkers may trim or re-join the text, so the chunk is located by its first and last characters
+ * @param {string} text - Document text
+ * @param {string} chunkText - Chunk text
+ * @param {number} fromIndex - Where to start searching (chunks come in document order)
+ * @returns {Object|null} Start and end offsets, or null if the chunk can't be found
  */
-export async function chunkDocument(document, options = { strategy: 'character' }) {
-  if (!document || !document.text) {
-    throw new Error('Invalid document or missing text');
+function locateChunk(text, chunkText, fromIndex) {
+  const head = chunkText.slice(0, 64);
+  let start = text.indexOf(head, fromIndex);
+  if (start === -1) {
+    start = text.indexOf(head);
+  }
+  if (start === -1) {
+    return null;
   }
   
-  let chunks = [];
-  const { text, metadata } = document;
+  const tail = chunkText.slice(-64);
+  let tailIndex = text.indexOf(tail, Math.max(start, start + chunkText.length - tail.length - 100));
+  if (tailIndex === -1) {
+    tailIndex = text.indexOf(tail, start);
+  }
+  
+  return {
+    start,
+    end: tailIndex === -1 ? start + chunkText.length : tailIndex + tail.length
+  };
+}
+
+/**
+ * Add the pages a chunk spans to its metadata (pageStart and pageEnd)
+ * @param {Array<Object>} chunks - Chunks with text and metadata, in document order
+ * @param {string} text - Document text
+ * @param {Array<Object>} pageRanges - Character range of each page ({ pageNumber, start, end })
+ * @returns {Array<Object>} Chunks with page numbers
+ */
+function addPageNumbers(chunks, text, pageRanges) {
+  const pageAt = offset => (pageRanges.find(page => offset < page.end) || pageRanges[pageRanges.length - 1]).pageNumber;
+  let cursor = 0;
+  
+  return chunks.map(chunk => {
+    const location = locateChunk(text, chunk.text, cursor);
+    if (!location) {
+      return chunk;
+    }
+    
+    cursor = location.start;
+    return {
+      ...chunk,
+      metadata: {
+        ...chunk.metadata,
+        pageStart: pageAt(location.start),
+        pageEnd: pageAt(Math.max(location.start, location.end - 1))
+      }
+    };
+  });
+}
+
+/**
+ * Find the chunks the embedding model can't read in full, and warn about them or split them
+ * @param {Array<Object>} chunks - Chunks with text and metadata
+ * @param {Object} tokenizer - Tokenizer of the embedding model (see getTokenizer())
+ * @param {string} mode - 'warn' or 'split'
+ * @returns {Array<Object>} Chunks, with the oversized ones split in 'split' mode
+ */
+function limitChunkTokens(chunks, tokenizer, mode) {
+  const { countTokens, maxTokens } = tokenizer;
+  
+  return chunks.flatMap((chunk, index) => {
+    const tokens = countTokens(chunk.text);
+    if (tokens <= maxTokens) {
+      return [chunk];
+    }
+    
+    if (mode !== 'split') {
+      console.warn(`Chunk ${index} has ${tokens} tokens, the embedding model only reads the first ${maxTokens} (use oversizedChunks: 'split' or a smaller chunkSize)`);
+      return [chunk];
+    }
+    
+    return splitByTokens(chunk.text, countTokens, maxTokens, 0).map(text => ({ ...chunk, text }));
+  });
+}
+
+/**
+ * Split a document with a chunking strategy
+ * @param {Object} document - Document object with metadata (and records for structured data)
+ * @param {string} text - Text to split, with code blocks and tables replaced by placeholders
+ * @param {ChunkOptions} options - Chunking options
+ * @param {Object} context - Placeholder blocks and tokenizer of the embedding model
+ * @returns {Promise<Array<Object>>} Chunks with text (still with placeholders) and metadata
+ */
+async function splitDocument(document, text, options, context) {
+  // Structured data (CSV, JSON) is always chunked by record, so each row keeps its own citation
+  const strategy = document.records ? 'record' : options.strategy;
+  const { metadata } = document;
+  const { blocks, tokenizer } = context;
   
   // Apply the specified chunking strategy
-  switch (options.strategy) {
+  switch (strategy) {
     case 'character':
-      chunks = splitByCharacterCount(
+      return splitByCharacterCount(
         text, 
         options.chunkSize || 1000, 
         options.chunkOverlap || 200
@@ -44,10 +141,9 @@ export async function chunkDocument(document, options = { strategy: 'character'
         text: chunkText,
         metadata: { ...metadata, chunkStrategy: 'character' }
       }));
-      break;
       
     case 'paragraph':
-      chunks = splitByParagraphs(
+      return splitByParagraphs(
         text, 
         options.maxParagraphsPerChunk || 3, 
         options.paragraphOverlap || 1
@@ -55,10 +151,9 @@ export async function chunkDocument(document, options = { strategy: 'character'
         text: chunkText,
         metadata: { ...metadata, chunkStrategy: 'paragraph' }
       }));
-      break;
       
     case 'recursive':
-      chunks = splitRecursively(
+      return splitRecursively(
         text, 
         options.separators || ['\n\n', '\n', '. ', ' '], 
         options.chunkSize || 1000, 
@@ -67,28 +162,144 @@ export async function chunkDocument(document, options = { strategy: 'character'
         text: chunkText,
         metadata: { ...metadata, chunkStrategy: 'recursive' }
       }));
-      break;
+      
+    case 'token': {
+      // Sizes are counted with the tokenizer of the embedding model, and default to its maximum input
+      const tokenChunkSize = options.chunkSize || tokenizer.maxTokens || 256;
+      // Code blocks and tables count with their own tokens, not their placeholders'
+      const countTokens = blocks.length > 0 ? chunkText => tokenizer.countTokens(restoreBlocks(chunkText, blocks)) : tokenizer.countTokens;
+      return splitByTokens(
+        text, 
+        countTokens, 
+        tokenChunkSize, 
+        options.chunkOverlap || Math.floor(tokenChunkSize / 8)
+      ).map(chunkText => ({
+        text: chunkText,
+        metadata: { ...metadata, chunkStrategy: 'token' }
+      }));
+    }
+      
+    case 'semantic':
+      // Sentences are embedded with their code blocks and tables, not the placeholders
+      return (await splitSemantically(
+        text, 
+        texts => getEmbeddings(texts.map(sentence => restoreBlocks(sentence, blocks) || sentence)), 
+        {
+          breakpointPercentile: options.breakpointPercentile,
+          minChunkSize: options.minChunkSize,
+          maxChunkSize: options.maxChunkSize || options.chunkSize
+        }
+      )).map(chunkText => ({
+        text: chunkText,
+        metadata: { ...metadata, chunkStrategy: 'semantic' }
+      }));
       
     case 'heading':
       // For heading-based chunking, we get chunks with title and content
       const headingChunks = splitByHeadings(text, options.minHeadingLevel || 1);
-      chunks = headingChunks.map(chunk => ({
+      return headingChunks.map(chunk => ({
         text: chunk.content,
         metadata: { 
           ...metadata, 
           chunkStrategy: 'heading',
           title: chunk.title,
-          headingLevel: chunk.level
+          headingLevel: chunk.level,
+          headingPath: chunk.path.join(' > ')
+        }
+      }));
+      
+    case 'record':
+      if (!document.records) {
+        throw new Error('The record strategy only applies to structured data (CSV, JSON, JSONL)');
+      }
+      
+      // The record ID is appended to the source, e.g. faq.csv#42
+      return document.records.map(record => ({
+        text: record.text,
+        metadata: {
+          ...metadata,
+          chunkStrategy: 'record',
+          recordId: record.id,
+          source: `${document.source || metadata?.source || ''}#${record.id}`,
+          ...(Object.keys(record.metadata).length > 0 ? { recordMetadata: record.metadata } : {})
         }
       }));
-      break;
+      
+    case 'document':
+      // The whole text in one chunk, mostly useful as the parent of smaller chunks
+      return [{
+        text,
+        metadata: { ...metadata, chunkStrategy: 'document' }
+      }];
       
     default:
       throw new Error(`Unknown chunking strategy: ${options.strategy}`);
   }
+}
+
+/**
+ * Process a document into chunks with embeddings
+ * With a parent strategy (options.parent), the document is first split into parent chunks, which are
+ * split again with the main strategy: the small chunks are embedded and searched, and each one links
+ * to its parent (chunk.parent), which can replace it in the context sent to the LLM
+ * @param {Object} document - Document object with text and metadata
+ * @param {ChunkOptions} options - Chunking options
+ * @returns {Promise<Array<Object>>} Array of chunks with text, metadata, and embeddings
+ */
+export async function chunkDocument(document, options = { strategy: 'character' }) {
+  if (!document || !document.text) {
+    throw new Error('Invalid document or missing text');
+  }
+  
+  let chunks = [];
+  const { text: documentText } = document;
+  
+  // Code blocks and tables of markdown are chunked as a whole: the splitters only see placeholders for them
+  // (other formats have no such syntax, and their lines starting with a pipe or fence aren't blocks)
+  const { text, blocks } = document.metadata?.filetype === 'markdown' ? protectBlocks(documentText) : { text: documentText, blocks: [] };
+  const context = { blocks, tokenizer: await getTokenizer() };
+  
+  // Records are already the smallest unit of structured data, so they have no parents
+  if (options.parent && !document.records) {
+    const spans = await splitDocument(document, text, options.parent, context);
+    
+    let parents = spans.map((span, index) => ({
+      index,
+      text: restoreBlocks(span.text, blocks),
+      metadata: span.metadata
+    }));
+    if (document.pageRanges?.length > 0) {
+      parents = addPageNumbers(parents, documentText, document.pageRanges);
+    }
+    
+    // Chunks inherit the metadata of their parent, such as its heading path
+    for (const [index, span] of spans.entries()) {
+      const children = await splitDocument({ ...document, metadata: span.metadata }, span.text, options, context);
+      chunks.push(...children.map(chunk => ({ ...chunk, parent: parents[index] })));
+    }
+  } else {
+    chunks = await splitDocument(document, text, options, context);
+  }
+  
+  chunks = chunks
+    .map(chunk => ({ ...chunk, text: restoreBlocks(chunk.text, blocks) }))
+    .filter(chunk => chunk.text);
+  
+  // The embedding model would silently cut off chunks longer than its input
+  if (context.tokenizer.maxTokens) {
+    chunks = limitChunkTokens(chunks, context.tokenizer, options.oversizedChunks);
+  }
+  
+  // Paged documents (PDF) record which pages each chunk comes from
+  if (document.pageRanges?.length > 0) {
+    chunks = addPageNumbers(chunks, documentText, document.pageRanges);
+  }
   
-  // Generate embeddings for all chunks
-  const chunksWithEmbeddings = await generateChunkEmbeddingsWithMetadata(chunks);
+  // Generate embeddings for all chunks, in batches
+  const chunksWithEmbeddings = await generateChunkEmbeddingsWithMetadata(chunks, 'text', {
+    batchSize: options.batchSize,
+    onProgress: options.onProgress
+  });
   
   return chunksWithEmbeddings;
 }
@@ -7,13 +7,26 @@ import path from 'path';
 import { loadTextFile } from './loaders/textLoader.js';
 import { loadMarkdownFile } from './loaders/markdownLoader.js';
 import { loadPdfFile } from './loaders/pdfLoader.js';
+import { loadHtmlFile } from './loaders/htmlLoader.js';
+import { loadDocxFile } from './loaders/docxLoader.js';
+import { loadOdtFile } from './loaders/odtLoader.js';
+import { loadEpubFile } from './loaders/epubLoader.js';
+import { loadCsvFile } from './loaders/csvLoader.js';
+import { loadJsonFile } from './loaders/jsonLoader.js';
+import { cleanText, DEFAULT_CLEANING_STEPS } from './textCleaner.js';
+
+// File extensions processDocument() has a loader for
+export const SUPPORTED_EXTENSIONS = ['.txt', '.md', '.pdf', '.html', '.htm', '.docx', '.odt', '.epub', '.csv', '.json', '.jsonl'];
 
 /**
  * Process a document based on its file type
  * @param {string} filePath - Path to the document
- * @returns {Promise<Object>} Processed document with text and metadata
+ * @param {Object} options - Loader options
+ * @param {Object} [options.recordTemplate] - For CSV, JSON and JSONL files: which fields become text, metadata and record ID
+ *   (see RecordTemplate in loaders/recordTemplate.js)
+ * @returns {Promise<Object>} Processed document with text and metadata (and records for structured data)
  */
-export async function processDocument(filePath) {
+export async function processDocument(filePath, options = {}) {
   try {
     const extension = path.extname(filePath).toLowerCase();
     
@@ -25,6 +38,20 @@ export async function processDocument(filePath) {
         return await loadMarkdownFile(filePath);
       case '.pdf':
         return await loadPdfFile(filePath);
+      case '.html':
+      case '.htm':
+        return await loadHtmlFile(filePath);
+      case '.docx':
+        return await loadDocxFile(filePath);
+      case '.odt':
+        return await loadOdtFile(filePath);
+      case '.epub':
+        return await loadEpubFile(filePath);
+      case '.csv':
+        return await loadCsvFile(filePath, options.recordTemplate);
+      case '.json':
+      case '.jsonl':
+        return await loadJsonFile(filePath, options.recordTemplate);
       default:
         throw new Error(`Unsupported file type: ${extension}`);
     }
@@ -35,43 +62,57 @@ export async function processDocument(filePath) {
 
 /**
  * Clean and preprocess document text
+ * Paged documents (PDF) are cleaned page by page, so their page ranges stay accurate
  * @param {Object} document - Document object with text and metadata
+ * @param {Array<string>} steps - Cleaning steps to apply (see CLEANING_STEPS in textCleaner.js)
  * @returns {Object} Processed document with cleaned text
  */
-export function cleanDocument(document) {
+export function cleanDocument(document, steps = DEFAULT_CLEANING_STEPS) {
   if (!document || !document.text) {
     throw new Error('Invalid document or missing text');
   }
   
-  let cleanedText = document.text;
-  
-  // Remove excessive whitespace
-  cleanedText = cleanedText.replace(/\s+/g, ' ');
+  const cleanedDocument = { ...document };
   
-  // Remove special characters that might interfere with processing
-  cleanedText = cleanedText.replace(/[^\w\s.,?!:;()\[\]{}"'-]/g, ' ');
+  if (document.pageRanges?.length > 0) {
+    // Rebuild the text and the ranges from the cleaned pages, joined as the PDF loader does
+    let text = '';
+    cleanedDocument.pageRanges = document.pageRanges.map(page => {
+      const pageText = cleanText(document.text.slice(page.start, page.end), steps);
+      if (text && pageText) {
+        text += '\n\n';
+      }
+      const start = text.length;
+      text += pageText;
+      return { pageNumber: page.pageNumber, start, end: text.length };
+    });
+    cleanedDocument.text = text;
+  } else {
+    cleanedDocument.text = cleanText(document.text, steps);
+  }
   
-  // Trim leading/trailing whitespace
-  cleanedText = cleanedText.trim();
+  // Structured data is chunked from its records, which are cleaned the same way
+  if (document.records) {
+    cleanedDocument.records = document.records.map(record => ({ ...record, text: cleanText(record.text, steps) }));
+  }
   
-  return {
-    ...document,
-    text: cleanedText
-  };
+  return cleanedDocument;
 }
 
 /**
  * Process a batch of documents
  * @param {Array<string>} filePaths - Array of file paths
+ * @param {Object} options - Loader options, as for processDocument(), plus:
+ * @param {Array<string>} [options.cleaning] - Cleaning steps, as for cleanDocument()
  * @returns {Promise<Array<Object>>} Array of processed documents
  */
-export async function processBatch(filePaths) {
+export async function processBatch(filePaths, options = {}) {
   try {
     const processedDocuments = [];
     
     for (const filePath of filePaths) {
-      const document = await processDocument(filePath);
-      const cleanedDocument = cleanDocument(document);
+      const document = await processDocument(filePath, options);
+      const cleanedDocument = cleanDocument(document, options.cleaning);
       processedDocuments.push(cleanedDocument);
     }
     
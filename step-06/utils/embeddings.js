@@ -1,17 +1,63 @@
-// We'll use a singleton pattern to avoid loading the model multiple times
+import dotenv from 'dotenv';
+import { createTransformersProvider } from './embeddings/providers/transformersProvider.js';
+import { createOpenAIProvider } from './embeddings/providers/openaiProvider.js';
+import { createHashProvider } from './embeddings/providers/hashProvider.js';
+
+// Load environment variables
+dotenv.config();
+
+// Default model, dimension and maximum input length (in tokens) for each provider
+// Text beyond the maximum length is cut off by the model, so chunks shouldn't be longer
+const PROVIDER_DEFAULTS = {
+  transformers: { model: 'Xenova/all-MiniLM-L6-v2', dimension: 384, maxTokens: 256 },
+  openai: { model: 'text-embedding-3-small', dimension: 1536, maxTokens: 8191 },
+  hash: { model: 'hash', dimension: 384, maxTokens: null }
+};
+
+const EMBEDDING_PROVIDER = process.env.EMBEDDING_PROVIDER || 'transformers';
+
+if (!PROVIDER_DEFAULTS[EMBEDDING_PROVIDER]) {
+  throw new Error(`Unknown embedding provider: ${EMBEDDING_PROVIDER} (expected one of: ${Object.keys(PROVIDER_DEFAULTS).join(', ')})`);
+}
+
+/**
+ * Active embedding configuration, resolved from environment variables
+ * `id` identifies the vector space: vectors with different ids can't be compared
+ */
+const EMBEDDING_CONFIG = {
+  provider: EMBEDDING_PROVIDER,
+  model: process.env.EMBEDDING_MODEL || PROVIDER_DEFAULTS[EMBEDDING_PROVIDER].model,
+  dimension: parseInt(process.env.EMBEDDING_DIMENSION || PROVIDER_DEFAULTS[EMBEDDING_PROVIDER].dimension),
+  maxTokens: parseInt(process.env.EMBEDDING_MAX_TOKENS || PROVIDER_DEFAULTS[EMBEDDING_PROVIDER].maxTokens) || null,
+  apiEndpoint: process.env.EMBEDDING_API_ENDPOINT,
+  apiKey: process.env.EMBEDDING_API_KEY || process.env.LLM_API_KEY,
+  // Only ask the API for a specific dimension when one was configured explicitly
+  requestedDimension: process.env.EMBEDDING_DIMENSION ? parseInt(process.env.EMBEDDING_DIMENSION) : null
+};
+EMBEDDING_CONFIG.id = `${EMBEDDING_CONFIG.provider}:${EMBEDDING_CONFIG.model}`;
+
+// Number of texts sent to the provider at once by getEmbeddings()
+const EMBEDDING_BATCH_SIZE = parseInt(process.env.EMBEDDING_BATCH_SIZE || '32');
+
+// We'll use a singleton pattern to avoid creating the provider (and loading models) multiple times
 class EmbeddingModel {
-  static model = null;
-  
-  static async getInstance() {
-    if (this.model === null) {
-      // Initialize the model on first use
-      console.log('Loading embedding model...');
-      // Import pipeline from transformers
-      const { pipeline } = await import('@xenova/transformers');
-      this.model = await pipeline('feature-extraction', 'Xenova/all-MiniLM-L6-v2');
-      console.log('Embedding model loaded successfully');
+  static provider = null;
+  
+  static getInstance() {
+    if (this.provider === null) {
+      switch (EMBEDDING_CONFIG.provider) {
+        case 'transformers':
+          this.provider = createTransformersProvider(EMBEDDING_CONFIG);
+          break;
+        case 'openai':
+          this.provider = createOpenAIProvider(EMBEDDING_CONFIG);
+          break;
+        case 'hash':
+          this.provider = createHashProvider(EMBEDDING_CONFIG);
+          break;
+      }
     }
-    return this.model;
+    return this.provider;
   }
 }
 
@@ -25,14 +71,91 @@ async function getEmbedding(text) {
     throw new Error('Input must be a non-empty string');
   }
   
-  // Get the model
-  const model = await EmbeddingModel.getInstance();
+  // Get the provider
+  const provider = EmbeddingModel.getInstance();
   
   // Generate embedding
-  const result = await model(text, { pooling: 'mean', normalize: true });
+  const embedding = await provider.embed(text);
+  checkDimension(embedding);
   
-  // Return the embedding as a regular array
-  return Array.from(result.data);
+  return embedding;
+}
+
+/**
+ * Generate embeddings for several texts, sending them to the model in batches
+ * @param {Array<string>} texts - The texts to embed
+ * @param {Object} options - Batching options
+ * @param {number} [options.batchSize] - Number of texts per batch (default: EMBEDDING_BATCH_SIZE or 32)
+ * @param {Function} [options.onProgress] - Called after each batch with { batch, batches, done, total }
+ * @param {Function} [options.onBatchError] - Called as (error, batchTexts, { batch, batches, start }) when a batch
+ *   fails, and resolves to the embeddings to use for that batch instead; without it, the error is thrown
+ * @returns {Promise<Array<Array<number>>>} One embedding vector per text, in the same order
+ */
+async function getEmbeddings(texts, options = {}) {
+  if (!Array.isArray(texts) || texts.some(text => !text || typeof text !== 'string')) {
+    throw new Error('Input must be an array of non-empty strings');
+  }
+  
+  const batchSize = Math.max(1, options.batchSize || EMBEDDING_BATCH_SIZE);
+  const batches = Math.ceil(texts.length / batchSize);
+  const provider = EmbeddingModel.getInstance();
+  const embeddings = [];
+  
+  for (let batch = 0; batch < batches; batch++) {
+    const batchTexts = texts.slice(batch * batchSize, (batch + 1) * batchSize);
+    
+    try {
+      const batchEmbeddings = await provider.embedBatch(batchTexts);
+      batchEmbeddings.forEach(checkDimension);
+      embeddings.push(...batchEmbeddings);
+    } catch (error) {
+      if (!options.onBatchError) {
+        throw error;
+      }
+      embeddings.push(...await options.onBatchError(error, batchTexts, { batch: batch + 1, batches, start: batch * batchSize }));
+    }
+    
+    if (options.onProgress) {
+      options.onProgress({ batch: batch + 1, batches, done: embeddings.length, total: texts.length });
+    }
+  }
+  
+  return embeddings;
+}
+
+/**
+ * Make sure an embedding has the configured dimension
+ * A wrong dimension means the configured model isn't the one we think it is
+ * @param {Array<number>} embedding - Embedding vector
+ */
+function checkDimension(embedding) {
+  if (embedding.length !== EMBEDDING_CONFIG.dimension) {
+    throw new Error(`Embedding model ${EMBEDDING_CONFIG.id} returned ${embedding.length} dimensions, expected ${EMBEDDING_CONFIG.dimension} (check EMBEDDING_DIMENSION)`);
+  }
+}
+
+/**
+ * Get the tokenizer of the active embedding model
+ * @returns {Promise<Object>} countTokens(text) function and maxTokens, the number of text tokens
+ *   the model reads (null if it has no limit)
+ */
+async function getTokenizer() {
+  const tokenizer = await EmbeddingModel.getInstance().getTokenizer();
+  
+  return {
+    countTokens: tokenizer.countTokens,
+    // Special tokens added by the model take room in its input too
+    maxTokens: EMBEDDING_CONFIG.maxTokens ? EMBEDDING_CONFIG.maxTokens - tokenizer.specialTokens : null
+  };
+}
+
+/**
+ * Get the model and dimension of the active embedding configuration
+ * @returns {Object} Provider, model, dimension, maximum input length and id of the vector space
+ */
+function getEmbeddingInfo() {
+  const { provider, model, dimension, maxTokens, id } = EMBEDDING_CONFIG;
+  return { provider, model, dimension, maxTokens, id };
 }
 
 /**
@@ -42,16 +165,12 @@ async function getEmbedding(text) {
 async function testEmbedding() {
   const testText = 'This is a test sentence for embedding generation.';
   try {
+    // getEmbedding() rejects vectors that don't have the configured dimension
     const embedding = await getEmbedding(testText);
-    // Check if embedding is the right shape (all-MiniLM-L6-v2 produces 384-dimensional embeddings)
-    if (embedding.length === 384) {
-      return { success: true, message: `Successfully generated embedding with dimension ${embedding.length}` };
-    } else {
-      return { success: false, message: `Embedding has incorrect dimension: ${embedding.length}` };
-    }
+    return { success: true, message: `Successfully generated embedding with dimension ${embedding.length} (${EMBEDDING_CONFIG.id})` };
   } catch (error) {
     return { success: false, message: `Error generating embedding: ${error.message}` };
   }
 }
 
-export { getEmbedding, testEmbedding };
+export { getEmbedding, getEmbeddings, getEmbeddingInfo, getTokenizer, testEmbedding, EMBEDDING_BATCH_SIZE };
@@ -3,77 +3,112 @@
  * Generates embeddings for text chunks
  */
 
-import { getEmbedding } from '../embeddings.js';
+import { getEmbedding, getEmbeddings } from '../embeddings.js';
+
+/**
+ * Embedding options for chunk ingestion
+ * @typedef {Object} EmbeddingOptions
+ * @property {number} [batchSize] - Number of chunks embedded per model call (default: EMBEDDING_BATCH_SIZE)
+ * @property {Function} [onProgress] - Called after each batch with { batch, batches, done, total }
+ */
+
+/**
+ * Log the progress of a batched embedding run
+ * @param {Object} progress - Progress reported after a batch
+ */
+function logProgress({ batch, batches, done, total }) {
+  console.log(`Embedded batch ${batch}/${batches} (${done}/${total} chunks)`);
+}
+
+/**
+ * Embed texts batch by batch, keeping going when a batch fails
+ * @param {Array<string>} texts - Texts to embed
+ * @param {EmbeddingOptions} options - Embedding options
+ * @returns {Promise<Array<Object>>} One { embedding, error } result per text, in the same order
+ */
+async function embedInBatches(texts, options = {}) {
+  // Empty texts can't be embedded, so only the others are sent to the model
+  const errors = new Map();
+  const positions = [];
+  texts.forEach((text, index) => {
+    if (text && typeof text === 'string') {
+      positions.push(index);
+    } else {
+      errors.set(index, 'Input must be a non-empty string');
+    }
+  });
+  
+  const embeddings = positions.length === 0 ? [] : await getEmbeddings(positions.map(index => texts[index]), {
+    batchSize: options.batchSize,
+    onProgress: options.onProgress || logProgress,
+    // Retry one by one so a single bad chunk doesn't cost the whole batch
+    onBatchError: async (error, batchTexts, { batch, batches, start }) => {
+      console.error(`Error generating embeddings for batch ${batch}/${batches}: ${error.message}`);
+      const batchEmbeddings = [];
+      for (const [offset, text] of batchTexts.entries()) {
+        try {
+          batchEmbeddings.push(await getEmbedding(text));
+        } catch (chunkError) {
+          console.error(`Error generating embedding for chunk: ${chunkError.message}`);
+          errors.set(positions[start + offset], chunkError.message);
+          batchEmbeddings.push(null);
+        }
+      }
+      return batchEmbeddings;
+    }
+  });
+  
+  const embeddingsByText = new Map(positions.map((position, index) => [position, embeddings[index]]));
+  
+  return texts.map((text, index) => errors.has(index)
+    ? { embedding: null, error: errors.get(index) }
+    : { embedding: embeddingsByText.get(index) });
+}
 
 /**
  * Generate embeddings for an array of text chunks
  * @param {Array<string>} chunks - Array of text chunks
+ * @param {EmbeddingOptions} options - Embedding options
  * @returns {Promise<Array<Object>>} Array of objects with chunk text and embedding
  */
-export async function generateChunkEmbeddings(chunks) {
+export async function generateChunkEmbeddings(chunks, options = {}) {
   if (!chunks || !Array.isArray(chunks)) {
     throw new Error('Invalid chunks input');
   }
   
-  const results = [];
+  const results = await embedInBatches(chunks, options);
   
-  for (const chunk of chunks) {
-    try {
-      const embedding = await getEmbedding(chunk);
-      results.push({
-        text: chunk,
-        embedding
-      });
-    } catch (error) {
-      console.error(`Error generating embedding for chunk: ${error.message}`);
-      // Add the chunk without embedding so we don't lose the text
-      results.push({
-        text: chunk,
-        embedding: null,
-        error: error.message
-      });
-    }
-  }
-  
-  return results;
+  // Chunks without embedding keep their text so we don't lose it
+  return chunks.map((chunk, index) => ({
+    text: chunk,
+    ...results[index]
+  }));
 }
 
 /**
  * Generate embeddings for an array of chunks with metadata
  * @param {Array<Object>} chunks - Array of chunk objects with text and metadata
  * @param {string} textField - Name of the field containing the text to embed
+ * @param {EmbeddingOptions} options - Embedding options
  * @returns {Promise<Array<Object>>} Array of objects with chunk data and embedding
  */
-export async function generateChunkEmbeddingsWithMetadata(chunks, textField = 'text') {
+export async function generateChunkEmbeddingsWithMetadata(chunks, textField = 'text', options = {}) {
   if (!chunks || !Array.isArray(chunks)) {
     throw new Error('Invalid chunks input');
   }
   
-  const results = [];
+  // Chunks missing the text field can't be embedded, but are kept in the output
+  const embeddable = chunks.filter(chunk => chunk[textField]);
+  const results = await embedInBatches(embeddable.map(chunk => chunk[textField]), options);
   
-  for (const chunk of chunks) {
-    try {
-      if (!chunk[textField]) {
-        throw new Error(`Chunk is missing the specified text field: ${textField}`);
-      }
-      
-      const embedding = await getEmbedding(chunk[textField]);
-      
-      // Create a new object with all original properties plus the embedding
-      results.push({
-        ...chunk,
-        embedding
-      });
-    } catch (error) {
-      console.error(`Error generating embedding for chunk: ${error.message}`);
-      // Add the chunk without embedding so we don't lose the data
-      results.push({
-        ...chunk,
-        embedding: null,
-        error: error.message
-      });
-    }
-  }
+  const resultsByChunk = new Map(embeddable.map((chunk, index) => [chunk, results[index]]));
   
-  return results;
+  // Create new objects with all original properties plus the embedding
+  return chunks.map(chunk => ({
+    ...chunk,
+    ...(resultsByChunk.get(chunk) || {
+      embedding: null,
+      error: `Chunk is missing the specified text field: ${textField}`
+    })
+  }));
 }
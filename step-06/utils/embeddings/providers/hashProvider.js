@@ -0,0 +1,69 @@
+/**
+ * Hash-based embedding provider
+ * Deterministic, dependency-free vectors for offline tests
+ */
+
+/**
+ * Hash a string into a 32-bit unsigned integer (FNV-1a)
+ * @param {string} str - String to hash
+ * @returns {number} Hash value
+ */
+function fnv1a(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Split a text into the words that get hashed
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Lowercase words
+ */
+function getWords(text) {
+  return text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * Create an embedding provider that hashes words into a fixed-size vector
+ * Texts sharing words get similar vectors, which is enough to exercise retrieval without a model
+ * @param {Object} config - Embedding configuration
+ * @param {number} config.dimension - Size of the vectors
+ * @returns {Object} Provider with embed(text), embedBatch(texts) and getTokenizer() methods
+ */
+export function createHashProvider(config) {
+  return {
+    name: 'hash',
+    model: config.model,
+    
+    async embed(text) {
+      const vector = new Array(config.dimension).fill(0);
+      const words = getWords(text);
+      
+      // Each word adds +1 or -1 to one dimension picked by its hash
+      for (const word of words) {
+        const hash = fnv1a(word);
+        const index = hash % config.dimension;
+        vector[index] += (hash & 0x80000000) ? -1 : 1;
+      }
+      
+      // Normalize so cosine similarity behaves like with real models
+      const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+      return norm === 0 ? vector : vector.map(value => value / norm);
+    },
+    
+    async embedBatch(texts) {
+      return Promise.all(texts.map(text => this.embed(text)));
+    },
+    
+    // Words are the tokens of this provider
+    async getTokenizer() {
+      return {
+        countTokens: text => getWords(text).length,
+        specialTokens: 0
+      };
+    }
+  };
+}
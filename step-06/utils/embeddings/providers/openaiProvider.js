@@ -0,0 +1,71 @@
+/**
+ * Remote embedding provider
+ * Calls an OpenAI-compatible /embeddings endpoint
+ */
+
+/**
+ * Create an embedding provider backed by an OpenAI-compatible API
+ * @param {Object} config - Embedding configuration
+ * @param {string} config.model - Model name sent to the API
+ * @param {string} config.apiEndpoint - URL of the /embeddings endpoint
+ * @param {string} config.apiKey - API key
+ * @param {number} [config.requestedDimension] - Output dimension to request (for models that support it)
+ * @returns {Object} Provider with embed(text), embedBatch(texts) and getTokenizer() methods
+ */
+export function createOpenAIProvider(config) {
+  if (!config.apiEndpoint) {
+    throw new Error('EMBEDDING_API_ENDPOINT is not set in environment variables');
+  }
+  
+  return {
+    name: 'openai',
+    model: config.model,
+    
+    async embed(text) {
+      const [embedding] = await this.embedBatch([text]);
+      return embedding;
+    },
+    
+    async embedBatch(texts) {
+      // The endpoint accepts an array of inputs and returns one embedding per input
+      const body = {
+        model: config.model,
+        input: texts
+      };
+      
+      // Only models like text-embedding-3 accept a custom dimension
+      if (config.requestedDimension) {
+        body.dimensions = config.requestedDimension;
+      }
+      
+      const response = await fetch(config.apiEndpoint, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${config.apiKey}`
+        },
+        body: JSON.stringify(body)
+      });
+      
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`Embedding API error: ${response.status} ${response.statusText} - ${errorText}`);
+      }
+      
+      const data = await response.json();
+      
+      // Results carry the index of their input, which is the order we return them in
+      return data.data
+        .sort((a, b) => a.index - b.index)
+        .map(item => item.embedding);
+    },
+    
+    // The API tokenizes remotely: estimate with the usual ~4 characters per token of English text
+    async getTokenizer() {
+      return {
+        countTokens: text => Math.ceil(text.length / 4),
+        specialTokens: 0
+      };
+    }
+  };
+}
@@ -0,0 +1,58 @@
+/**
+ * Local embedding provider
+ * Runs a feature-extraction model in-process with transformers.js
+ */
+
+/**
+ * Create an embedding provider backed by a local transformers.js model
+ * @param {Object} config - Embedding configuration
+ * @param {string} config.model - Hugging Face model name (e.g. 'Xenova/all-MiniLM-L6-v2')
+ * @returns {Object} Provider with embed(text), embedBatch(texts) and getTokenizer() methods
+ */
+export function createTransformersProvider(config) {
+  let extractor = null;
+  
+  // Load the model on first use
+  async function getExtractor() {
+    if (extractor === null) {
+      console.log(`Loading embedding model ${config.model}...`);
+      const { pipeline } = await import('@xenova/transformers');
+      extractor = await pipeline('feature-extraction', config.model);
+      console.log('Embedding model loaded successfully');
+    }
+    return extractor;
+  }
+  
+  return {
+    name: 'transformers',
+    model: config.model,
+    
+    async embed(text) {
+      const [embedding] = await this.embedBatch([text]);
+      return embedding;
+    },
+    
+    async embedBatch(texts) {
+      const model = await getExtractor();
+      
+      // The pipeline pads the batch and returns a single [texts.length, dimension] tensor
+      const result = await model(texts, { pooling: 'mean', normalize: true });
+      const dimension = result.dims[result.dims.length - 1];
+      
+      // Split it back into one regular array per text
+      return texts.map((text, index) =>
+        Array.from(result.data.subarray(index * dimension, (index + 1) * dimension))
+      );
+    },
+    
+    async getTokenizer() {
+      const { tokenizer } = await getExtractor();
+      
+      return {
+        countTokens: text => tokenizer.encode(text, null, { add_special_tokens: false }).length,
+        // Tokens the model adds around every text, e.g. [CLS] and [SEP]
+        specialTokens: tokenizer.encode('').length
+      };
+    }
+  };
+}
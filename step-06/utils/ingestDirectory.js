@@ -0,0 +1,108 @@
+/**
+ * Ingest a directory from the command line
+ * 
+ * Crawls a directory, then chunks, embeds and stores every supported file.
+ * Unchanged files are skipped, so the command can be run again after editing documents.
+ * 
+ * Usage:
+ *   npm run ingest -- <directory> [--include <glob>]... [--exclude <glob>]...
+ *     [--strategy <name>] [--chunk-size <n>] [--chunk-overlap <n>] [--cleaning <steps>|none]
+ *     [--force] [--prune] [--dry-run]
+ * 
+ * --cleaning takes a comma-separated list of steps, e.g. normalizeUnicode,collapseWhitespace
+ */
+
+import { parseArgs } from 'util';
+import { ingestDirectory } from './directoryIngestor.js';
+import { closeDatabase } from './database.js';
+import { CLEANING_STEPS } from './textCleaner.js';
+
+/**
+ * Parse the command line arguments
+ * @returns {Object} Directory and ingestDirectory() options
+ */
+function parseCommandLine() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      include: { type: 'string', multiple: true },
+      exclude: { type: 'string', multiple: true },
+      strategy: { type: 'string', default: 'character' },
+      'chunk-size': { type: 'string' },
+      'chunk-overlap': { type: 'string' },
+      cleaning: { type: 'string' },
+      force: { type: 'boolean', default: false },
+      prune: { type: 'boolean', default: false },
+      'dry-run': { type: 'boolean', default: false }
+    }
+  });
+  
+  if (positionals.length !== 1) {
+    throw new Error('Usage: npm run ingest -- <directory> [--include <glob>] [--exclude <glob>] [--strategy <name>] [--force] [--prune] [--dry-run]');
+  }
+  
+  const chunkOptions = { strategy: values.strategy };
+  if (values['chunk-size']) {
+    chunkOptions.chunkSize = parseInt(values['chunk-size']);
+  }
+  if (values['chunk-overlap']) {
+    chunkOptions.chunkOverlap = parseInt(values['chunk-overlap']);
+  }
+  
+  // Without --cleaning every step is applied
+  let cleaning;
+  if (values.cleaning) {
+    cleaning = values.cleaning === 'none' ? [] : values.cleaning.split(',').map(step => step.trim());
+    const unknown = cleaning.filter(step => !CLEANING_STEPS.includes(step));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown cleaning step: ${unknown.join(', ')} (expected one of: ${CLEANING_STEPS.join(', ')}, or none)`);
+    }
+  }
+  
+  return {
+    directory: positionals[0],
+    options: {
+      include: values.include,
+      exclude: values.exclude,
+      chunkOptions,
+      cleaning,
+      force: values.force,
+      prune: values.prune,
+      dryRun: values['dry-run']
+    }
+  };
+}
+
+/**
+ * Main function: ingest the directory and print a summary
+ */
+async function main() {
+  const { directory, options } = parseCommandLine();
+  
+  console.log(`Ingesting ${directory}...`);
+  const { files, results, counts } = await ingestDirectory(directory, options);
+  
+  if (options.dryRun) {
+    files.forEach(file => console.log(`  ${file}`));
+    console.log(`${files.length} files would be ingested`);
+    return;
+  }
+  
+  for (const result of results) {
+    const details = result.status === 'failed' ? result.error : `${result.chunkCount} chunks`;
+    console.log(`  ${result.status.padEnd(9)} ${result.source} (${details})`);
+  }
+  
+  console.log(`${counts.added} added, ${counts.updated} updated, ${counts.unchanged} unchanged, ${counts.removed} removed, ${counts.failed} failed`);
+}
+
+// Run the script
+main()
+  .catch(error => {
+    console.error('Error ingesting directory:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => {
+    // Close database connection
+    closeDatabase();
+  });
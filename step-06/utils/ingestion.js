@@ -0,0 +1,114 @@
+/**
+ * Incremental document ingestion
+ * Chunks, embeds and stores documents, skipping the ones that haven't changed
+ */
+
+import fs from 'fs';
+import { processDocument, cleanDocument } from './documentProcessor.js';
+import { getCleaningSteps } from './textCleaner.js';
+import { chunkDocument } from './documentChunker.js';
+import {
+  getIngestStatus,
+  storeDocumentWithChunks,
+  getAllDocuments,
+  deleteDocument
+} from './vectorStorage.js';
+
+/**
+ * Ingest a processed document: clean, chunk, embed and store it unless it is unchanged
+ * Changing the content, the embedding model, or the chunking or cleaning options re-ingests it
+ * @param {Object} loadedDocument - Document object with text and metadata
+ * @param {Object} options - Ingestion options
+ * @param {Object} [options.chunkOptions] - Options for chunkDocument() (default: character strategy)
+ * @param {Array<string>} [options.cleaning] - Cleaning steps for cleanDocument() (default: all of them)
+ * @param {boolean} [options.force] - Re-ingest even if nothing has changed
+ * @returns {Promise<Object>} Source, status ('added', 'updated' or 'unchanged'), document ID and chunk count
+ */
+export async function ingestDocument(loadedDocument, options = {}) {
+  const settings = {
+    chunkOptions: options.chunkOptions || { strategy: 'character' },
+    cleaning: getCleaningSteps(options.cleaning)
+  };
+  const document = cleanDocument(loadedDocument, settings.cleaning);
+  const source = document.source || document.metadata?.source || '';
+  const { status, documentId } = getIngestStatus(document, settings);
+  
+  // Nothing changed: no need to chunk or embed again
+  if (status === 'unchanged' && !options.force) {
+    return { source, status, documentId, chunkCount: 0 };
+  }
+  
+  const chunks = await chunkDocument(document, settings.chunkOptions);
+  const result = storeDocumentWithChunks(document, chunks, settings);
+  
+  return {
+    source,
+    status: result.status,
+    documentId: result.documentId,
+    chunkCount: chunks.length
+  };
+}
+
+/**
+ * Remove the stored documents of files that no longer exist on disk
+ * Only the given paths are considered, so documents from other ingestions are left alone
+ * @param {Array<string>} filePaths - Paths of the files to check
+ * @returns {number} Number of documents removed
+ */
+export function pruneMissingFiles(filePaths) {
+  const deletedPaths = new Set(filePaths.filter(filePath => !fs.existsSync(filePath)));
+  const missing = getAllDocuments().filter(doc => deletedPaths.has(doc.source));
+  
+  missing.forEach(doc => deleteDocument(doc.id));
+  
+  return missing.length;
+}
+
+/**
+ * Count ingestion results by status
+ * @param {Array<Object>} results - Results from ingestDocument() (failed ones have an error)
+ * @param {number} removed - Number of documents pruned
+ * @returns {Object} Counts of added, updated, unchanged, removed and failed documents
+ */
+export function summarizeIngestion(results, removed = 0) {
+  const count = status => results.filter(result => result.status === status).length;
+  
+  return {
+    added: count('added'),
+    updated: count('updated'),
+    unchanged: count('unchanged'),
+    removed,
+    failed: count('failed')
+  };
+}
+
+/**
+ * Ingest files from the local file system
+ * @param {Array<string>} filePaths - Paths of the files to ingest
+ * @param {Object} options - Same options as ingestDocument(), plus:
+ * @param {boolean} [options.prune] - Remove the stored documents of the paths whose files were deleted,
+ *   instead of reporting those paths as failed
+ * @param {Object} [options.recordTemplate] - Record template for CSV, JSON and JSONL files
+ * @returns {Promise<Object>} Per-file results and counts by status
+ */
+export async function ingestFiles(filePaths, options = {}) {
+  const results = [];
+  const existingPaths = options.prune ? filePaths.filter(filePath => fs.existsSync(filePath)) : filePaths;
+  
+  for (const filePath of existingPaths) {
+    try {
+      const document = await processDocument(filePath, { recordTemplate: options.recordTemplate });
+      results.push(await ingestDocument(document, options));
+    } catch (error) {
+      console.error(`Error ingesting ${filePath}:`, error);
+      results.push({ source: filePath, status: 'failed', error: error.message });
+    }
+  }
+  
+  const removed = options.prune ? pruneMissingFiles(filePaths) : 0;
+  
+  return {
+    results,
+    counts: summarizeIngestion(results, removed)
+  };
+}
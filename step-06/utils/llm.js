@@ -123,6 +123,32 @@ async function generateResponse(prompt, context = null, maxTokens = 1024) {
   }
 }
 
+/**
+ * Build the chat completion request body sent to the LLM
+ * @param {string} prompt - The prompt to send to the LLM
+ * @param {Object} options - Additional options for the LLM (model, systemPrompt, history, temperature, maxTokens)
+ * @returns {Object} Request body for the chat completions endpoint
+ */
+function buildChatRequest(prompt, options = {}) {
+  return {
+    model: options.model || LLM_MODEL,
+    messages: [
+      {
+        role: 'system',
+        content: options.systemPrompt || 'You are a helpful assistant that answers questions based on the provided context.'
+      },
+      // Earlier conversation turns, as { role, content } messages
+      ...(options.history || []),
+      {
+        role: 'user',
+        content: prompt
+      }
+    ],
+    temperature: options.temperature || 0.7,
+    max_tokens: options.maxTokens || 500
+  };
+}
+
 /**
  * Generate a response from the LLM
  * @param {string} prompt - The prompt to send to the LLM
@@ -141,21 +167,7 @@ async function generateLlmResponse(prompt, options = {}) {
         'Content-Type': 'application/json',
         'Authorization': `Bearer ${LLM_API_KEY}`
       },
-      body: JSON.stringify({
-        model: options.model || LLM_MODEL,
-        messages: [
-          {
-            role: 'system',
-            content: options.systemPrompt || 'You are a helpful assistant that answers questions based on the provided context.'
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        temperature: options.temperature || 0.7,
-        max_tokens: options.maxTokens || 500
-      })
+      body: JSON.stringify(buildChatRequest(prompt, options))
     });
 
     if (!response.ok) {
@@ -171,4 +183,75 @@ async function generateLlmResponse(prompt, options = {}) {
   }
 }
 
-export { testLlmConnection, generateResponse, generateLlmResponse };
+/**
+ * Stream a response from the LLM using the OpenAI-compatible `stream: true` protocol
+ * @param {string} prompt - The prompt to send to the LLM
+ * @param {Object} options - Additional options for the LLM
+ * @param {AbortSignal} [options.signal] - Aborts the request and the stream
+ * @yields {Object} `{ type: 'delta', content }` for each token delta, then `{ type: 'done', usage }`
+ */
+async function* streamLlmResponse(prompt, options = {}) {
+  if (!LLM_API_KEY) {
+    throw new Error('LLM_API_KEY is not set in environment variables');
+  }
+
+  const response = await fetch(LLM_API_ENDPOINT, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${LLM_API_KEY}`
+    },
+    body: JSON.stringify({
+      ...buildChatRequest(prompt, options),
+      stream: true,
+      // Ask for a final usage chunk (ignored by servers that don't support it)
+      stream_options: { include_usage: true }
+    }),
+    signal: options.signal
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`LLM API error: ${response.status} ${response.statusText} - ${errorText}`);
+  }
+
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let usage = null;
+
+  // The body is a stream of server-sent events: `data: {...}` lines ending with `data: [DONE]`
+  for await (const bytes of response.body) {
+    buffer += decoder.decode(bytes, { stream: true });
+
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      const trimmed = line.trim();
+      if (!trimmed.startsWith('data:')) {
+        continue;
+      }
+
+      const payload = trimmed.slice('data:'.length).trim();
+      if (payload === '[DONE]') {
+        yield { type: 'done', usage };
+        return;
+      }
+
+      const data = JSON.parse(payload);
+      if (data.usage) {
+        usage = data.usage;
+      }
+
+      const content = data.choices?.[0]?.delta?.content;
+      if (content) {
+        yield { type: 'delta', content };
+      }
+    }
+  }
+
+  // Some servers close the stream without sending [DONE]
+  yield { type: 'done', usage };
+}
+
+export { testLlmConnection, generateResponse, generateLlmResponse, streamLlmResponse };
@@ -12,8 +12,9 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
-import { getEmbedding } from './embeddings.js';
-import { getDatabase, closeDatabase } from './database.js';
+import { generateChunkEmbeddingsWithMetadata } from './embeddings/chunkEmbeddings.js';
+import { closeDatabase } from './database.js';
+import { getIngestStatus, storeDocumentWithChunks, removeMissingDocuments } from './vectorStorage.js';
 
 // Get current directory
 const __filename = fileURLToPath(import.meta.url);
@@ -22,8 +23,10 @@ const __dirname = dirname(__filename);
 // Path to RAGmonsters dataset
 const RAGMONSTERS_DIR = path.join(__dirname, '../data/ragmonsters');
 
-// Get database connection
-const db = getDatabase();
+// How monster files are chunked, recorded in their ingestion fingerprint
+const RAGMONSTERS_INGEST_SETTINGS = {
+  chunkOptions: { strategy: 'heading', parent: { strategy: 'document' } }
+};
 
 /**
  * Load RAGmonsters data from markdown files
@@ -73,6 +76,7 @@ async function loadRagmonstersData(dirPath) {
 
 /**
  * Chunk a monster document into sections based on markdown headers
+ * Every section links to the full monster file as its parent, for small-to-big retrieval
  * @param {Object} document - The monster document
  * @returns {Array<Object>} Array of chunks
  */
@@ -84,13 +88,19 @@ function chunkRagmonstersDocument(document) {
   const intro = sections[0].replace(/^#\s+.*$/m, '').trim();
   
   const chunks = [];
+  const parent = {
+    index: 0,
+    text: document.content.trim(),
+    metadata: { chunkStrategy: 'document' }
+  };
   
   // Add introduction as a chunk
   chunks.push({
     documentId: document.filename,
     title: document.title,
     source: document.source,
-    text: `# ${document.title}\n\n${intro}`
+    text: `# ${document.title}\n\n${intro}`,
+    parent
   });
   
   // Process each section
@@ -104,7 +114,8 @@ function chunkRagmonstersDocument(document) {
       documentId: document.filename,
       title: document.title,
       source: document.source,
-      text: `## ${sectionTitle}\n\n${sectionContent}`
+      text: `## ${sectionTitle}\n\n${sectionContent}`,
+      parent
     });
   }
   
@@ -114,54 +125,65 @@ function chunkRagmonstersDocument(document) {
 /**
  * Generate embeddings for chunks
  * @param {Array<Object>} chunks - The chunks to embed
- * @returns {Promise<Array<Object>>} Chunks with embeddings
+ * @returns {Promise<Array<Object>>} Chunks with embeddings (null for the chunks whose embedding failed)
  */
 async function generateEmbeddingsForChunks(chunks) {
   console.log(`Generating embeddings for ${chunks.length} chunks...`);
   
-  const chunksWithEmbeddings = [];
+  // Chunks are sent to the model in batches, with progress logged after each batch
+  const results = await generateChunkEmbeddingsWithMetadata(chunks);
   
-  for (const chunk of chunks) {
-    try {
-      const embedding = await getEmbedding(chunk.text);
-      chunksWithEmbeddings.push({
-        ...chunk,
-        embedding
-      });
-    } catch (error) {
-      console.error(`Error generating embedding for chunk:`, error);
-    }
+  // Failed chunks are kept: their monster is then stored without a fingerprint and retried on the next run
+  const failed = results.filter(chunk => chunk.embedding === null).length;
+  if (failed > 0) {
+    console.warn(`${failed} chunks could not be embedded, their monsters will be retried on the next run`);
   }
   
-  return chunksWithEmbeddings;
+  return results;
+}
+
+/**
+ * Turn a monster file into a document for the vector store
+ * @param {Object} monster - The monster document from loadRagmonstersData()
+ * @returns {Object} Document object with text and metadata
+ */
+function toStoredDocument(monster) {
+  return {
+    text: monster.content,
+    source: monster.source,
+    metadata: {
+      source: monster.source,
+      filename: monster.filename,
+      title: monster.title,
+      filetype: 'markdown'
+    }
+  };
 }
 
 /**
  * Store RAGmonsters in the database
+ * Monsters that are already stored get their chunks replaced
  * @param {Array<Object>} documents - The monster documents
  * @param {Array<Object>} chunksWithEmbeddings - The chunks with embeddings
+ * @returns {Array<Object>} Store results with document ID and status ('added' or 'updated')
  */
 async function storeRagmonstersInDb(documents, chunksWithEmbeddings) {
   console.log(`Storing ${documents.length} RAGmonsters documents with ${chunksWithEmbeddings.length} chunks`);
   
   try {
-    // Store documents
+    const results = [];
+    
     for (const doc of documents) {
-      const docId = db.prepare(`
-        INSERT INTO documents (title, source, filetype)
-        VALUES (?, ?, ?)
-      `).run(doc.title, doc.source, 'markdown').lastInsertRowid;
+      const chunks = chunksWithEmbeddings
+        .filter(c => c.documentId === doc.filename)
+        .map(chunk => ({ ...chunk, metadata: { chunkStrategy: 'heading' } }));
       
-      // Store chunks with their embeddings
-      for (const chunk of chunksWithEmbeddings.filter(c => c.documentId === doc.filename)) {
-        db.prepare(`
-          INSERT INTO chunks (document_id, text, embedding)
-          VALUES (?, ?, ?)
-        `).run(docId, chunk.text, Buffer.from(new Float32Array(chunk.embedding).buffer));
-      }
+      // Each monster is stored in its own transaction
+      results.push(storeDocumentWithChunks(toStoredDocument(doc), chunks, RAGMONSTERS_INGEST_SETTINGS));
     }
     
     console.log(`Stored ${documents.length} RAGmonsters documents with ${chunksWithEmbeddings.length} chunks`);
+    return results;
   } catch (error) {
     console.error('Error storing RAGmonsters in database:', error);
     throw error;
@@ -170,6 +192,7 @@ async function storeRagmonstersInDb(documents, chunksWithEmbeddings) {
 
 /**
  * Main function to load and process RAGmonsters
+ * Only new and changed monster files are chunked and embedded, and deleted files are pruned
  */
 async function loadAndProcessRagmonsters() {
   console.log('Starting RAGmonsters data processing...');
@@ -178,27 +201,42 @@ async function loadAndProcessRagmonsters() {
     // 1. Load monster documents
     const monsters = await loadRagmonstersData(RAGMONSTERS_DIR);
     
+    // A missing or empty directory is more likely a setup problem than deleted monsters,
+    // so stored monsters aren't pruned in that case
     if (monsters.length === 0) {
-      console.error('No monsters loaded. Exiting.');
+      console.error('No monsters loaded, skipping the prune step so stored monsters are kept. Exiting.');
       return;
     }
     
-    // 2. Chunk documents
-    console.log('Chunking monster documents...');
+    // 2. Compare ingestion fingerprints with what is already stored
+    const changedMonsters = monsters.filter(monster =>
+      getIngestStatus(toStoredDocument(monster), RAGMONSTERS_INGEST_SETTINGS).status !== 'unchanged'
+    );
+    const unchanged = monsters.length - changedMonsters.length;
+    
+    // 3. Chunk changed documents
+    console.log(`Chunking ${changedMonsters.length} new or changed monster documents...`);
     let allChunks = [];
     
-    for (const monster of monsters) {
+    for (const monster of changedMonsters) {
       const chunks = chunkRagmonstersDocument(monster);
       allChunks = allChunks.concat(chunks);
     }
     
     console.log(`Created ${allChunks.length} chunks`);
     
-    // 3. Generate embeddings
+    // 4. Generate embeddings
     const chunksWithEmbeddings = await generateEmbeddingsForChunks(allChunks);
     
-    // 4. Store in database
-    await storeRagmonstersInDb(monsters, chunksWithEmbeddings);
+    // 5. Store in database
+    const results = await storeRagmonstersInDb(changedMonsters, chunksWithEmbeddings);
+    
+    // 6. Remove monsters whose files were deleted
+    const removed = removeMissingDocuments(monsters.map(monster => monster.source), 'RAGmonsters/');
+    
+    const added = results.filter(result => result.status === 'added').length;
+    const updated = results.filter(result => result.status === 'updated').length;
+    console.log(`RAGmonsters: ${added} added, ${updated} updated, ${unchanged} unchanged, ${removed} removed`);
     
     console.log('RAGmonsters data processing complete!');
   } catch (error) {
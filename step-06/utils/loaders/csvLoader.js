@@ -0,0 +1,56 @@
+/**
+ * CSV document loader
+ * Loads CSV files as a set of records, one per row
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parse } from 'csv-parse/sync';
+import { buildRecords } from './recordTemplate.js';
+
+/**
+ * Load a CSV file and return its rows as records
+ * The first line holds the column names
+ * @param {string} filePath - Path to the CSV file
+ * @param {Object} [template] - RecordTemplate describing which columns are text, metadata and ID
+ * @returns {Promise<Object>} Document object with text, metadata and records
+ */
+export async function loadCsvFile(filePath, template = {}) {
+  try {
+    // Read the file
+    const content = await fs.promises.readFile(filePath, 'utf8');
+    
+    // Parse rows into objects keyed by column name
+    const rows = parse(content, {
+      columns: true,
+      bom: true,
+      skip_empty_lines: true,
+      trim: true,
+      relax_column_count: true
+    });
+    const records = buildRecords(rows, template);
+    
+    // Extract metadata
+    const stats = await fs.promises.stat(filePath);
+    const fileName = path.basename(filePath);
+    
+    // Create document object
+    return {
+      text: records.map(record => record.text).join('\n\n'),
+      records,
+      metadata: {
+        source: filePath,
+        filename: fileName,
+        filetype: 'csv',
+        title: fileName,
+        fields: rows.length > 0 ? Object.keys(rows[0]) : [],
+        recordCount: records.length,
+        created: stats.birthtime,
+        modified: stats.mtime,
+        size: stats.size
+      }
+    };
+  } catch (error) {
+    throw new Error(`Error loading CSV file: ${error.message}`);
+  }
+}
@@ -0,0 +1,37 @@
+/**
+ * Document structure helpers
+ * Shared by the loaders of structured formats (DOCX, ODT, EPUB) to expose their sections
+ */
+
+import * as cheerio from 'cheerio';
+
+/**
+ * Parse an XML document
+ * @param {string} xml - XML source
+ * @returns {Object} Cheerio instance in XML mode
+ */
+export function loadXml(xml) {
+  return cheerio.load(xml, { xml: true });
+}
+
+/**
+ * Format a section heading as a markdown heading, so splitByHeadings() can split the document
+ * @param {number} level - Heading level (1-6)
+ * @param {string} title - Heading text
+ * @returns {string} Markdown heading line
+ */
+export function toMarkdownHeading(level, title) {
+  return `${'#'.repeat(Math.min(Math.max(level, 1), 6))} ${title.replace(/\s+/g, ' ').trim()}`;
+}
+
+/**
+ * List the sections of a text that uses markdown headings
+ * @param {string} text - Document text
+ * @returns {Array<Object>} Sections with title and level, in document order
+ */
+export function extractSections(text) {
+  return [...text.matchAll(/^(#{1,6})\s+(.+)$/gm)].map(match => ({
+    title: match[2].trim(),
+    level: match[1].length
+  }));
+}
@@ -0,0 +1,148 @@
+/**
+ * DOCX document loader
+ * Loads Word documents, turning heading styles into markdown headings
+ */
+
+import fs from 'fs';
+import path from 'path';
+import JSZip from 'jszip';
+import { loadXml, toMarkdownHeading, extractSections } from './documentStructure.js';
+
+/**
+ * Map paragraph style IDs to heading levels
+ * Style IDs are localized ("Heading1", "Überschrift1"...), so the level comes from the style name or outline level
+ * @param {string} stylesXml - Content of word/styles.xml
+ * @returns {Map<string, number>} Heading level by style ID
+ */
+function getHeadingStyles(stylesXml) {
+  const headingStyles = new Map();
+  
+  if (!stylesXml) {
+    return headingStyles;
+  }
+  
+  const $ = loadXml(stylesXml);
+  $('w\\:style[w\\:type="paragraph"]').each((index, style) => {
+    const styleId = $(style).attr('w:styleId');
+    const name = ($(style).children('w\\:name').attr('w:val') || '').toLowerCase();
+    const outlineLevel = $(style).find('w\\:pPr > w\\:outlineLvl').attr('w:val');
+    
+    const headingMatch = name.match(/^heading (\d)$/);
+    if (name === 'title') {
+      headingStyles.set(styleId, 1);
+    } else if (headingMatch) {
+      headingStyles.set(styleId, parseInt(headingMatch[1]));
+    } else if (outlineLevel !== undefined && parseInt(outlineLevel) < 9) {
+      headingStyles.set(styleId, parseInt(outlineLevel) + 1);
+    }
+  });
+  
+  return headingStyles;
+}
+
+/**
+ * Get the text of a paragraph or table cell
+ * @param {Object} node - DOM node
+ * @returns {string} Text content
+ */
+function getText(node) {
+  switch (node.name) {
+    case 'w:t':
+      return (node.children || []).map(child => child.data || '').join('');
+    case 'w:tab':
+      return '\t';
+    case 'w:br':
+    case 'w:cr':
+      return '\n';
+    default:
+      return (node.children || []).map(getText).join('');
+  }
+}
+
+/**
+ * Convert the body of a Word document to text
+ * @param {Object} $ - Cheerio instance of word/document.xml
+ * @param {Map<string, number>} headingStyles - Heading level by style ID
+ * @returns {string} Text with markdown headings, list items and table rows
+ */
+function convertBody($, headingStyles) {
+  const blocks = [];
+  
+  $('w\\:body').children().each((index, element) => {
+    if (element.name === 'w:p') {
+      const text = getText(element).trim();
+      if (!text) {
+        return;
+      }
+      
+      const properties = $(element).children('w\\:pPr');
+      const level = headingStyles.get(properties.children('w\\:pStyle').attr('w:val'))
+        ?? (properties.children('w\\:outlineLvl').length ? parseInt(properties.children('w\\:outlineLvl').attr('w:val')) + 1 : null);
+      
+      if (level && level <= 6) {
+        blocks.push(toMarkdownHeading(level, text));
+      } else if (properties.children('w\\:numPr').length) {
+        blocks.push(`- ${text}`);
+      } else {
+        blocks.push(text);
+      }
+    } else if (element.name === 'w:tbl') {
+      const rows = $(element).children('w\\:tr').toArray().map(row =>
+        $(row).children('w\\:tc').toArray().map(cell => getText(cell).replace(/\s+/g, ' ').trim()).join(' | ')
+      );
+      blocks.push(rows.join('\n'));
+    }
+  });
+  
+  // Keep consecutive list items together
+  return blocks.reduce((text, block, index) => {
+    const separator = block.startsWith('- ') && blocks[index - 1]?.startsWith('- ') ? '\n' : '\n\n';
+    return index === 0 ? block : text + separator + block;
+  }, '');
+}
+
+/**
+ * Load a DOCX file and return its contents with metadata
+ * @param {string} filePath - Path to the DOCX file
+ * @returns {Promise<Object>} Document object with text and metadata
+ */
+export async function loadDocxFile(filePath) {
+  try {
+    // Read the file (a DOCX file is a zip archive of XML parts)
+    const dataBuffer = await fs.promises.readFile(filePath);
+    const zip = await JSZip.loadAsync(dataBuffer);
+    
+    const documentXml = await zip.file('word/document.xml')?.async('string');
+    if (!documentXml) {
+      throw new Error('word/document.xml not found');
+    }
+    
+    // Convert the body
+    const headingStyles = getHeadingStyles(await zip.file('word/styles.xml')?.async('string'));
+    const text = convertBody(loadXml(documentXml), headingStyles);
+    
+    // Extract metadata
+    const coreXml = await zip.file('docProps/core.xml')?.async('string');
+    const core = coreXml ? loadXml(coreXml) : null;
+    const stats = await fs.promises.stat(filePath);
+    const fileName = path.basename(filePath);
+    
+    // Create document object
+    return {
+      text,
+      metadata: {
+        source: filePath,
+        filename: fileName,
+        filetype: 'docx',
+        title: core?.('dc\\:title').text().trim() || fileName,
+        author: core?.('dc\\:creator').text().trim() || 'Unknown',
+        sections: extractSections(text),
+        created: stats.birthtime,
+        modified: stats.mtime,
+        size: stats.size
+      }
+    };
+  } catch (error) {
+    throw new Error(`Error loading DOCX file: ${error.message}`);
+  }
+}
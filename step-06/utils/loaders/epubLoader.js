@@ -0,0 +1,143 @@
+/**
+ * EPUB document loader
+ * Loads ebooks chapter by chapter, in reading order
+ */
+
+import fs from 'fs';
+import path from 'path';
+import JSZip from 'jszip';
+import { parseHtml } from './htmlLoader.js';
+import { loadXml, toMarkdownHeading, extractSections } from './documentStructure.js';
+
+/**
+ * Read a file of the archive as a string
+ * @param {Object} zip - JSZip archive
+ * @param {string} name - Path of the file in the archive
+ * @returns {Promise<string|null>} File content, or null if it doesn't exist
+ */
+async function readEntry(zip, name) {
+  const entry = zip.file(name);
+  return entry ? entry.async('string') : null;
+}
+
+/**
+ * Resolve a link of the package against the directory of the file that contains it
+ * @param {string} baseDir - Directory of the referencing file in the archive
+ * @param {string} href - Relative link, possibly URL-encoded and with a fragment
+ * @returns {string} Path in the archive
+ */
+function resolveHref(baseDir, href) {
+  return path.posix.join(baseDir, decodeURIComponent(href.split('#')[0]));
+}
+
+/**
+ * Read the table of contents, so chapters without a heading can still be named
+ * Supports EPUB 3 navigation documents and EPUB 2 NCX files
+ * @param {Object} zip - JSZip archive
+ * @param {Object} opf - Cheerio instance of the package document
+ * @param {string} opfDir - Directory of the package document
+ * @returns {Promise<Map<string, string>>} Chapter title by archive path
+ */
+async function readTableOfContents(zip, opf, opfDir) {
+  const titles = new Map();
+  
+  const navHref = opf('manifest > item[properties~="nav"]').attr('href');
+  const ncxHref = opf('manifest > item[media-type="application/x-dtbncx+xml"]').attr('href');
+  
+  if (navHref) {
+    const navPath = resolveHref(opfDir, navHref);
+    const nav = loadXml(await readEntry(zip, navPath) || '');
+    nav('nav a[href]').each((index, link) => {
+      const target = resolveHref(path.posix.dirname(navPath), nav(link).attr('href'));
+      if (!titles.has(target)) {
+        titles.set(target, nav(link).text().replace(/\s+/g, ' ').trim());
+      }
+    });
+  } else if (ncxHref) {
+    const ncxPath = resolveHref(opfDir, ncxHref);
+    const ncx = loadXml(await readEntry(zip, ncxPath) || '');
+    ncx('navPoint').each((index, point) => {
+      const target = resolveHref(path.posix.dirname(ncxPath), ncx(point).children('content').attr('src') || '');
+      if (!titles.has(target)) {
+        titles.set(target, ncx(point).children('navLabel').text().replace(/\s+/g, ' ').trim());
+      }
+    });
+  }
+  
+  return titles;
+}
+
+/**
+ * Load an EPUB file and return its contents with metadata
+ * @param {string} filePath - Path to the EPUB file
+ * @returns {Promise<Object>} Document object with text and metadata
+ */
+export async function loadEpubFile(filePath) {
+  try {
+    // Read the file (an EPUB file is a zip archive of XHTML chapters)
+    const dataBuffer = await fs.promises.readFile(filePath);
+    const zip = await JSZip.loadAsync(dataBuffer);
+    
+    // The container points to the package document, which lists the chapters
+    const container = loadXml(await readEntry(zip, 'META-INF/container.xml') || '');
+    const opfPath = container('rootfile').attr('full-path');
+    const opfXml = opfPath ? await readEntry(zip, opfPath) : null;
+    if (!opfXml) {
+      throw new Error('package document not found');
+    }
+    
+    const opf = loadXml(opfXml);
+    const opfDir = path.posix.dirname(opfPath);
+    const tableOfContents = await readTableOfContents(zip, opf, opfDir);
+    
+    // Convert the chapters in reading order
+    const chapters = [];
+    for (const itemref of opf('spine > itemref').toArray()) {
+      // Compared as a string: IDs may contain characters with a meaning in selectors
+      const idref = opf(itemref).attr('idref');
+      const item = opf('manifest > item').filter((index, element) => opf(element).attr('id') === idref);
+      if (!/x?html/.test(item.attr('media-type') || '')) {
+        continue;
+      }
+      
+      const chapterPath = resolveHref(opfDir, item.attr('href'));
+      const html = await readEntry(zip, chapterPath);
+      const chapterText = html ? parseHtml(html).text : '';
+      if (!chapterText) {
+        continue;
+      }
+      
+      // Give each chapter a heading so the heading chunker splits the book by chapter
+      const tocTitle = tableOfContents.get(chapterPath);
+      chapters.push(!/^#{1,6}\s/.test(chapterText) && tocTitle
+        ? `${toMarkdownHeading(1, tocTitle)}\n\n${chapterText}`
+        : chapterText);
+    }
+    
+    const text = chapters.join('\n\n');
+    
+    // Extract metadata
+    const stats = await fs.promises.stat(filePath);
+    const fileName = path.basename(filePath);
+    
+    // Create document object
+    return {
+      text,
+      metadata: {
+        source: filePath,
+        filename: fileName,
+        filetype: 'epub',
+        title: opf('metadata > dc\\:title').first().text().trim() || fileName,
+        author: opf('metadata > dc\\:creator').toArray().map(creator => opf(creator).text().trim()).join(', ') || 'Unknown',
+        language: opf('metadata > dc\\:language').first().text().trim() || null,
+        chapters: chapters.length,
+        sections: extractSections(text),
+        created: stats.birthtime,
+        modified: stats.mtime,
+        size: stats.size
+      }
+    };
+  } catch (error) {
+    throw new Error(`Error loading EPUB file: ${error.message}`);
+  }
+}
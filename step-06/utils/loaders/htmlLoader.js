@@ -0,0 +1,210 @@
+/**
+ * HTML document loader
+ * Loads HTML files and converts them to text, keeping the heading structure
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import * as cheerio from 'cheerio';
+
+// Elements that never contain document content
+const BOILERPLATE_SELECTORS = [
+  'script', 'style', 'noscript', 'template', 'svg', 'canvas', 'iframe', 'object', 'embed',
+  'nav', 'aside', 'footer', 'form', 'button',
+  '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]', '[role="complementary"]',
+  '[aria-hidden="true"]', '[hidden]'
+];
+
+// Elements rendered as separate paragraphs
+const BLOCK_ELEMENTS = new Set([
+  'address', 'article', 'blockquote', 'body', 'caption', 'dd', 'details', 'div', 'dl', 'dt',
+  'fieldset', 'figcaption', 'figure', 'header', 'hr', 'main', 'ol', 'p', 'section', 'summary', 'table', 'ul'
+]);
+
+/**
+ * Get the text of an element with its whitespace collapsed
+ * @param {Object} $ - Cheerio instance
+ * @param {Object} node - DOM node
+ * @returns {string} Inline text
+ */
+function inlineText($, node) {
+  return $(node).text().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Convert a DOM node to text
+ * Headings become markdown headings so splitByHeadings() can split HTML documents too
+ * @param {Object} $ - Cheerio instance
+ * @param {Object} node - DOM node
+ * @param {Array<string>} preformatted - Collects <pre> contents, which must keep their whitespace
+ * @returns {string} Text with paragraph breaks
+ */
+function renderNode($, node, preformatted) {
+  if (node.type === 'text') {
+    return node.data.replace(/\s+/g, ' ');
+  }
+  
+  if (node.type !== 'tag') {
+    return '';
+  }
+  
+  const renderChildren = () => (node.children || []).map(child => renderNode($, child, preformatted)).join('');
+  const name = node.name.toLowerCase();
+  
+  const heading = name.match(/^h([1-6])$/);
+  if (heading) {
+    return `\n\n${'#'.repeat(parseInt(heading[1]))} ${inlineText($, node)}\n\n`;
+  }
+  
+  switch (name) {
+    case 'br':
+      return '\n';
+    case 'li':
+      return `\n- ${renderChildren().trim()}`;
+    case 'tr':
+      return `\n${$(node).children('td, th').toArray().map(cell => inlineText($, cell)).join(' | ')}`;
+    case 'pre':
+      // Replaced by a placeholder until the whitespace of the rest of the text is normalized
+      preformatted.push('```\n' + $(node).text().replace(/^\n|\n$/g, '') + '\n```');
+      return `\n\n\u0000${preformatted.length - 1}\u0000\n\n`;
+    default:
+      return BLOCK_ELEMENTS.has(name) ? `\n\n${renderChildren()}\n\n` : renderChildren();
+  }
+}
+
+/**
+ * Find the URL relative links of a page are resolved against
+ * @param {Object} $ - Cheerio instance
+ * @param {string} documentUrl - URL of the document itself
+ * @returns {string} Base URL
+ */
+function getBaseUrl($, documentUrl) {
+  // A saved web page is better cited by its canonical URL than by its local path
+  const candidates = [
+    $('base[href]').attr('href'),
+    $('link[rel="canonical"]').attr('href'),
+    $('meta[property="og:url"]').attr('content')
+  ];
+  
+  for (const candidate of candidates) {
+    try {
+      if (candidate) {
+        return new URL(candidate, documentUrl).href;
+      }
+    } catch (error) {
+      // Ignore invalid URLs and try the next candidate
+    }
+  }
+  
+  return documentUrl;
+}
+
+/**
+ * Collect the links of the content, resolved to absolute URLs
+ * @param {Object} $ - Cheerio instance
+ * @param {Object} root - Content root element
+ * @param {string} baseUrl - Base URL for relative links
+ * @returns {Array<Object>} Links with text and url, without duplicates
+ */
+function extractLinks($, root, baseUrl) {
+  const links = new Map();
+  
+  $(root).find('a[href]').each((index, element) => {
+    const href = $(element).attr('href').trim();
+    
+    // In-page anchors and scripts aren't useful as references
+    if (!href || href.startsWith('#') || /^javascript:/i.test(href)) {
+      return;
+    }
+    
+    try {
+      const url = new URL(href, baseUrl).href;
+      if (!links.has(url)) {
+        links.set(url, { text: inlineText($, element), url });
+      }
+    } catch (error) {
+      // Skip malformed links
+    }
+  });
+  
+  return [...links.values()];
+}
+
+/**
+ * Convert an HTML page to text and extract its metadata
+ * @param {string} html - HTML source
+ * @param {Object} options - Parsing options
+ * @param {string} [options.url] - URL of the page, used to resolve relative links
+ * @returns {Object} Text, title, description and links of the page
+ */
+export function parseHtml(html, options = {}) {
+  const $ = cheerio.load(html);
+  
+  const title = $('title').first().text().trim()
+    || $('meta[property="og:title"]').attr('content')?.trim()
+    || inlineText($, $('h1').first());
+  const description = $('meta[name="description" i]').attr('content')?.trim()
+    || $('meta[property="og:description"]').attr('content')?.trim()
+    || null;
+  const baseUrl = options.url ? getBaseUrl($, options.url) : null;
+  
+  $(BOILERPLATE_SELECTORS.join(', ')).remove();
+  // Site headers are boilerplate, but an article's own header holds its title
+  $('header').not('article header, main header').remove();
+  
+  // Prefer the main content area when the page marks it
+  const root = $('main').first().get(0) || $('article').first().get(0) || $('body').get(0) || $.root().get(0);
+  
+  const preformatted = [];
+  const text = renderNode($, root, preformatted)
+    .replace(/[ \t]*\n[ \t]*/g, '\n')
+    .replace(/ {2,}/g, ' ')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim()
+    .replace(/\u0000(\d+)\u0000/g, (match, index) => preformatted[parseInt(index)]);
+  
+  return {
+    text,
+    title: title || null,
+    description,
+    links: baseUrl ? extractLinks($, root, baseUrl) : []
+  };
+}
+
+/**
+ * Load an HTML file and return its text content with metadata
+ * @param {string} filePath - Path to the HTML file
+ * @returns {Promise<Object>} Document object with text and metadata
+ */
+export async function loadHtmlFile(filePath) {
+  try {
+    // Read the file
+    const html = await fs.promises.readFile(filePath, 'utf8');
+    
+    // Extract text, title, description and links
+    const page = parseHtml(html, { url: pathToFileURL(path.resolve(filePath)).href });
+    
+    // Extract metadata
+    const stats = await fs.promises.stat(filePath);
+    const fileName = path.basename(filePath);
+    
+    // Create document object
+    return {
+      text: page.text,
+      metadata: {
+        source: filePath,
+        filename: fileName,
+        filetype: 'html',
+        title: page.title || fileName,
+        description: page.description,
+        links: page.links,
+        created: stats.birthtime,
+        modified: stats.mtime,
+        size: stats.size
+      }
+    };
+  } catch (error) {
+    throw new Error(`Error loading HTML file: ${error.message}`);
+  }
+}
@@ -0,0 +1,86 @@
+/**
+ * JSON and JSONL document loader
+ * Loads JSON arrays and JSON Lines files as a set of records, one per object
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { buildRecords, getField } from './recordTemplate.js';
+
+/**
+ * Parse a JSON Lines file (one JSON value per line)
+ * @param {string} content - File content
+ * @returns {Array<Object>} Parsed rows
+ */
+function parseJsonLines(content) {
+  return content
+    .split(/\r?\n/)
+    .map((line, index) => ({ line: line.trim(), number: index + 1 }))
+    .filter(({ line }) => line)
+    .map(({ line, number }) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        throw new Error(`Invalid JSON on line ${number}: ${error.message}`);
+      }
+    });
+}
+
+/**
+ * Find the rows of a JSON document
+ * @param {*} data - Parsed JSON
+ * @param {string} [recordsPath] - Path of the array of records
+ * @returns {Array<Object>} Rows
+ */
+function getJsonRows(data, recordsPath) {
+  const rows = recordsPath ? getField(data, recordsPath) : data;
+  
+  if (recordsPath && !Array.isArray(rows)) {
+    throw new Error(`No array of records found at ${recordsPath}`);
+  }
+  
+  // A single object is a single record
+  return Array.isArray(rows) ? rows : [rows];
+}
+
+/**
+ * Load a JSON or JSONL file and return its objects as records
+ * @param {string} filePath - Path to the JSON or JSONL file
+ * @param {Object} [template] - RecordTemplate describing which fields are text, metadata and ID
+ * @returns {Promise<Object>} Document object with text, metadata and records
+ */
+export async function loadJsonFile(filePath, template = {}) {
+  try {
+    // Read the file
+    const content = await fs.promises.readFile(filePath, 'utf8');
+    const isJsonLines = path.extname(filePath).toLowerCase() === '.jsonl';
+    
+    // Parse rows, keeping only objects (scalars can't be mapped to fields)
+    const rows = (isJsonLines ? parseJsonLines(content) : getJsonRows(JSON.parse(content), template.recordsPath))
+      .filter(row => row && typeof row === 'object' && !Array.isArray(row));
+    const records = buildRecords(rows, template);
+    
+    // Extract metadata
+    const stats = await fs.promises.stat(filePath);
+    const fileName = path.basename(filePath);
+    
+    // Create document object
+    return {
+      text: records.map(record => record.text).join('\n\n'),
+      records,
+      metadata: {
+        source: filePath,
+        filename: fileName,
+        filetype: isJsonLines ? 'jsonl' : 'json',
+        title: fileName,
+        fields: [...new Set(rows.flatMap(row => Object.keys(row)))],
+        recordCount: records.length,
+        created: stats.birthtime,
+        modified: stats.mtime,
+        size: stats.size
+      }
+    };
+  } catch (error) {
+    throw new Error(`Error loading JSON file: ${error.message}`);
+  }
+}
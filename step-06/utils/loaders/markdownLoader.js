@@ -5,25 +5,89 @@
 
 import fs from 'fs';
 import path from 'path';
+import { parse as parseYaml } from 'yaml';
+
+/**
+ * Split the YAML front-matter block (between --- lines at the top of the file) from the body
+ * A block that isn't a YAML mapping is left in the body: it may be a paragraph between two thematic breaks
+ * @param {string} text - Markdown source
+ * @param {string} filePath - Path of the file, for warnings
+ * @returns {Object} Parsed front-matter (empty if there is none) and the body without it
+ */
+function parseFrontMatter(text, filePath) {
+  const match = text.match(/^\uFEFF?---[ \t]*\r?\n([\s\S]*?)\r?\n(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/);
+  if (!match) {
+    return { frontMatter: {}, body: text };
+  }
+  
+  let frontMatter;
+  try {
+    frontMatter = parseYaml(match[1]);
+  } catch (error) {
+    console.warn(`Keeping the front-matter of ${filePath} as text, it isn't valid YAML: ${error.message}`);
+    return { frontMatter: {}, body: text };
+  }
+  
+  if (!frontMatter || typeof frontMatter !== 'object' || Array.isArray(frontMatter)) {
+    return { frontMatter: {}, body: text };
+  }
+  
+  return {
+    frontMatter,
+    body: text.slice(match[0].length)
+  };
+}
+
+/**
+ * Normalize the tags of the front-matter ("a, b", ["a", "b"] or "a") into a list
+ * @param {*} tags - Front-matter tags or keywords
+ * @returns {Array<string>} Tags
+ */
+function normalizeTags(tags) {
+  if (!tags) {
+    return [];
+  }
+  
+  const list = Array.isArray(tags) ? tags : String(tags).split(',');
+  return list.map(tag => String(tag).trim()).filter(Boolean);
+}
+
+/**
+ * Normalize a front-matter date into an ISO string
+ * @param {*} date - Front-matter date (YAML dates are parsed as strings or Date objects)
+ * @returns {string|null} ISO date, the original value if it isn't a date, or null
+ */
+function normalizeDate(date) {
+  if (!date) {
+    return null;
+  }
+  
+  const parsed = date instanceof Date ? date : new Date(date);
+  return isNaN(parsed) ? String(date) : parsed.toISOString();
+}
 
 /**
  * Load a markdown file and return its contents with metadata
+ * YAML front-matter is removed from the text; its title, tags, author and date become document metadata
  * @param {string} filePath - Path to the markdown file
  * @returns {Promise<Object>} Document object with text and metadata
  */
 export async function loadMarkdownFile(filePath) {
   try {
     // Read the file
-    const text = await fs.promises.readFile(filePath, 'utf8');
+    const content = await fs.promises.readFile(filePath, 'utf8');
+    const { frontMatter, body: text } = parseFrontMatter(content, filePath);
     
     // Extract metadata
     const stats = await fs.promises.stat(filePath);
     const fileName = path.basename(filePath);
     
-    // Extract title from markdown (first heading)
+    // Extract title from the front-matter, or from the first heading
     let title = fileName;
     const titleMatch = text.match(/^#\s+(.+)$/m);
-    if (titleMatch && titleMatch[1]) {
+    if (frontMatter.title) {
+      title = String(frontMatter.title).trim();
+    } else if (titleMatch && titleMatch[1]) {
       title = titleMatch[1].trim();
     }
     
@@ -35,6 +99,10 @@ export async function loadMarkdownFile(filePath) {
         filename: fileName,
         filetype: 'markdown',
         title: title,
+        author: frontMatter.author ? String(frontMatter.author) : null,
+        date: normalizeDate(frontMatter.date),
+        tags: normalizeTags(frontMatter.tags ?? frontMatter.keywords),
+        frontMatter,
         created: stats.birthtime,
         modified: stats.mtime,
         size: stats.size
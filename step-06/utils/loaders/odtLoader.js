@@ -0,0 +1,127 @@
+/**
+ * ODT document loader
+ * Loads OpenDocument text files, turning their headings into markdown headings
+ */
+
+import fs from 'fs';
+import path from 'path';
+import JSZip from 'jszip';
+import { loadXml, toMarkdownHeading, extractSections } from './documentStructure.js';
+
+/**
+ * Get the text of an ODF element
+ * @param {Object} node - DOM node
+ * @returns {string} Text content
+ */
+function getText(node) {
+  if (node.type === 'text') {
+    return node.data;
+  }
+  
+  switch (node.name) {
+    case 'text:s':
+      // Runs of spaces are stored as <text:s text:c="n"/>
+      return ' '.repeat(parseInt(node.attribs?.['text:c'] || '1'));
+    case 'text:tab':
+      return '\t';
+    case 'text:line-break':
+      return '\n';
+    case 'text:note':
+      // Footnotes would interrupt the sentence they are attached to
+      return '';
+    default:
+      return (node.children || []).map(getText).join('');
+  }
+}
+
+/**
+ * Convert ODF block elements to text blocks
+ * @param {Object} $ - Cheerio instance of content.xml
+ * @param {Array<Object>} elements - Block elements
+ * @param {Array<string>} blocks - Collects the text blocks
+ */
+function convertBlocks($, elements, blocks) {
+  for (const element of elements) {
+    switch (element.name) {
+      case 'text:h': {
+        const text = getText(element).trim();
+        if (text) {
+          blocks.push(toMarkdownHeading(parseInt(element.attribs['text:outline-level'] || '1'), text));
+        }
+        break;
+      }
+      case 'text:p': {
+        const text = getText(element).trim();
+        if (text) {
+          blocks.push(text);
+        }
+        break;
+      }
+      case 'text:list': {
+        const items = $(element).children('text\\:list-item').toArray()
+          .map(item => `- ${getText(item).replace(/\s+/g, ' ').trim()}`);
+        blocks.push(items.join('\n'));
+        break;
+      }
+      case 'table:table': {
+        const rows = $(element).find('table\\:table-row').toArray().map(row =>
+          $(row).children('table\\:table-cell').toArray().map(cell => getText(cell).replace(/\s+/g, ' ').trim()).join(' | ')
+        );
+        blocks.push(rows.join('\n'));
+        break;
+      }
+      case 'text:section':
+        // Sections only group blocks
+        convertBlocks($, $(element).children().toArray(), blocks);
+        break;
+    }
+  }
+}
+
+/**
+ * Load an ODT file and return its contents with metadata
+ * @param {string} filePath - Path to the ODT file
+ * @returns {Promise<Object>} Document object with text and metadata
+ */
+export async function loadOdtFile(filePath) {
+  try {
+    // Read the file (an ODT file is a zip archive of XML parts)
+    const dataBuffer = await fs.promises.readFile(filePath);
+    const zip = await JSZip.loadAsync(dataBuffer);
+    
+    const contentXml = await zip.file('content.xml')?.async('string');
+    if (!contentXml) {
+      throw new Error('content.xml not found');
+    }
+    
+    // Convert the body
+    const $ = loadXml(contentXml);
+    const blocks = [];
+    convertBlocks($, $('office\\:body > office\\:text').children().toArray(), blocks);
+    const text = blocks.join('\n\n');
+    
+    // Extract metadata
+    const metaXml = await zip.file('meta.xml')?.async('string');
+    const meta = metaXml ? loadXml(metaXml) : null;
+    const stats = await fs.promises.stat(filePath);
+    const fileName = path.basename(filePath);
+    
+    // Create document object
+    return {
+      text,
+      metadata: {
+        source: filePath,
+        filename: fileName,
+        filetype: 'odt',
+        title: meta?.('dc\\:title').text().trim() || fileName,
+        author: meta?.('dc\\:creator').text().trim() || meta?.('meta\\:initial-creator').text().trim() || 'Unknown',
+        sections: extractSections(text),
+        created: stats.birthtime,
+        modified: stats.mtime,
+        size: stats.size
+      }
+    };
+  } catch (error) {
+    throw new Error(`Error loading ODT file: ${error.message}`);
+  }
+}
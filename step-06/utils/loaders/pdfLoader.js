@@ -18,18 +18,63 @@ try {
   pdfParse = () => Promise.reject(new Error('PDF parsing is not available'));
 }
 
+/**
+ * Extract the text of a page, one line per text row
+ * Same layout as the default pdf-parse renderer, so the document text doesn't change
+ * @param {Object} pageData - pdf.js page
+ * @returns {Promise<string>} Page text
+ */
+async function renderPage(pageData) {
+  const textContent = await pageData.getTextContent({
+    normalizeWhitespace: false,
+    disableCombineTextItems: false
+  });
+  
+  let lastY;
+  let text = '';
+  for (const item of textContent.items) {
+    // A new vertical position means a new line
+    text += (lastY === undefined || lastY === item.transform[5]) ? item.str : `\n${item.str}`;
+    lastY = item.transform[5];
+  }
+  
+  return text;
+}
+
 /**
  * Load a PDF file and return its contents with metadata
+ * The document also lists where each page starts and ends in the text (`pageRanges`),
+ * so chunks can be traced back to their pages
  * @param {string} filePath - Path to the PDF file
- * @returns {Promise<Object>} Document object with text and metadata
+ * @returns {Promise<Object>} Document object with text, metadata and page ranges
  */
 export async function loadPdfFile(filePath) {
   try {
     // Read the file
     const dataBuffer = await fs.promises.readFile(filePath);
     
-    // Parse PDF
-    const pdfData = await pdfParse(dataBuffer);
+    // Parse PDF, keeping the text of each page
+    // pdf.js reads the Buffer's whole underlying memory, which for small files is a shared pool, so it gets a copy
+    const pageTexts = [];
+    const pdfData = await pdfParse(new Uint8Array(dataBuffer), {
+      pagerender: async (pageData) => {
+        const text = await renderPage(pageData);
+        pageTexts[pageData.pageIndex] = text;
+        return text;
+      }
+    });
+    
+    // Join the pages, recording the character range of each one
+    let text = '';
+    const pageRanges = [];
+    for (let index = 0; index < pdfData.numpages; index++) {
+      if (text) {
+        text += '\n\n';
+      }
+      const start = text.length;
+      text += (pageTexts[index] || '').trim();
+      pageRanges.push({ pageNumber: index + 1, start, end: text.length });
+    }
     
     // Extract metadata
     const stats = await fs.promises.stat(filePath);
@@ -37,7 +82,8 @@ export async function loadPdfFile(filePath) {
     
     // Create document object
     return {
-      text: pdfData.text,
+      text,
+      pageRanges,
       metadata: {
         source: filePath,
         filename: fileName,
@@ -0,0 +1,111 @@
+/**
+ * Record templates
+ * Turn rows of structured data (CSV, JSON, JSONL) into records with text, metadata and an ID
+ */
+
+/**
+ * Describes how a row becomes a record
+ * @typedef {Object} RecordTemplate
+ * @property {string} [idField] - Field holding the record ID (default: 'id' when present, otherwise the row number)
+ * @property {Array<string>} [textFields] - Fields embedded as text, as "field: value" lines
+ *   (default: every field that isn't the ID or metadata)
+ * @property {string} [template] - Text template with {{field}} placeholders, used instead of textFields
+ *   e.g. 'Q: {{question}}\nA: {{answer}}'
+ * @property {Array<string>} [metadataFields] - Fields kept as record metadata instead of text
+ * @property {string} [recordsPath] - JSON only: path of the array of records, e.g. 'data.items'
+ * 
+ * Field names can use dots to reach nested JSON values, e.g. 'customer.name'
+ */
+
+// Fields of a record template, by type
+const STRING_FIELDS = ['idField', 'template', 'recordsPath'];
+const STRING_ARRAY_FIELDS = ['textFields', 'metadataFields'];
+
+/**
+ * Check a record template of an ingest request
+ * @param {*} template - Record template, or undefined for the default one
+ * @returns {boolean} Whether the template is valid
+ */
+export function isValidRecordTemplate(template) {
+  if (template === undefined) {
+    return true;
+  }
+  
+  if (template === null || typeof template !== 'object' || Array.isArray(template)) {
+    return false;
+  }
+  
+  return Object.entries(template).every(([field, value]) => {
+    if (STRING_FIELDS.includes(field)) {
+      return typeof value === 'string' && value.trim() !== '';
+    }
+    if (STRING_ARRAY_FIELDS.includes(field)) {
+      return Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim() !== '');
+    }
+    return false;
+  });
+}
+
+/**
+ * Get a possibly nested field of a row
+ * @param {Object} row - Row of data
+ * @param {string} field - Field name, with dots for nested fields
+ * @returns {*} Field value, or undefined
+ */
+export function getField(row, field) {
+  if (field in row) {
+    return row[field];
+  }
+  
+  return field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), row);
+}
+
+/**
+ * Format a field value as text
+ * @param {*} value - Field value
+ * @returns {string} Text (empty for missing values)
+ */
+function formatValue(value) {
+  if (value == null) {
+    return '';
+  }
+  
+  return typeof value === 'object' ? JSON.stringify(value) : String(value).trim();
+}
+
+/**
+ * Build the records of a structured data file
+ * @param {Array<Object>} rows - Rows of data
+ * @param {RecordTemplate} template - How rows become records
+ * @returns {Array<Object>} Records with id, text and metadata (rows without text are skipped)
+ */
+export function buildRecords(rows, template = {}) {
+  const metadataFields = template.metadataFields || [];
+  
+  return rows
+    .map((row, index) => {
+      const idField = template.idField || ('id' in row ? 'id' : null);
+      const id = idField ? formatValue(getField(row, idField)) : '';
+      
+      let text;
+      if (template.template) {
+        text = template.template.replace(/\{\{\s*([^}]+?)\s*\}\}/g, (match, field) => formatValue(getField(row, field)));
+      } else {
+        const textFields = template.textFields
+          || Object.keys(row).filter(field => field !== idField && !metadataFields.includes(field));
+        text = textFields
+          .map(field => [field, formatValue(getField(row, field))])
+          .filter(([, value]) => value)
+          .map(([field, value]) => `${field}: ${value}`)
+          .join('\n');
+      }
+      
+      return {
+        // Rows without an ID are numbered from 1, in file order
+        id: id || String(index + 1),
+        text: text.trim(),
+        metadata: Object.fromEntries(metadataFields.map(field => [field, getField(row, field) ?? null]))
+      };
+    })
+    .filter(record => record.text);
+}
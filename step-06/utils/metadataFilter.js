@@ -0,0 +1,216 @@
+/**
+ * Metadata filters for retrieval
+ * Turns a filter on document and chunk metadata into SQL, so searches only score the chunks that match
+ */
+
+/**
+ * Filter on document and chunk metadata
+ * Every field is optional, and a chunk must match all the fields that are set.
+ * Fields that take a list match any of its values.
+ * @typedef {Object} MetadataFilter
+ * @property {string|Array<string>} [filetype] - File type of the document (e.g. 'pdf', 'markdown')
+ * @property {string|Array<string>} [sourcePrefix] - Start of the document's source path or URL
+ * @property {string} [title] - Text contained in the document title (case-insensitive)
+ * @property {string|Array<string>} [tags] - Tags of the document (from markdown front-matter)
+ * @property {Object} [date] - Range on the document's own date (from front-matter): { after, before }
+ * @property {Object} [ingested] - Range on the date the document was first ingested: { after, before }
+ * @property {string|Array<string>} [chunkStrategy] - Strategy the chunk was made with (e.g. 'heading')
+ * @property {number|Array<number>} [documentIds] - IDs of the documents to search
+ */
+
+// Fields accepted in a filter
+export const FILTER_FIELDS = ['filetype', 'sourcePrefix', 'title', 'tags', 'date', 'ingested', 'chunkStrategy', 'documentIds'];
+
+/**
+ * Wrap a single value in a list
+ * @param {*} value - Value or list of values
+ * @returns {Array} List of values
+ */
+function toList(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Check that a value is a non-empty string or a non-empty list of them
+ * @param {*} value - Value to check
+ * @returns {boolean} True if the value is valid
+ */
+function isStringList(value) {
+  const values = toList(value);
+  return values.length > 0 && values.every(item => typeof item === 'string' && item.length > 0);
+}
+
+/**
+ * Check that a value is a date range with a valid `after` and/or `before` date
+ * @param {*} range - Value to check
+ * @returns {boolean} True if the value is valid
+ */
+function isDateRange(range) {
+  if (!range || typeof range !== 'object' || Array.isArray(range)) {
+    return false;
+  }
+  
+  const bounds = Object.keys(range);
+  return bounds.length > 0
+    && bounds.every(bound => ['after', 'before'].includes(bound))
+    && bounds.every(bound => typeof range[bound] === 'string' && !isNaN(Date.parse(range[bound])));
+}
+
+/**
+ * Check a metadata filter
+ * @param {*} filter - Filter to check
+ * @returns {string|null} Description of the first problem, or null if the filter is valid (or not set)
+ */
+export function getFilterError(filter) {
+  if (filter === undefined || filter === null) {
+    return null;
+  }
+  
+  if (typeof filter !== 'object' || Array.isArray(filter)) {
+    return 'Filter must be an object';
+  }
+  
+  const unknown = Object.keys(filter).filter(field => !FILTER_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    return `Unknown filter field: ${unknown.join(', ')} (expected any of: ${FILTER_FIELDS.join(', ')})`;
+  }
+  
+  for (const field of ['filetype', 'sourcePrefix', 'tags', 'chunkStrategy']) {
+    if (filter[field] !== undefined && !isStringList(filter[field])) {
+      return `Filter ${field} must be a non-empty string or list of strings`;
+    }
+  }
+  
+  if (filter.title !== undefined && !(typeof filter.title === 'string' && filter.title.length > 0)) {
+    return 'Filter title must be a non-empty string';
+  }
+  
+  for (const field of ['date', 'ingested']) {
+    if (filter[field] !== undefined && !isDateRange(filter[field])) {
+      return `Filter ${field} must be an object with an "after" and/or "before" date`;
+    }
+  }
+  
+  if (filter.documentIds !== undefined) {
+    const ids = toList(filter.documentIds);
+    if (ids.length === 0 || !ids.every(id => Number.isInteger(id) && id > 0)) {
+      return 'Filter documentIds must be a document ID or a non-empty list of them';
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Build a SQL condition matching any of several values
+ * @param {string} column - Column expression
+ * @param {Array} values - Values to match
+ * @returns {string} SQL condition with one placeholder per value
+ */
+function inList(column, values) {
+  return `${column} IN (${values.map(() => '?').join(', ')})`;
+}
+
+/**
+ * Escape the LIKE wildcards in a value, so it is matched literally
+ * The pattern must be used with `ESCAPE '\\'`.
+ * @param {string} value - Text to match
+ * @returns {string} Text safe to embed in a LIKE pattern
+ */
+export function escapeLike(value) {
+  return value.replace(/[\\%_]/g, char => `\\${char}`);
+}
+
+/**
+ * Build the SQL conditions for a date range
+ * SQLite's datetime() parses both the stored timestamps and ISO dates, so they compare as equals
+ * @param {string} column - Column expression holding a date
+ * @param {Object} range - { after, before } dates
+ * @param {Array<string>} conditions - Receives the conditions
+ * @param {Array} params - Receives the parameters
+ */
+function addDateRange(column, range, conditions, params) {
+  if (range.after) {
+    conditions.push(`datetime(${column}) >= datetime(?)`);
+    params.push(new Date(range.after).toISOString());
+  }
+  if (range.before) {
+    conditions.push(`datetime(${column}) < datetime(?)`);
+    params.push(new Date(range.before).toISOString());
+  }
+}
+
+/**
+ * Build a query selecting the IDs of the chunks that match a metadata filter
+ * Used as `chunk_id IN (...)` by searches, so the filter is applied before anything is scored
+ * @param {MetadataFilter} filter - Metadata filter
+ * @returns {Object|null} { sql, params }, or null if the filter doesn't restrict anything
+ * @throws {Error} If the filter is invalid
+ */
+export function buildChunkFilterQuery(filter) {
+  const error = getFilterError(filter);
+  if (error) {
+    throw new Error(error);
+  }
+  
+  const conditions = [];
+  const params = [];
+  
+  if (filter?.filetype !== undefined) {
+    const filetypes = toList(filter.filetype);
+    conditions.push(inList('d.filetype', filetypes));
+    params.push(...filetypes);
+  }
+  
+  if (filter?.sourcePrefix !== undefined) {
+    const prefixes = toList(filter.sourcePrefix);
+    conditions.push(prefixes.map(() => "d.source LIKE ? ESCAPE '\\'").join(' OR '));
+    params.push(...prefixes.map(prefix => `${escapeLike(prefix)}%`));
+  }
+  
+  if (filter?.title !== undefined) {
+    conditions.push("d.title LIKE ? ESCAPE '\\'");
+    params.push(`%${escapeLike(filter.title)}%`);
+  }
+  
+  if (filter?.tags !== undefined) {
+    // A document matches if any of its tags is in the list
+    const tags = toList(filter.tags);
+    conditions.push(`EXISTS (SELECT 1 FROM json_each(d.metadata, '$.tags') WHERE ${inList('value', tags)})`);
+    params.push(...tags);
+  }
+  
+  if (filter?.date !== undefined) {
+    addDateRange("json_extract(d.metadata, '$.date')", filter.date, conditions, params);
+  }
+  
+  if (filter?.ingested !== undefined) {
+    addDateRange('d.created_at', filter.ingested, conditions, params);
+  }
+  
+  if (filter?.chunkStrategy !== undefined) {
+    const strategies = toList(filter.chunkStrategy);
+    conditions.push(inList('c.chunk_strategy', strategies));
+    params.push(...strategies);
+  }
+  
+  if (filter?.documentIds !== undefined) {
+    const ids = toList(filter.documentIds);
+    conditions.push(inList('c.document_id', ids));
+    params.push(...ids);
+  }
+  
+  if (conditions.length === 0) {
+    return null;
+  }
+  
+  return {
+    sql: `
+      SELECT c.id
+      FROM chunks c
+      JOIN documents d ON c.document_id = d.id
+      WHERE ${conditions.map(condition => `(${condition})`).join(' AND ')}
+    `,
+    params
+  };
+}
@@ -3,6 +3,25 @@
  * Creates prompts for the LLM by combining retrieved chunks with user queries
  */
 
+/**
+ * Format the source of a chunk for citation, with its pages when known
+ * @param {Object} chunk - Retrieved chunk with title, source and metadata
+ * @returns {string} Citation such as "Manual (/docs/manual.pdf), p. 4" (empty without a title)
+ */
+export function formatCitation(chunk) {
+  if (!chunk.title) {
+    return '';
+  }
+  
+  const { pageStart, pageEnd } = chunk.metadata || {};
+  let pages = '';
+  if (pageStart) {
+    pages = pageEnd && pageEnd !== pageStart ? `, pp. ${pageStart}-${pageEnd}` : `, p. ${pageStart}`;
+  }
+  
+  return `${chunk.title}${chunk.source ? ` (${chunk.source})` : ''}${pages}`;
+}
+
 /**
  * Create a RAG prompt by combining retrieved chunks with the user's question
  * @param {Array<Object>} chunks - Retrieved chunks with their text and metadata
@@ -18,8 +37,8 @@ export function createRagPrompt(chunks, question) {
   const context = chunks
     .map(chunk => {
       // Include source information if available
-      const sourceInfo = chunk.title ? 
-        `[Source: ${chunk.title}${chunk.source ? ` (${chunk.source})` : ''}]` : '';
+      const citation = formatCitation(chunk);
+      const sourceInfo = citation ? `[Source: ${citation}]` : '';
       
       return `${chunk.text}\n${sourceInfo}`;
     })
@@ -55,10 +74,31 @@ export function formatChunks(chunks) {
   
   return chunks
     .map((chunk, index) => {
-      const sourceInfo = chunk.title ? 
-        `[Source: ${chunk.title}${chunk.source ? ` (${chunk.source})` : ''}]` : '';
+      const citation = formatCitation(chunk);
+      const sourceInfo = citation ? `[Source: ${citation}]` : '';
       
       return `[${index + 1}] ${chunk.text}\n${sourceInfo}`;
     })
     .join('\n\n');
 }
+
+/**
+ * Create a prompt asking the LLM to rewrite a follow-up question into a standalone search query
+ * @param {Array<Object>} history - Previous messages with role and content
+ * @param {string} question - The user's follow-up question
+ * @returns {string} The formatted prompt for the LLM
+ */
+export function createQueryRewritePrompt(history, question) {
+  const conversation = history
+    .map(message => `${message.role === 'user' ? 'User' : 'Assistant'}: ${message.content}`)
+    .join('\n');
+  
+  return `Given the following conversation and a follow-up question, rewrite the follow-up question ` +
+         `as a standalone question that can be understood without the conversation. ` +
+         `Replace pronouns and references with the names they refer to. ` +
+         `If the question is already standalone, return it unchanged. ` +
+         `Reply with the standalone question only.\n\n` +
+         `Conversation:\n${conversation}\n\n` +
+         `Follow-up question: ${question}\n\n` +
+         `Standalone question:`;
+}
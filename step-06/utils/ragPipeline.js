@@ -4,54 +4,237 @@
  */
 
 import { getEmbedding } from './embeddings.js';
-import { retrieveTopK } from './retrieval.js';
-import { createRagPrompt, createNoContextPrompt } from './promptBuilder.js';
-import { generateLlmResponse } from './llm.js';
+import { retrieveChunks, expandToParents, expandToWindows } from './retrieval.js';
+import { createRagPrompt, createNoContextPrompt, createQueryRewritePrompt, formatCitation } from './promptBuilder.js';
+import { generateLlmResponse, streamLlmResponse } from './llm.js';
+import { rerankChunks } from './reranker.js';
+import { getDocument, getDocumentChunks } from './vectorStorage.js';
+import { getSession, getSessionMessages, addMessage } from './chatSessions.js';
+
+// Number of previous messages sent to the LLM in a chat session
+const CHAT_HISTORY_LENGTH = 10;
+
+// Chunks retrieved per expected parent when expanding to parents, since several chunks can share one
+const PARENT_CANDIDATES_FACTOR = 4;
+
+// Candidates retrieved per kept chunk when reranking
+const RERANK_CANDIDATES_FACTOR = 4;
+
+/**
+ * Retrieve the chunks relevant to a query
+ * @param {string} query - The user's question
+ * @param {Object} options - Retrieval options
+ * @param {number} [options.k] - Number of chunks to retrieve (default: 3)
+ * @param {string} [options.mode] - Retrieval mode: 'vector', 'keyword', 'hybrid' or 'mmr' (default: 'vector')
+ * @param {number} [options.lambda] - Balance between relevance (1) and diversity (0) in 'mmr' mode (default: 0.5)
+ * @param {number} [options.maxPerDocument] - Maximum number of chunks retrieved from a single document
+ * @param {Object} [options.filter] - Only retrieve chunks matching this metadata filter (see metadataFilter.js)
+ * @param {boolean} [options.expandParents] - Replace the matched chunks with their parent chunks (default: false)
+ * @param {number} [options.window] - Add this many neighbouring chunks on each side of every matched chunk
+ *   (default: 0, ignored with expandParents)
+ * @param {boolean} [options.rerank] - Rescore the candidates with the cross-encoder and keep the best k (default: false)
+ * @param {number} [options.rerankCandidates] - Number of candidates to rerank (default: 4 * k)
+ * @returns {Promise<Array<Object>>} The retrieved chunks, with the citation shown to the LLM
+ */
+export async function retrieveRelevantChunks(query, options = {}) {
+  // 1. Generate embedding for the query (keyword retrieval doesn't need one)
+  const mode = options.mode || 'vector';
+  const queryEmbedding = mode === 'keyword' ? null : await getEmbedding(query);
+  
+  // 2. Retrieve relevant chunks, over-fetching candidates for reranking and parent expansion
+  const k = options.k || 3;
+  const candidates = options.rerank ? Math.max(options.rerankCandidates || k * RERANK_CANDIDATES_FACTOR, k) : k;
+  let chunks = retrieveChunks(query, queryEmbedding, {
+    mode,
+    k: options.expandParents ? candidates * PARENT_CANDIDATES_FACTOR : candidates,
+    lambda: options.lambda,
+    maxPerDocument: options.maxPerDocument,
+    filter: options.filter
+  });
+  
+  // 3. Rescore the candidates with the cross-encoder, which reads the query and chunk together
+  if (options.rerank) {
+    chunks = await rerankChunks(query, chunks);
+  }
+  
+  // 4. Swap small chunks for their parents (deduplicated) or add their neighbours if asked
+  if (options.expandParents) {
+    chunks = expandToParents(chunks).slice(0, k);
+  } else if (options.window > 0) {
+    chunks = expandToWindows(chunks.slice(0, k), options.window);
+  } else {
+    chunks = chunks.slice(0, k);
+  }
+  
+  // 5. Add the citation shown to the LLM (including pages for PDFs)
+  return chunks.map(chunk => ({ ...chunk, citation: formatCitation(chunk) }));
+}
+
+/**
+ * Retrieve the chunks for a query and build the prompt to send to the LLM
+ * @param {string} query - The user's question
+ * @param {Object} options - Retrieval options, as for retrieveRelevantChunks()
+ * @returns {Promise<Object>} The retrieved chunks and the prompt built from them
+ */
+async function retrieveContext(query, options = {}) {
+  const chunks = await retrieveRelevantChunks(query, options);
+  
+  // Create the RAG prompt, or a no-context prompt if nothing relevant was found
+  const prompt = chunks.length > 0
+    ? createRagPrompt(chunks, query)
+    : createNoContextPrompt(query);
+  
+  return { chunks, prompt };
+}
 
 /**
  * Process a user query through the RAG pipeline
  * @param {string} query - The user's question
  * @param {Object} options - Additional options for the pipeline
+ * @param {number} [options.k] - Number of chunks to retrieve (default: 3)
+ * @param {string} [options.mode] - Retrieval mode: 'vector', 'keyword', 'hybrid' or 'mmr' (default: 'vector')
+ * @param {number} [options.lambda] - Balance between relevance (1) and diversity (0) in 'mmr' mode (default: 0.5)
+ * @param {number} [options.maxPerDocument] - Maximum number of chunks sent from a single document
+ * @param {Object} [options.filter] - Only retrieve chunks matching this metadata filter
+ * @param {boolean} [options.expandParents] - Send the parent chunks of the matched chunks to the LLM (default: false)
+ * @param {number} [options.window] - Number of neighbouring chunks sent with each matched chunk (default: 0)
+ * @param {boolean} [options.rerank] - Rerank the retrieved chunks with the cross-encoder (default: false)
+ * @param {number} [options.rerankCandidates] - Number of chunks retrieved for reranking (default: 4 * k)
+ * @param {Object} [options.llmOptions] - Options passed to the LLM
  * @returns {Promise<Object>} The LLM's response and retrieved chunks
  */
 export async function processQuery(query, options = {}) {
   try {
-    // 1. Generate embedding for the query
-    const queryEmbedding = await getEmbedding(query);
+    const { chunks, prompt } = await retrieveContext(query, options);
     
-    // 2. Retrieve relevant chunks
-    const k = options.k || 3;
-    const relevantChunks = retrieveTopK(queryEmbedding, k);
+    // Generate response from LLM (LLM options only apply when there is context)
+    const response = chunks.length > 0
+      ? await generateLlmResponse(prompt, options.llmOptions)
+      : await generateLlmResponse(prompt);
     
-    // 3. Check if we found any relevant chunks
-    if (relevantChunks.length === 0) {
-      // Handle the case where no relevant chunks were found
-      const noContextPrompt = createNoContextPrompt(query);
-      const response = await generateLlmResponse(noContextPrompt);
-      
-      return {
-        answer: response,
-        chunks: [],
-        success: true
-      };
+    // Return the response and the chunks used
+    return {
+      answer: response,
+      chunks,
+      success: true
+    };
+  } catch (error) {
+    console.error('Error in RAG pipeline:', error);
+    return {
+      answer: 'Sorry, I encountered an error while processing your question.',
+      error: error.message,
+      success: false
+    };
+  }
+}
+
+/**
+ * Process a user query through the RAG pipeline, streaming the answer as it is generated
+ * @param {string} query - The user's question
+ * @param {Object} options - Same options as processQuery()
+ * @param {AbortSignal} [options.signal] - Aborts the LLM request (e.g. when the client disconnects)
+ * @yields {Object} `{ event: 'chunks' }` with the retrieved chunks, then `{ event: 'delta' }` for each
+ *   token delta, then `{ event: 'done' }` with usage and timing
+ */
+export async function* streamQuery(query, options = {}) {
+  const startTime = Date.now();
+  
+  const { chunks, prompt } = await retrieveContext(query, options);
+  const retrievalMs = Date.now() - startTime;
+  
+  yield { event: 'chunks', data: { chunks } };
+  
+  const llmOptions = chunks.length > 0 ? options.llmOptions : {};
+  let usage = null;
+  
+  for await (const part of streamLlmResponse(prompt, { ...llmOptions, signal: options.signal })) {
+    if (part.type === 'delta') {
+      yield { event: 'delta', data: { content: part.content } };
+    } else if (part.type === 'done') {
+      usage = part.usage;
+    }
+  }
+  
+  const totalMs = Date.now() - startTime;
+  
+  yield {
+    event: 'done',
+    data: {
+      usage,
+      timing: {
+        retrievalMs,
+        generationMs: totalMs - retrievalMs,
+        totalMs
+      }
+    }
+  };
+}
+
+/**
+ * Rewrite a follow-up question into a standalone retrieval query using the conversation history
+ * @param {string} question - The user's follow-up question
+ * @param {Array<Object>} history - Previous messages with role and content
+ * @returns {Promise<string>} The standalone query (the question itself when there is no history)
+ */
+export async function rewriteQuery(question, history) {
+  if (!history || history.length === 0) {
+    return question;
+  }
+  
+  const prompt = createQueryRewritePrompt(history, question);
+  const rewritten = await generateLlmResponse(prompt, {
+    systemPrompt: 'You rewrite follow-up questions into standalone search queries.',
+    temperature: 0.1,
+    maxTokens: 100
+  });
+  
+  // Fall back to the original question if the LLM returns nothing usable
+  return rewritten.trim() || question;
+}
+
+/**
+ * Answer a message in a chat session, using the conversation history for retrieval and generation
+ * @param {number} sessionId - Chat session ID
+ * @param {string} message - The user's message
+ * @param {Object} options - Same options as processQuery()
+ * @returns {Promise<Object>} The answer, the retrieval query and the retrieved chunks
+ */
+export async function processChatMessage(sessionId, message, options = {}) {
+  try {
+    if (!getSession(sessionId)) {
+      throw new Error(`Chat session with ID ${sessionId} not found`);
     }
     
-    // 4. Create the RAG prompt
-    const prompt = createRagPrompt(relevantChunks, query);
+    const history = getSessionMessages(sessionId, CHAT_HISTORY_LENGTH)
+      .map(({ role, content }) => ({ role, content }));
+    
+    // 1. Turn "what does it eat?" into a question retrieval can work with
+    const retrievalQuery = await rewriteQuery(message, history);
     
-    // 5. Generate response from LLM
-    const response = await generateLlmResponse(prompt, options.llmOptions);
+    // 2. Retrieve context for the standalone query, but answer the user's own words
+    const { chunks } = await retrieveContext(retrievalQuery, options);
+    const prompt = chunks.length > 0
+      ? createRagPrompt(chunks, message)
+      : createNoContextPrompt(message);
+    
+    // 3. Generate the answer with the previous turns as chat history
+    const answer = await generateLlmResponse(prompt, { ...options.llmOptions, history });
+    
+    // 4. Persist both sides of the exchange
+    addMessage(sessionId, { role: 'user', content: message, retrievalQuery });
+    addMessage(sessionId, { role: 'assistant', content: answer, chunkIds: chunks.map(chunk => chunk.id) });
     
-    // 6. Return the response and the chunks used
     return {
-      answer: response,
-      chunks: relevantChunks,
+      sessionId,
+      answer,
+      retrievalQuery,
+      chunks,
       success: true
     };
   } catch (error) {
-    console.error('Error in RAG pipeline:', error);
+    console.error('Error in chat pipeline:', error);
     return {
-      answer: 'Sorry, I encountered an error while processing your question.',
+      answer: 'Sorry, I encountered an error while processing your message.',
       error: error.message,
       success: false
     };
@@ -59,32 +242,20 @@ export async function processQuery(query, options = {}) {
 }
 
 /**
- * Get information about a document from the chunks
+ * Get information about a document and its chunks
  * @param {number} documentId - ID of the document to get information about
- * @returns {Promise<Object>} Document information
+ * @returns {Promise<Object>} Document information with metadata and ordered chunks
  */
 export async function getDocumentInfo(documentId) {
   try {
-    const { getDatabase } = await import('./database.js');
-    const db = getDatabase();
-    
-    // Get document information
-    const document = db.prepare(`
-      SELECT id, title, source, filetype, created, modified, metadata
-      FROM documents
-      WHERE id = ?
-    `).get(documentId);
+    const document = getDocument(documentId);
     
     if (!document) {
       throw new Error(`Document with ID ${documentId} not found`);
     }
     
-    // Get chunks for this document
-    const chunks = db.prepare(`
-      SELECT id, content
-      FROM chunks
-      WHERE document_id = ?
-    `).all(documentId);
+    // Chunks come back in document order
+    const chunks = getDocumentChunks(documentId);
     
     return {
       document: {
@@ -92,13 +263,16 @@ export async function getDocumentInfo(documentId) {
         title: document.title,
         source: document.source,
         filetype: document.filetype,
-        created: document.created,
-        modified: document.modified,
-        metadata: JSON.parse(document.metadata || '{}')
+        createdAt: document.created_at,
+        metadata: document.metadata
       },
       chunks: chunks.map(chunk => ({
         id: chunk.id,
-        text: chunk.content
+        index: chunk.chunk_index,
+        strategy: chunk.chunk_strategy,
+        parentId: chunk.parent_id,
+        text: chunk.text,
+        metadata: chunk.metadata
       })),
       chunkCount: chunks.length,
       success: true
@@ -0,0 +1,89 @@
+/**
+ * Readiness checks
+ * Reports whether the embedding model, the database and the LLM are usable
+ */
+
+import { testEmbedding } from './embeddings.js';
+import { testLlmConnection } from './llm.js';
+import { getDatabase } from './database.js';
+
+// How long an LLM check result is reused before calling the API again (in milliseconds)
+const LLM_CHECK_TTL = 60 * 1000;
+
+// Last LLM check result, so health probes don't send a completion request every time
+let lastLlmCheck = null;
+
+/**
+ * Check that the database is reachable and report its contents
+ * @returns {Object} Check result
+ */
+function checkDatabase() {
+  try {
+    const db = getDatabase();
+    const documents = db.prepare('SELECT COUNT(*) AS count FROM documents').get().count;
+    const chunks = db.prepare('SELECT COUNT(*) AS count FROM chunks').get().count;
+    
+    return {
+      ok: true,
+      message: `Database ready with ${documents} documents and ${chunks} chunks`,
+      documents,
+      chunks
+    };
+  } catch (error) {
+    return { ok: false, message: `Database error: ${error.message}` };
+  }
+}
+
+/**
+ * Check that the embedding model loads and produces embeddings
+ * @returns {Promise<Object>} Check result
+ */
+async function checkEmbedding() {
+  const result = await testEmbedding();
+  return { ok: result.success, message: result.message };
+}
+
+/**
+ * Check that the LLM API answers, reusing a recent result when available
+ * @param {boolean} refresh - Ignore the cached result
+ * @returns {Promise<Object>} Check result
+ */
+async function checkLlm(refresh = false) {
+  if (!refresh && lastLlmCheck && Date.now() - lastLlmCheck.checkedAt < LLM_CHECK_TTL) {
+    return lastLlmCheck;
+  }
+  
+  const result = await testLlmConnection();
+  lastLlmCheck = {
+    ok: result.success,
+    message: result.message,
+    checkedAt: Date.now()
+  };
+  
+  return lastLlmCheck;
+}
+
+/**
+ * Run all readiness checks
+ * @param {Object} options - Check options
+ * @param {boolean} [options.refresh] - Force a new LLM check instead of reusing a recent one
+ * @returns {Promise<Object>} Overall status ('ready', 'degraded' or 'unavailable') and per-component checks
+ */
+export async function checkReadiness(options = {}) {
+  const database = checkDatabase();
+  const embedding = await checkEmbedding();
+  const llm = await checkLlm(options.refresh);
+  
+  // Retrieval still works without the LLM, so a failing LLM only degrades the service
+  let status = 'ready';
+  if (!database.ok || !embedding.ok) {
+    status = 'unavailable';
+  } else if (!llm.ok) {
+    status = 'degraded';
+  }
+  
+  return {
+    status,
+    checks: { embedding, database, llm }
+  };
+}
@@ -0,0 +1,130 @@
+/**
+ * Cross-encoder reranker
+ * Rescores retrieved chunks by reading the query and each chunk together with a local transformers.js model
+ * (or, for offline tests, by the share of the query's words each chunk contains)
+ */
+
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+// How pairs are scored: 'transformers' (cross-encoder) or 'overlap' (word overlap, no model needed)
+const RERANK_PROVIDER = process.env.RERANK_PROVIDER || 'transformers';
+
+if (!['transformers', 'overlap'].includes(RERANK_PROVIDER)) {
+  throw new Error(`Unknown rerank provider: ${RERANK_PROVIDER} (expected one of: transformers, overlap)`);
+}
+
+const RERANK_MODEL = process.env.RERANK_MODEL || 'Xenova/ms-marco-MiniLM-L-6-v2';
+
+// Number of (query, chunk) pairs sent to the model at once
+const RERANK_BATCH_SIZE = parseInt(process.env.RERANK_BATCH_SIZE || '16');
+
+// We'll use a singleton pattern to avoid loading the model multiple times
+class RerankModel {
+  static instance = null;
+  
+  static getInstance() {
+    if (this.instance === null) {
+      this.instance = (async () => {
+        console.log(`Loading rerank model ${RERANK_MODEL}...`);
+        const { AutoTokenizer, AutoModelForSequenceClassification } = await import('@xenova/transformers');
+        const [tokenizer, model] = await Promise.all([
+          AutoTokenizer.from_pretrained(RERANK_MODEL),
+          AutoModelForSequenceClassification.from_pretrained(RERANK_MODEL)
+        ]);
+        console.log('Rerank model loaded successfully');
+        return { tokenizer, model };
+      })();
+      
+      // Let the next call try again if loading failed
+      this.instance.catch(() => {
+        this.instance = null;
+      });
+    }
+    return this.instance;
+  }
+}
+
+/**
+ * Split a text into the words compared by the overlap scorer
+ * @param {string} text - Text to split
+ * @returns {Set<string>} Lowercase words
+ */
+function getWords(text) {
+  return new Set(text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []);
+}
+
+/**
+ * Score texts by the share of the query's words they contain
+ * @param {string} query - The user's query text
+ * @param {Array<string>} texts - Texts to score
+ * @returns {Array<number>} One score per text, between 0 and 1
+ */
+function scoreByOverlap(query, texts) {
+  const queryWords = getWords(query);
+  
+  return texts.map(text => {
+    if (queryWords.size === 0) {
+      return 0;
+    }
+    const words = getWords(text);
+    return [...queryWords].filter(word => words.has(word)).length / queryWords.size;
+  });
+}
+
+/**
+ * Score how relevant each text is to a query
+ * @param {string} query - The user's query text
+ * @param {Array<string>} texts - Texts to score
+ * @returns {Promise<Array<number>>} One relevance score per text, between 0 and 1
+ */
+export async function scorePairs(query, texts) {
+  if (RERANK_PROVIDER === 'overlap') {
+    return scoreByOverlap(query, texts);
+  }
+  
+  const { tokenizer, model } = await RerankModel.getInstance();
+  const scores = [];
+  
+  for (let start = 0; start < texts.length; start += RERANK_BATCH_SIZE) {
+    const batchTexts = texts.slice(start, start + RERANK_BATCH_SIZE);
+    
+    // The model reads the query and the text as a single pair, truncated to its input length
+    const inputs = tokenizer(new Array(batchTexts.length).fill(query), {
+      text_pair: batchTexts,
+      padding: true,
+      truncation: true
+    });
+    const { logits } = await model(inputs);
+    
+    // MS MARCO cross-encoders output one relevance logit per pair
+    scores.push(...Array.from(logits.data, logit => 1 / (1 + Math.exp(-logit))));
+  }
+  
+  return scores;
+}
+
+/**
+ * Rerank retrieved chunks with the cross-encoder
+ * @param {string} query - The user's query text
+ * @param {Array<Object>} chunks - Retrieved chunks, best first
+ * @returns {Promise<Array<Object>>} All the chunks sorted by rerankScore, keeping their retrieval scores
+ *   and their position before reranking (retrievalRank)
+ */
+export async function rerankChunks(query, chunks) {
+  if (chunks.length === 0) {
+    return [];
+  }
+  
+  const scores = await scorePairs(query, chunks.map(chunk => chunk.text));
+  
+  return chunks
+    .map((chunk, index) => ({
+      ...chunk,
+      retrievalRank: index + 1,
+      rerankScore: scores[index]
+    }))
+    .sort((a, b) => b.rerankScore - a.rerankScore);
+}
@@ -1,15 +1,29 @@
 /**
  * Retrieval utilities for the RAG pipeline
- * Implements vector similarity search and top-K retrieval
+ * Implements vector similarity search, BM25 keyword search, hybrid and MMR top-K retrieval
  */
 
-import { getDatabase } from './database.js';
+import { searchVectorIndex, searchKeywordIndex, parseChunkMetadata, getCitationSource } from './database.js';
+import { getParentChunks, getChunkRange, getChunkEmbeddings } from './vectorStorage.js';
+
+// Retrieval modes accepted by retrieveChunks()
+export const RETRIEVAL_MODES = ['vector', 'keyword', 'hybrid', 'mmr'];
+
+// Rank constant for reciprocal rank fusion (60 is the value from the original RRF paper)
+const RRF_K = 60;
+
+// Default balance between relevance (1) and diversity (0) in MMR retrieval
+const MMR_LAMBDA = 0.5;
+
+// Candidates retrieved per result when results are diversified or capped per document
+export const DIVERSITY_CANDIDATES_FACTOR = 4;
 
 /**
  * Calculate cosine similarity between two vectors
  * @param {Array<number>} vectorA - First vector
  * @param {Array<number>} vectorB - Second vector
  * @returns {number} Cosine similarity (between -1 and 1, higher is more similar)
+ * @throws {Error} If the vectors have different lengths
  */
 export function cosineSimilarity(vectorA, vectorB) {
   // Validate inputs with detailed error messages
@@ -26,10 +40,9 @@ export function cosineSimilarity(vectorA, vectorB) {
   const vecA = Array.isArray(vectorA) ? vectorA : Array.from(vectorA);
   const vecB = Array.isArray(vectorB) ? vectorB : Array.from(vectorB);
   
-  // Check vector lengths
+  // Vectors of different lengths come from different embedding models and can't be compared
   if (vecA.length !== vecB.length) {
-    console.error(`Vector length mismatch: ${vecA.length} vs ${vecB.length}`);
-    return 0;
+    throw new Error(`Vector length mismatch: ${vecA.length} vs ${vecB.length} (were they produced by the same embedding model?)`);
   }
   
   // Check if vectors contain valid numbers
@@ -38,111 +51,416 @@ export function cosineSimilarity(vectorA, vectorB) {
     console.error('Vectors contain non-numeric values');
     return 0;
   }
-
+  
   let dotProduct = 0;
   let normA = 0;
   let normB = 0;
-
+  
   for (let i = 0; i < vecA.length; i++) {
     dotProduct += vecA[i] * vecB[i];
     normA += vecA[i] * vecA[i];
     normB += vecB[i] * vecB[i];
   }
-
+  
   if (normA === 0 || normB === 0) {
     return 0; // Handle zero vectors
   }
-
+  
   return dotProduct / (Math.sqrt(normA) * Math.sqrt(normB));
 }
 
+/**
+ * Convert a chunk row from the database into a retrieved chunk
+ * @param {Object} row - Chunk row joined with its document
+ * @returns {Object} Chunk with its text, document and citation source
+ */
+function toRetrievedChunk(row) {
+  const metadata = parseChunkMetadata(row.chunk_metadata);
+  
+  return {
+    id: row.id,
+    documentId: row.document_id,
+    chunkIndex: row.chunk_index,
+    text: row.text,
+    title: row.title,
+    source: getCitationSource(row, metadata),
+    metadata,
+    parentId: row.parent_id ?? null
+  };
+}
+
 /**
  * Retrieve the top K most similar chunks to a query embedding
  * @param {Array<number>} queryEmbedding - The embedding of the query
  * @param {number} k - The number of chunks to retrieve (default: 3)
+ * @param {Object} options - Search options
+ * @param {Object} [options.filter] - Only search the chunks matching this metadata filter
  * @returns {Array<Object>} The most similar chunks with their similarity scores
  */
-export function retrieveTopK(queryEmbedding, k = 3) {
+export function retrieveTopK(queryEmbedding, k = 3, options = {}) {
   if (!queryEmbedding || !Array.isArray(queryEmbedding)) {
     throw new Error('Invalid query embedding');
   }
+  
+  // KNN search is pushed down into the sqlite-vec index
+  const rows = searchVectorIndex(queryEmbedding, k, options.filter);
+  
+  // Convert cosine distance back into a similarity score
+  return rows.map(row => ({
+    ...toRetrievedChunk(row),
+    similarity: 1 - row.distance
+  }));
+}
+
+/**
+ * Retrieve the top K chunks matching the keywords of a query, ranked by BM25
+ * @param {string} query - The user's query text
+ * @param {number} k - The number of chunks to retrieve (default: 3)
+ * @param {Object} options - Search options
+ * @param {Object} [options.filter] - Only search the chunks matching this metadata filter
+ * @returns {Array<Object>} The best matching chunks with their BM25 scores
+ */
+export function retrieveTopKByKeyword(query, k = 3, options = {}) {
+  if (!query || typeof query !== 'string') {
+    throw new Error('Invalid query text');
+  }
+  
+  return searchKeywordIndex(query, k, options.filter).map(row => ({
+    ...toRetrievedChunk(row),
+    score: row.score
+  }));
+}
 
-  const db = getDatabase();
-  
-  // Get all chunks from the database
-  const stmt = db.prepare(`
-    SELECT 
-      c.id, 
-      c.document_id, 
-      c.text, 
-      c.embedding, 
-      d.title, 
-      d.source
-    FROM chunks c
-    JOIN documents d ON c.document_id = d.id
-  `);
-  
-  const chunks = stmt.all();
-  
-  // Calculate similarity for each chunk
-  const chunksWithSimilarity = chunks.map(chunk => {
-    // Handle binary embeddings stored in the database
-    let embedding;
+/**
+ * Retrieve the top K chunks by fusing vector and keyword rankings with reciprocal rank fusion
+ * @param {string} query - The user's query text
+ * @param {Array<number>} queryEmbedding - The embedding of the query
+ * @param {number} k - The number of chunks to retrieve (default: 3)
+ * @param {Object} options - Fusion options
+ * @param {number} [options.candidates] - Number of candidates taken from each ranking (default: 4 * k)
+ * @param {Object} [options.filter] - Only search the chunks matching this metadata filter
+ * @returns {Array<Object>} The best chunks with their fused score and per-ranking positions
+ */
+export function retrieveTopKHybrid(query, queryEmbedding, k = 3, options = {}) {
+  const candidates = options.candidates || k * 4;
+  
+  const rankings = {
+    vector: retrieveTopK(queryEmbedding, candidates, options),
+    keyword: retrieveTopKByKeyword(query, candidates, options)
+  };
+  
+  // Each chunk scores 1 / (RRF_K + rank) for every ranking it appears in
+  const fused = new Map();
+  for (const [name, chunks] of Object.entries(rankings)) {
+    chunks.forEach((chunk, index) => {
+      const entry = fused.get(chunk.id) || {
+        id: chunk.id,
+        documentId: chunk.documentId,
+        chunkIndex: chunk.chunkIndex,
+        text: chunk.text,
+        title: chunk.title,
+        source: chunk.source,
+        metadata: chunk.metadata,
+        parentId: chunk.parentId,
+        similarity: null,
+        vectorRank: null,
+        keywordRank: null,
+        score: 0
+      };
+      
+      entry[`${name}Rank`] = index + 1;
+      entry.score += 1 / (RRF_K + index + 1);
+      if (name === 'vector') {
+        entry.similarity = chunk.similarity;
+      }
+      
+      fused.set(chunk.id, entry);
+    });
+  }
+  
+  return Array.from(fused.values())
+    .sort((a, b) => b.score - a.score)
+    .slice(0, k);
+}
+
+/**
+ * Keep at most a given number of chunks from each document
+ * @param {Array<Object>} chunks - Chunks, best first
+ * @param {number} maxPerDocument - Maximum number of chunks per document
+ * @returns {Array<Object>} The best chunks of each document, in the same order
+ */
+export function limitPerDocument(chunks, maxPerDocument) {
+  const counts = new Map();
+  
+  return chunks.filter(chunk => {
+    const count = counts.get(chunk.documentId) || 0;
+    counts.set(chunk.documentId, count + 1);
+    return count < maxPerDocument;
+  });
+}
+
+/**
+ * Pick K chunks among candidates with maximal marginal relevance (MMR)
+ * Each pick maximizes lambda * similarity to the query - (1 - lambda) * similarity to the chunks already picked,
+ * so near-duplicates of a picked chunk lose out to chunks that add something new.
+ * @param {Array<number>} queryEmbedding - The embedding of the query
+ * @param {Array<Object>} candidates - Candidate chunks with their ID and document ID
+ * @param {number} k - The number of chunks to pick
+ * @param {Object} options - MMR options
+ * @param {number} [options.lambda] - 1 ranks by relevance only, 0 by diversity only (default: 0.5)
+ * @param {number} [options.maxPerDocument] - Maximum number of chunks picked from a document
+ * @returns {Array<Object>} The picked chunks, in the order they were picked, with their mmrScore
+ */
+export function selectByMmr(queryEmbedding, candidates, k, options = {}) {
+  const lambda = options.lambda ?? MMR_LAMBDA;
+  const embeddings = getChunkEmbeddings(candidates.map(chunk => chunk.id));
+  
+  // Chunks stored without an embedding can't be compared
+  const remaining = candidates
+    .filter(chunk => embeddings.has(chunk.id))
+    .map(chunk => ({
+      chunk,
+      embedding: embeddings.get(chunk.id),
+      relevance: cosineSimilarity(queryEmbedding, embeddings.get(chunk.id)),
+      redundancy: -Infinity
+    }));
+  const counts = new Map();
+  const selected = [];
+  
+  while (selected.length < k && remaining.length > 0) {
+    let bestIndex = -1;
+    let bestScore = -Infinity;
     
-    if (chunk.embedding) {
-      if (typeof chunk.embedding === 'string') {
-        // Try to parse as JSON string
-        try {
-          embedding = JSON.parse(chunk.embedding);
-        } catch (error) {
-          console.error('Unable to parse embedding as JSON:', error);
-          return null; // Skip this chunk
-        }
-      } else {
-        // Handle binary data (BLOB)
-        try {
-          // Convert BLOB to Float32Array
-          const embeddingBuffer = Buffer.from(chunk.embedding);
-          embedding = new Float32Array(embeddingBuffer.buffer, embeddingBuffer.byteOffset, embeddingBuffer.byteLength / 4);
-          
-          // Convert to regular array for consistent handling
-          embedding = Array.from(embedding);
-        } catch (error) {
-          console.error('Unable to parse binary embedding:', error);
-          return null; // Skip this chunk
-        }
+    remaining.forEach((candidate, index) => {
+      if (options.maxPerDocument && (counts.get(candidate.chunk.documentId) || 0) >= options.maxPerDocument) {
+        return;
+      }
+      
+      const redundancy = selected.length > 0 ? candidate.redundancy : 0;
+      const score = lambda * candidate.relevance - (1 - lambda) * redundancy;
+      if (score > bestScore) {
+        bestIndex = index;
+        bestScore = score;
       }
-    } else {
-      console.error('Embedding is missing');
-      return null; // Skip this chunk
+    });
+    
+    // Every remaining candidate belongs to a document that reached its cap
+    if (bestIndex === -1) {
+      break;
     }
     
-    // Calculate similarity between query and chunk
-    const similarity = cosineSimilarity(queryEmbedding, embedding);
+    const [picked] = remaining.splice(bestIndex, 1);
+    selected.push({ ...picked.chunk, mmrScore: bestScore });
+    counts.set(picked.chunk.documentId, (counts.get(picked.chunk.documentId) || 0) + 1);
     
-    return {
-      id: chunk.id,
-      documentId: chunk.document_id,
-      text: chunk.text,
-      title: chunk.title,
-      source: chunk.source,
-      similarity
-    };
-  });
+    // Keep the highest similarity of each candidate to the picked chunks up to date
+    for (const candidate of remaining) {
+      candidate.redundancy = Math.max(candidate.redundancy, cosineSimilarity(candidate.embedding, picked.embedding));
+    }
+  }
   
-  // Filter out null values, sort by similarity (descending) and take top K
-  return chunksWithSimilarity
-    .filter(chunk => chunk !== null)
-    .sort((a, b) => b.similarity - a.similarity)
-    .slice(0, k);
+  return selected;
+}
+
+/**
+ * Retrieve K chunks that are relevant to a query but not redundant with each other
+ * @param {Array<number>} queryEmbedding - The embedding of the query
+ * @param {number} k - The number of chunks to retrieve (default: 3)
+ * @param {Object} options - MMR options, as for selectByMmr()
+ * @param {number} [options.candidates] - Number of nearest chunks to pick from (default: 4 * k)
+ * @param {Object} [options.filter] - Only search the chunks matching this metadata filter
+ * @returns {Array<Object>} The picked chunks with their similarity and MMR scores
+ */
+export function retrieveTopKMmr(queryEmbedding, k = 3, options = {}) {
+  const candidates = retrieveTopK(queryEmbedding, options.candidates || k * DIVERSITY_CANDIDATES_FACTOR, options);
+  
+  return selectByMmr(queryEmbedding, candidates, k, options);
+}
+
+/**
+ * Retrieve the top K chunks for a query using the given retrieval mode
+ * @param {string} query - The user's query text
+ * @param {Array<number>|null} queryEmbedding - The embedding of the query (not needed in keyword mode)
+ * @param {Object} options - Retrieval options
+ * @param {string} [options.mode] - One of RETRIEVAL_MODES (default: 'vector')
+ * @param {number} [options.k] - The number of chunks to retrieve (default: 3)
+ * @param {number} [options.lambda] - Balance between relevance and diversity in 'mmr' mode (default: 0.5)
+ * @param {number} [options.maxPerDocument] - Maximum number of chunks retrieved from a document
+ * @param {Object} [options.filter] - Only search the chunks matching this metadata filter
+ * @returns {Array<Object>} The retrieved chunks
+ */
+export function retrieveChunks(query, queryEmbedding, options = {}) {
+  const { mode = 'vector', k = 3, maxPerDocument } = options;
+  
+  if (mode === 'mmr') {
+    return retrieveTopKMmr(queryEmbedding, k, options);
+  }
+  
+  // Retrieve more chunks than needed when some may be dropped by the cap
+  const limit = maxPerDocument ? k * DIVERSITY_CANDIDATES_FACTOR : k;
+  let chunks;
+  
+  switch (mode) {
+    case 'vector':
+      chunks = retrieveTopK(queryEmbedding, limit, options);
+      break;
+    case 'keyword':
+      chunks = retrieveTopKByKeyword(query, limit, options);
+      break;
+    case 'hybrid':
+      chunks = retrieveTopKHybrid(query, queryEmbedding, limit, options);
+      break;
+    default:
+      throw new Error(`Unknown retrieval mode: ${mode}`);
+  }
+  
+  return maxPerDocument ? limitPerDocument(chunks, maxPerDocument).slice(0, k) : chunks;
+}
+
+/**
+ * Replace retrieved chunks with the parent chunks they were cut from (small-to-big retrieval)
+ * Chunks of the same parent are merged into it, at the rank of the best of them.
+ * Chunks without a parent are kept as they are.
+ * @param {Array<Object>} chunks - Retrieved chunks, best first
+ * @returns {Array<Object>} Parents and parentless chunks, best first, with the IDs of the chunks that matched
+ */
+export function expandToParents(chunks) {
+  const parents = getParentChunks(chunks.map(chunk => chunk.parentId).filter(id => id !== null && id !== undefined));
+  const expanded = new Map();
+  
+  for (const chunk of chunks) {
+    const parent = parents.get(chunk.parentId);
+    const key = parent ? `parent:${parent.id}` : `chunk:${chunk.id}`;
+    
+    if (expanded.has(key)) {
+      expanded.get(key).matchedChunkIds.push(chunk.id);
+      continue;
+    }
+    
+    // The parent keeps the scores of its best chunk
+    expanded.set(key, parent
+      ? { ...chunk, text: parent.text, metadata: parent.metadata, matchedChunkIds: [chunk.id] }
+      : { ...chunk, matchedChunkIds: [chunk.id] });
+  }
+  
+  return Array.from(expanded.values());
+}
+
+// Shortest text shared by the end of a chunk and the start of the next one that counts as their overlap
+const MIN_OVERLAP_LENGTH = 20;
+
+/**
+ * Join the texts of consecutive chunks, removing the text they overlap on
+ * @param {Array<string>} texts - Chunk texts in document order
+ * @returns {string} Joined text
+ */
+function joinChunkTexts(texts) {
+  return texts.reduce((joined, text) => {
+    if (!joined) {
+      return text;
+    }
+    
+    // Find the longest end of the joined text that the next chunk starts with
+    for (let length = Math.min(joined.length, text.length); length >= MIN_OVERLAP_LENGTH; length--) {
+      if (joined.endsWith(text.slice(0, length))) {
+        return joined + text.slice(length);
+      }
+    }
+    
+    return `${joined}\n\n${text}`;
+  }, '');
+}
+
+// Metadata of the section a chunk was cut from, which a window spanning several sections can't keep
+const SECTION_METADATA_KEYS = ['title', 'headingLevel', 'headingPath'];
+
+/**
+ * Expand retrieved chunks with their neighbours in the document (sentence-window retrieval)
+ * Windows that overlap or touch are merged. Documents come in the order of their best chunk,
+ * and the windows of a document in document order. Chunks stored without an index keep their rank.
+ * @param {Array<Object>} chunks - Retrieved chunks, best first
+ * @param {number} windowSize - Number of neighbouring chunks to add on each side of a chunk
+ * @returns {Array<Object>} Windows with the scores of their best chunk, the IDs of all their chunks
+ *   (chunkIds) and of the retrieved ones (matchedChunkIds). A window spanning several sections lists
+ *   their heading paths (metadata.headingPaths) instead of a title and heading path.
+ */
+export function expandToWindows(chunks, windowSize) {
+  // Hits grouped by document, or alone for chunks that can't be expanded, in the order of their best hit
+  const groups = new Map();
+  
+  for (const chunk of chunks) {
+    // Chunks stored without an index can't be expanded
+    const key = chunk.chunkIndex === null || chunk.chunkIndex === undefined ? `chunk:${chunk.id}` : `document:${chunk.documentId}`;
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(chunk);
+  }
+  
+  const windows = [];
+  
+  for (const [key, hits] of groups) {
+    if (key.startsWith('chunk:')) {
+      windows.push(...hits);
+      continue;
+    }
+    
+    const { documentId } = hits[0];
+    
+    // Merge the ranges of the hits of this document
+    const ranges = hits
+      .map(hit => ({ start: hit.chunkIndex - windowSize, end: hit.chunkIndex + windowSize, hits: [hit] }))
+      .sort((a, b) => a.start - b.start)
+      .reduce((merged, range) => {
+        const last = merged[merged.length - 1];
+        if (last && range.start <= last.end + 1) {
+          last.end = Math.max(last.end, range.end);
+          last.hits.push(...range.hits);
+        } else {
+          merged.push(range);
+        }
+        return merged;
+      }, []);
+    
+    for (const range of ranges) {
+      const windowChunks = getChunkRange(documentId, range.start, range.end);
+      // Hits keep their retrieval order, so the first one is the best
+      const best = hits.find(hit => range.hits.includes(hit));
+      
+      // A window spans the pages of all its chunks
+      const pageStarts = windowChunks.map(chunk => chunk.metadata.pageStart).filter(page => page !== undefined);
+      const pageEnds = windowChunks.map(chunk => chunk.metadata.pageEnd).filter(page => page !== undefined);
+      
+      // and the sections of all its chunks
+      const spansSections = SECTION_METADATA_KEYS.some(metadataKey =>
+        new Set(windowChunks.map(chunk => chunk.metadata[metadataKey])).size > 1
+      );
+      const { title, headingLevel, headingPath, ...otherMetadata } = best.metadata;
+      const headingPaths = [...new Set(windowChunks.map(chunk => chunk.metadata.headingPath).filter(path => path !== undefined))];
+      
+      windows.push({
+        ...best,
+        text: joinChunkTexts(windowChunks.map(chunk => chunk.text)),
+        metadata: {
+          ...(spansSections ? { ...otherMetadata, headingPaths } : best.metadata),
+          ...(pageStarts.length > 0 ? { pageStart: Math.min(...pageStarts), pageEnd: Math.max(...pageEnds) } : {})
+        },
+        chunkIds: windowChunks.map(chunk => chunk.id),
+        matchedChunkIds: range.hits.map(hit => hit.id)
+      });
+    }
+  }
+  
+  return windows;
 }
 
 /**
  * Find similar chunks to a query
  * @param {Array<number>} queryEmbedding - The embedding of the query
  * @param {number} limit - Maximum number of chunks to return
+ * @param {Object} [filter] - Only search the chunks matching this metadata filter
  * @returns {Array<Object>} The most similar chunks
  */
-export function findSimilarChunks(queryEmbedding, limit = 3) {
-  return retrieveTopK(queryEmbedding, limit);
+export function findSimilarChunks(queryEmbedding, limit = 3, filter = null) {
+  return retrieveTopK(queryEmbedding, limit, { filter });
 }
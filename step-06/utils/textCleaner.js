@@ -0,0 +1,98 @@
+/**
+ * Text cleaner
+ * Cleaning steps applied to document text before chunking
+ * Every step keeps line breaks and non-Latin characters, so paragraph and heading
+ * chunking still work and text in any language survives
+ */
+
+import { protectCodeBlocks, restoreBlocks } from './chunking/markdownBlocks.js';
+
+/**
+ * Available cleaning steps, in the order they are applied
+ */
+const STEPS = {
+  // Compatibility forms (ligatures, full-width letters, non-breaking spaces) become their plain
+  // equivalent; accents are composed so "é" is always one character
+  normalizeUnicode: text => text
+    .normalize('NFKC')
+    .replace(/\r\n?|[\u2028\u2029]/g, '\n'),
+  
+  // Words hyphenated at the end of a line (typical of PDFs) are joined: "embed-\ndings" becomes "embeddings"
+  dehyphenate: text => text.replace(/(\p{L})[-\u00AD\u2010]\n[^\S\n]*(\p{Ll})/gu, '$1$2'),
+  
+  // Control characters, soft hyphens, zero-width spaces and byte order marks, but not tabs and line breaks
+  // (zero-width joiners are kept: some scripts and emoji need them)
+  stripControlChars: text => text.replace(/[\u0000-\u0008\u000B-\u001F\u007F-\u009F\u00AD\u200B\u2060\uFEFF]/g, ''),
+  
+  // Runs of spaces inside a line become one space; indentation, line breaks and single blank lines are kept
+  collapseWhitespace: text => text
+    .replace(/(\S)[^\S\n]{2,}/g, '$1 ')
+    .replace(/[^\S\n]+$/gm, '')
+    .replace(/\n{3,}/g, '\n\n')
+};
+
+// Steps that reflow prose, and so skip fenced and indented code blocks, whose blank lines and alignment matter
+const PROSE_STEPS = ['dehyphenate', 'collapseWhitespace'];
+
+// Names of the cleaning steps
+export const CLEANING_STEPS = Object.keys(STEPS);
+
+// Steps applied when an ingest request doesn't choose any
+export const DEFAULT_CLEANING_STEPS = CLEANING_STEPS;
+
+/**
+ * Apply a cleaning step, leaving code blocks untouched by the steps that reflow prose
+ * @param {string} text - Text to clean
+ * @param {string} step - Name of the step
+ * @returns {string} Cleaned text
+ */
+function applyStep(text, step) {
+  if (!PROSE_STEPS.includes(step)) {
+    return STEPS[step](text);
+  }
+  
+  const { text: prose, blocks } = protectCodeBlocks(text);
+  return restoreBlocks(STEPS[step](prose), blocks);
+}
+
+/**
+ * Clean text with the given steps
+ * @param {string} text - Text to clean
+ * @param {Array<string>} steps - Names of the steps to apply (see CLEANING_STEPS), applied in their standard order
+ * @returns {string} Cleaned text, trimmed
+ */
+export function cleanText(text, steps = DEFAULT_CLEANING_STEPS) {
+  const unknown = steps.filter(step => !STEPS[step]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown cleaning step: ${unknown.join(', ')} (expected one of: ${CLEANING_STEPS.join(', ')})`);
+  }
+  
+  return CLEANING_STEPS
+    .filter(step => steps.includes(step))
+    .reduce(applyStep, text)
+    .trim();
+}
+
+/**
+ * Check a cleaning option of an ingest request
+ * @param {*} cleaning - Array of step names, false to disable cleaning, or undefined for the default steps
+ * @returns {boolean} Whether the option is valid
+ */
+export function isValidCleaningOption(cleaning) {
+  return cleaning === undefined
+    || cleaning === false
+    || (Array.isArray(cleaning) && cleaning.every(step => CLEANING_STEPS.includes(step)));
+}
+
+/**
+ * Get the steps selected by the cleaning option of an ingest request
+ * @param {*} cleaning - Array of step names, false to disable cleaning, or undefined for the default steps
+ * @returns {Array<string>} Names of the steps to apply
+ */
+export function getCleaningSteps(cleaning) {
+  if (cleaning === false) {
+    return [];
+  }
+  
+  return cleaning || DEFAULT_CLEANING_STEPS;
+}
@@ -3,87 +3,336 @@
  * Stores and retrieves document chunks with embeddings
  */
 
-import { getDatabase, closeDatabase } from './database.js';
+import crypto from 'crypto';
+import { getDatabase, closeDatabase, searchVectorIndex, parseChunkMetadata, getCitationSource } from './database.js';
+import { getEmbedding, getEmbeddingInfo } from './embeddings.js';
+import { escapeLike } from './metadataFilter.js';
+
+/**
+ * Hash document content to detect changes between ingestions
+ * @param {string} text - Document text
+ * @returns {string} SHA-256 hex digest
+ */
+export function hashContent(text) {
+  return crypto.createHash('sha256').update(text || '').digest('hex');
+}
+
+/**
+ * Copy options with their keys sorted, leaving out callbacks and settings that don't change the result
+ * @param {*} value - Options value
+ * @returns {*} Normalized value, which serializes the same way for equivalent options
+ */
+function normalizeOptions(value) {
+  if (Array.isArray(value)) {
+    return value.map(normalizeOptions);
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  
+  return Object.fromEntries(Object.keys(value)
+    .filter(key => typeof value[key] !== 'function' && value[key] !== undefined && key !== 'batchSize')
+    .sort()
+    .map(key => [key, normalizeOptions(value[key])]));
+}
+
+/**
+ * Fingerprint everything that decides how a document is stored: its content, the embedding model
+ * and the chunking and cleaning options. A document is only unchanged if its fingerprint is.
+ * @param {Object} document - Document object with text and metadata
+ * @param {Object} settings - Ingestion settings
+ * @param {Object} [settings.chunkOptions] - Options the document is chunked with
+ * @param {Array<string>} [settings.cleaning] - Cleaning steps the document went through
+ * @returns {string} SHA-256 hex digest
+ */
+export function getIngestFingerprint(document, settings = {}) {
+  const { id, dimension } = getEmbeddingInfo();
+  
+  return hashContent(JSON.stringify({
+    content: hashContent(document.text),
+    embedding: { id, dimension },
+    chunkOptions: normalizeOptions(settings.chunkOptions || {}),
+    cleaning: settings.cleaning || []
+  }));
+}
+
+/**
+ * Get the source a document is keyed by
+ * @param {Object} document - Document object with metadata
+ * @returns {string} Source path (empty if unknown)
+ */
+function getDocumentSource(document) {
+  return document.source || document.metadata?.source || '';
+}
 
 /**
  * Store a document in the database
  * @param {Object} document - Document object with metadata
+ * @param {string|null} fingerprint - Ingestion fingerprint (null to have the document re-ingested next time)
  * @returns {number} Document ID
  */
-export function storeDocument(document) {
+export function storeDocument(document, fingerprint = null) {
   const db = getDatabase();
   
   const { source, metadata } = document;
   
   const stmt = db.prepare(`
-    INSERT INTO documents (source, title, filetype)
-    VALUES (?, ?, ?)
+    INSERT INTO documents (source, title, filetype, metadata, content_hash, ingest_fingerprint)
+    VALUES (?, ?, ?, ?, ?, ?)
   `);
   
+  // Keep everything the loader extracted (size, pages, author, dates...) as JSON
   const result = stmt.run(
     source || metadata.source || '',
     metadata.title || metadata.filename || '',
-    metadata.filetype || ''
+    metadata.filetype || '',
+    JSON.stringify(metadata || {}),
+    hashContent(document.text),
+    fingerprint
   );
   
   return result.lastInsertRowid;
 }
 
+/**
+ * Update an existing document row with new content metadata
+ * @param {number} documentId - Document ID
+ * @param {Object} document - Document object with text and metadata
+ * @param {string|null} fingerprint - Ingestion fingerprint (null to have the document re-ingested next time)
+ */
+export function updateDocument(documentId, document, fingerprint = null) {
+  const db = getDatabase();
+  
+  const { metadata } = document;
+  
+  db.prepare(`
+    UPDATE documents
+    SET title = ?, filetype = ?, metadata = ?, content_hash = ?, ingest_fingerprint = ?
+    WHERE id = ?
+  `).run(
+    metadata.title || metadata.filename || '',
+    metadata.filetype || '',
+    JSON.stringify(metadata || {}),
+    hashContent(document.text),
+    fingerprint,
+    documentId
+  );
+}
+
+/**
+ * Tell whether a document needs to be (re-)ingested
+ * A stored document is unchanged only if it was ingested from the same content, with the same
+ * embedding model and the same options, and all its chunks were embedded
+ * @param {Object} document - Document object with text and metadata
+ * @param {Object} settings - Ingestion settings, as for getIngestFingerprint()
+ * @returns {Object} Status ('added', 'updated' or 'unchanged') and the stored document ID if any
+ */
+export function getIngestStatus(document, settings = {}) {
+  const db = getDatabase();
+  
+  const source = getDocumentSource(document);
+  if (!source) {
+    return { status: 'added', documentId: null };
+  }
+  
+  const existing = db.prepare(`
+    SELECT id, ingest_fingerprint FROM documents WHERE source = ? ORDER BY id LIMIT 1
+  `).get(source);
+  
+  if (!existing) {
+    return { status: 'added', documentId: null };
+  }
+  
+  return {
+    status: existing.ingest_fingerprint === getIngestFingerprint(document, settings) ? 'unchanged' : 'updated',
+    documentId: existing.id
+  };
+}
+
+/**
+ * Get the metadata that is specific to a chunk
+ * Chunkers copy the document metadata into every chunk, so only what differs from it is kept
+ * @param {Object} metadata - Chunk metadata
+ * @param {Object} documentMetadata - Metadata of the parent document
+ * @returns {Object|null} Chunk-specific metadata, or null if there is none
+ */
+function getChunkMetadata(metadata, documentMetadata = {}) {
+  const entries = Object.entries(metadata || {})
+    .filter(([key, value]) => key !== 'chunkStrategy' && value !== documentMetadata[key]);
+  
+  return entries.length > 0 ? Object.fromEntries(entries) : null;
+}
+
 /**
  * Store a chunk with its embedding in the database
  * @param {Object} chunk - Chunk object with text, metadata, and embedding
  * @param {number} documentId - ID of the parent document
  * @param {number} chunkIndex - Index of the chunk in the document
+ * @param {Object} [documentMetadata] - Metadata of the parent document, not repeated in the chunk
+ * @param {number} [parentId] - ID of the parent chunk the chunk expands to at retrieval time
  * @returns {number} Chunk ID
  */
-export function storeChunk(chunk, documentId, chunkIndex) {
+export function storeChunk(chunk, documentId, chunkIndex, documentMetadata = {}, parentId = null) {
   const db = getDatabase();
   
   const { text, metadata, embedding } = chunk;
   
   // Use the embedding directly if it exists
   const embeddingFloat32 = embedding ? new Float32Array(embedding) : null;
+  const chunkMetadata = getChunkMetadata(metadata, documentMetadata);
   
   const stmt = db.prepare(`
-    INSERT INTO chunks (document_id, text, chunk_index, chunk_strategy, embedding)
-    VALUES (?, ?, ?, ?, ?)
+    INSERT INTO chunks (document_id, text, chunk_index, chunk_strategy, metadata, parent_id, embedding, embedding_model, embedding_dimension)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
   `);
   
+  // Record which model produced the vector, so vectors from different models are never compared
   const result = stmt.run(
     documentId,
     text,
     chunkIndex,
-    metadata.chunkStrategy || 'unknown',
-    embeddingFloat32
+    metadata?.chunkStrategy || 'unknown',
+    chunkMetadata ? JSON.stringify(chunkMetadata) : null,
+    parentId,
+    embeddingFloat32,
+    embeddingFloat32 ? getEmbeddingInfo().id : null,
+    embeddingFloat32 ? embeddingFloat32.length : null
   );
   
   return result.lastInsertRowid;
 }
 
+/**
+ * Store a parent chunk: a larger span of text that chunks expand to at retrieval time
+ * @param {Object} parent - Parent object with text and metadata
+ * @param {number} documentId - ID of the document
+ * @param {number} parentIndex - Index of the parent in the document
+ * @param {Object} [documentMetadata] - Metadata of the document, not repeated in the parent
+ * @returns {number} Parent chunk ID
+ */
+export function storeParentChunk(parent, documentId, parentIndex, documentMetadata = {}) {
+  const db = getDatabase();
+  
+  const parentMetadata = getChunkMetadata(parent.metadata, documentMetadata);
+  
+  const result = db.prepare(`
+    INSERT INTO parent_chunks (document_id, text, parent_index, metadata)
+    VALUES (?, ?, ?, ?)
+  `).run(
+    documentId,
+    parent.text,
+    parentIndex,
+    parentMetadata ? JSON.stringify(parentMetadata) : null
+  );
+  
+  return result.lastInsertRowid;
+}
+
+/**
+ * Get parent chunks by ID
+ * @param {Array<number>} parentIds - Parent chunk IDs
+ * @returns {Map<number, Object>} Parent chunks by ID (missing ones are left out)
+ */
+export function getParentChunks(parentIds) {
+  const db = getDatabase();
+  
+  const ids = [...new Set(parentIds)];
+  if (ids.length === 0) {
+    return new Map();
+  }
+  
+  const rows = db.prepare(`
+    SELECT id, document_id, text, parent_index, metadata
+    FROM parent_chunks
+    WHERE id IN (${ids.map(() => '?').join(', ')})
+  `).all(...ids);
+  
+  return new Map(rows.map(row => [row.id, { ...row, metadata: parseChunkMetadata(row.metadata) }]));
+}
+
+/**
+ * Get the stored embeddings of chunks
+ * @param {Array<number>} chunkIds - Chunk IDs
+ * @returns {Map<number, Array<number>>} Embedding by chunk ID, for the chunks that have one
+ */
+export function getChunkEmbeddings(chunkIds) {
+  const db = getDatabase();
+  
+  const ids = [...new Set(chunkIds)];
+  if (ids.length === 0) {
+    return new Map();
+  }
+  
+  const rows = db.prepare(`
+    SELECT id, embedding
+    FROM chunks
+    WHERE id IN (${ids.map(() => '?').join(', ')}) AND embedding IS NOT NULL
+  `).all(...ids);
+  
+  // Embeddings are stored as float32 blobs
+  return new Map(rows.map(row => [
+    row.id,
+    Array.from(new Float32Array(row.embedding.buffer, row.embedding.byteOffset, row.embedding.byteLength / 4))
+  ]));
+}
+
 /**
  * Store a document with all its chunks
+ * Documents are keyed by source: storing a source that already exists replaces its chunks
  * @param {Object} document - Document object with text and metadata
  * @param {Array<Object>} chunks - Array of chunks with text, metadata, and embeddings
- * @returns {Object} Result with document ID and chunk IDs
+ *   (and optionally a parent: { index, text, metadata } shared by the chunks cut from it)
+ * @param {Object} settings - Ingestion settings the chunks were made with, as for getIngestFingerprint()
+ * @returns {Object} Result with document ID, chunk IDs and status ('added' or 'updated')
  */
-export function storeDocumentWithChunks(document, chunks) {
+export function storeDocumentWithChunks(document, chunks, settings = {}) {
   const db = getDatabase();
   
+  // A document with chunks that failed to embed keeps no fingerprint, so the next ingestion retries it
+  const fingerprint = chunks.every(chunk => chunk.embedding) ? getIngestFingerprint(document, settings) : null;
+  
   // Start transaction
   const transaction = db.transaction((document, chunks) => {
-    // Store document
-    const documentId = storeDocument(document);
+    const source = getDocumentSource(document);
+    const existing = source
+      ? db.prepare('SELECT id FROM documents WHERE source = ? ORDER BY id').all(source)
+      : [];
     
-    // Store chunks
+    let documentId;
+    let status;
+    
+    if (existing.length > 0) {
+      // Keep the oldest row, and drop duplicates left by earlier non-incremental ingestions
+      documentId = existing[0].id;
+      existing.forEach(row => deleteDocumentChunks(row.id));
+      existing.slice(1).forEach(row => {
+        db.prepare('DELETE FROM documents WHERE id = ?').run(row.id);
+      });
+      
+      updateDocument(documentId, document, fingerprint);
+      status = 'updated';
+    } else {
+      documentId = storeDocument(document, fingerprint);
+      status = 'added';
+    }
+    
+    // Store chunks, and each parent once before its first chunk
     const chunkIds = [];
+    const parentIds = new Map();
     chunks.forEach((chunk, index) => {
-      const chunkId = storeChunk(chunk, documentId, index);
+      if (chunk.parent && !parentIds.has(chunk.parent.index)) {
+        parentIds.set(chunk.parent.index, storeParentChunk(chunk.parent, documentId, chunk.parent.index, document.metadata));
+      }
+      
+      const parentId = chunk.parent ? parentIds.get(chunk.parent.index) : null;
+      const chunkId = storeChunk(chunk, documentId, index, document.metadata, parentId);
       chunkIds.push(chunkId);
     });
     
     return {
       documentId,
-      chunkIds
+      chunkIds,
+      status
     };
   });
   
@@ -92,86 +341,208 @@ export function storeDocumentWithChunks(document, chunks) {
 }
 
 /**
- * Calculate cosine similarity between two embeddings
- * @param {Float32Array} embedding1 - First embedding
- * @param {Float32Array} embedding2 - Second embedding
- * @returns {number} Cosine similarity score (between -1 and 1)
+ * Delete all chunks of a document (the vector and keyword indexes follow through triggers)
+ * Parent chunks are deleted too
+ * @param {number} documentId - Document ID
+ * @returns {number} Number of chunks deleted
  */
-function calculateCosineSimilarity(embedding1, embedding2) {
-  let dotProduct = 0;
-  let norm1 = 0;
-  let norm2 = 0;
-  
-  for (let i = 0; i < embedding1.length; i++) {
-    dotProduct += embedding1[i] * embedding2[i];
-    norm1 += embedding1[i] * embedding1[i];
-    norm2 += embedding2[i] * embedding2[i];
-  }
+export function deleteDocumentChunks(documentId) {
+  const db = getDatabase();
   
-  norm1 = Math.sqrt(norm1);
-  norm2 = Math.sqrt(norm2);
+  db.prepare('DELETE FROM parent_chunks WHERE document_id = ?').run(documentId);
+  return db.prepare('DELETE FROM chunks WHERE document_id = ?').run(documentId).changes;
+}
+
+/**
+ * Delete a document and its chunks
+ * @param {number} documentId - Document ID
+ * @returns {boolean} Whether the document existed
+ */
+export function deleteDocument(documentId) {
+  const db = getDatabase();
   
-  if (norm1 === 0 || norm2 === 0) return 0;
+  const transaction = db.transaction(() => {
+    deleteDocumentChunks(documentId);
+    return db.prepare('DELETE FROM documents WHERE id = ?').run(documentId).changes > 0;
+  });
   
-  return dotProduct / (norm1 * norm2);
+  return transaction();
 }
 
 /**
- * Find similar chunks for a query embedding
- * @param {Array<number>} queryEmbedding - Query embedding vector
- * @param {number} limit - Maximum number of results to return
- * @param {number} similarityThreshold - Minimum similarity score (0-1)
- * @returns {Array<Object>} Array of chunks with similarity scores
+ * Get a single chunk
+ * @param {number} chunkId - Chunk ID
+ * @returns {Object|null} Chunk, or null if it doesn't exist
  */
-export function findSimilarChunks(queryEmbedding, limit = 5, similarityThreshold = 0.7) {
+export function getChunk(chunkId) {
   const db = getDatabase();
   
-  // Get all chunks with their embeddings
   const stmt = db.prepare(`
     SELECT 
-      c.id,
-      c.text,
-      c.chunk_strategy,
-      c.embedding,
-      d.source,
-      d.title,
-      d.filetype
+      id,
+      document_id,
+      text,
+      chunk_index,
+      chunk_strategy,
+      metadata,
+      parent_id,
+      embedding_model,
+      embedding_dimension,
+      created_at
     FROM 
-      chunks c
-    JOIN 
-      documents d ON c.document_id = d.id
+      chunks
     WHERE 
-      c.embedding IS NOT NULL
+      id = ?
   `);
   
-  const chunks = stmt.all();
+  const chunk = stmt.get(chunkId);
+  return chunk ? { ...chunk, metadata: parseChunkMetadata(chunk.metadata) } : null;
+}
+
+/**
+ * Mark a document whose chunks were edited by hand as out of date with its source
+ * Without a fingerprint, the next ingestion of the source re-chunks it instead of skipping it as unchanged
+ * @param {Object} db - Database connection
+ * @param {number} documentId - Document ID
+ */
+function clearIngestFingerprint(db, documentId) {
+  db.prepare('UPDATE documents SET ingest_fingerprint = NULL WHERE id = ?').run(documentId);
+}
+
+/**
+ * Delete a single chunk
+ * Its parent chunk is deleted too once no other chunk expands to it
+ * @param {number} chunkId - Chunk ID
+ * @returns {boolean} Whether the chunk existed
+ */
+export function deleteChunk(chunkId) {
+  const db = getDatabase();
   
-  // Calculate similarity for each chunk
-  const queryEmbeddingArray = new Float32Array(queryEmbedding);
-  const chunksWithSimilarity = chunks.map(chunk => {
-    // Convert BLOB to Float32Array
-    const embeddingBuffer = Buffer.from(chunk.embedding);
-    const embeddingArray = new Float32Array(embeddingBuffer.buffer, embeddingBuffer.byteOffset, embeddingBuffer.byteLength / 4);
+  const transaction = db.transaction(() => {
+    const chunk = db.prepare('SELECT document_id, parent_id FROM chunks WHERE id = ?').get(chunkId);
+    if (!chunk) {
+      return false;
+    }
     
-    // Calculate similarity
-    const similarity = calculateCosineSimilarity(queryEmbeddingArray, embeddingArray);
+    db.prepare('DELETE FROM chunks WHERE id = ?').run(chunkId);
     
-    return {
-      id: chunk.id,
-      text: chunk.text,
-      source: chunk.source,
-      title: chunk.title,
-      filetype: chunk.filetype,
-      chunkStrategy: chunk.chunk_strategy,
-      similarity
-    };
+    if (chunk.parent_id !== null) {
+      db.prepare(`
+        DELETE FROM parent_chunks
+        WHERE id = ? AND NOT EXISTS (SELECT 1 FROM chunks WHERE parent_id = ?)
+      `).run(chunk.parent_id, chunk.parent_id);
+    }
+    
+    clearIngestFingerprint(db, chunk.document_id);
+    return true;
   });
   
-  // Filter and sort by similarity
-  return chunksWithSimilarity
-    .filter(chunk => chunk.similarity >= similarityThreshold)
-    .sort((a, b) => b.similarity - a.similarity)
-    .slice(0, limit);
+  return transaction();
+}
+
+/**
+ * Replace the text of a chunk and re-embed it
+ * The document is marked as out of date, so re-ingesting its source restores the original chunks
+ * @param {number} chunkId - Chunk ID
+ * @param {string} text - New chunk text
+ * @returns {Promise<Object|null>} Updated chunk, or null if it doesn't exist
+ */
+export async function updateChunkText(chunkId, text) {
+  const db = getDatabase();
+  
+  const chunk = getChunk(chunkId);
+  if (!chunk) {
+    return null;
+  }
+  
+  // Embed first, so a failing model leaves the chunk untouched
+  const embedding = new Float32Array(await getEmbedding(text));
+  
+  // The triggers refresh the vector and keyword indexes
+  const transaction = db.transaction(() => {
+    db.prepare(`
+      UPDATE chunks
+      SET text = ?, embedding = ?, embedding_model = ?, embedding_dimension = ?
+      WHERE id = ?
+    `).run(text, embedding, getEmbeddingInfo().id, embedding.length, chunkId);
+    
+    clearIngestFingerprint(db, chunk.document_id);
+  });
+  transaction();
+  
+  return getChunk(chunkId);
+}
+
+/**
+ * Delete every document and chunk from the collection
+ * @returns {Object} Number of documents and chunks deleted
+ */
+export function resetCollection() {
+  const db = getDatabase();
+  
+  const transaction = db.transaction(() => {
+    const chunks = db.prepare('DELETE FROM chunks').run().changes;
+    db.prepare('DELETE FROM parent_chunks').run();
+    const documents = db.prepare('DELETE FROM documents').run().changes;
+    
+    return { documents, chunks };
+  });
+  
+  return transaction();
+}
+
+/**
+ * Delete the documents under a source prefix that are not in a list of current sources
+ * Used to prune documents whose files were deleted since the last ingestion
+ * @param {Array<string>} sources - Sources that still exist
+ * @param {string} sourcePrefix - Only documents whose source starts with this prefix are considered
+ * @returns {number} Number of documents removed
+ */
+export function removeMissingDocuments(sources, sourcePrefix) {
+  const db = getDatabase();
+  
+  const current = new Set(sources);
+  
+  const pattern = `${escapeLike(sourcePrefix)}%`;
+  const candidates = db.prepare(`
+    SELECT id, source FROM documents WHERE source LIKE ? ESCAPE '\\'
+  `).all(pattern);
+  
+  const missing = candidates.filter(doc => !current.has(doc.source));
+  missing.forEach(doc => deleteDocument(doc.id));
+  
+  return missing.length;
+}
+
+/**
+ * Find similar chunks for a query embedding
+ * @param {Array<number>} queryEmbedding - Query embedding vector
+ * @param {number} limit - Maximum number of results to return
+ * @param {number} similarityThreshold - Minimum similarity score (0-1)
+ * @param {Object} [filter] - Only search the chunks matching this metadata filter (see metadataFilter.js)
+ * @returns {Array<Object>} Array of chunks with similarity scores
+ */
+export function findSimilarChunks(queryEmbedding, limit = 5, similarityThreshold = 0.7, filter = null) {
+  // Nearest neighbours come from the vec0 index, already sorted by distance
+  const rows = searchVectorIndex(queryEmbedding, limit, filter);
+  
+  return rows
+    .map(row => {
+      const metadata = parseChunkMetadata(row.chunk_metadata);
+      
+      return {
+        id: row.id,
+        documentId: row.document_id,
+        text: row.text,
+        source: getCitationSource(row, metadata),
+        title: row.title,
+        filetype: row.filetype,
+        chunkStrategy: row.chunk_strategy,
+        metadata,
+        similarity: 1 - row.distance
+      };
+    })
+    .filter(chunk => chunk.similarity >= similarityThreshold);
 }
 
 /**
@@ -198,6 +569,39 @@ export function getAllDocuments() {
   return stmt.all();
 }
 
+/**
+ * Get a single document with its parsed metadata
+ * @param {number} documentId - Document ID
+ * @returns {Object|null} Document, or null if it doesn't exist
+ */
+export function getDocument(documentId) {
+  const db = getDatabase();
+  
+  const stmt = db.prepare(`
+    SELECT 
+      id,
+      source,
+      title,
+      filetype,
+      metadata,
+      created_at
+    FROM 
+      documents
+    WHERE 
+      id = ?
+  `);
+  
+  const document = stmt.get(documentId);
+  if (!document) {
+    return null;
+  }
+  
+  return {
+    ...document,
+    metadata: JSON.parse(document.metadata || '{}')
+  };
+}
+
 /**
  * Get all chunks for a document
  * @param {number} documentId - Document ID
@@ -212,16 +616,51 @@ export function getDocumentChunks(documentId) {
       text,
       chunk_index,
       chunk_strategy,
+      metadata,
+      parent_id,
       created_at
     FROM 
       chunks
     WHERE 
       document_id = ?
     ORDER BY 
-      chunk_index
+      chunk_index, id
+  `);
+  
+  return stmt.all(documentId).map(chunk => ({
+    ...chunk,
+    metadata: parseChunkMetadata(chunk.metadata)
+  }));
+}
+
+/**
+ * Get the chunks of a document within a range of chunk indexes
+ * @param {number} documentId - Document ID
+ * @param {number} startIndex - First chunk index (inclusive)
+ * @param {number} endIndex - Last chunk index (inclusive)
+ * @returns {Array<Object>} Chunks in document order
+ */
+export function getChunkRange(documentId, startIndex, endIndex) {
+  const db = getDatabase();
+  
+  const stmt = db.prepare(`
+    SELECT 
+      id,
+      text,
+      chunk_index,
+      metadata
+    FROM 
+      chunks
+    WHERE 
+      document_id = ? AND chunk_index BETWEEN ? AND ?
+    ORDER BY 
+      chunk_index, id
   `);
   
-  return stmt.all(documentId);
+  return stmt.all(documentId, startIndex, endIndex).map(chunk => ({
+    ...chunk,
+    metadata: parseChunkMetadata(chunk.metadata)
+  }));
 }
 
 // Re-export closeDatabase from database.js